@@ -1,38 +1,511 @@
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const uglify = require('uglify-es');
+const yaml = require('js-yaml');
+const { generatePolicies } = require('./tools/policy');
+const { parseDocument } = require('./tools/template');
 
-/* Paste a file with code into a CloudFormation `Zipfile` section
- * Assume that `ZipFile` is the very last operand in the file.
- * Assume that the new indent requires is 10 spaces at start of line.
+const SOURCE_DIR = 'lib';
+const DIST_DIR = 'dist';
+const COMBINED_NAME = 'custom-cf-cw-events';
+
+const LOCAL_REQUIRE = /require\((['"])(\.{1,2}\/[^'"]+)\1\)/g;
+const HANDLER_EXPORT = /^exports\.handler = /m;
+const ZIP_FILE_MARKER = /^( *)ZipFile: *[>|][-+]? *# *inline-handler *$/;
+const POLICIES_MARKER = /^( *)Policies: *# *generated-policies *$/;
+
+// templates over this size can not be deployed as a template body
+const TEMPLATE_BODY_LIMIT = 51200;
+
+// the `ZipFile` code is part of the template body, so it never fits above its limit,
+// set ZIP_FILE_LIMIT (bytes) for a stricter limit.
+const ZIP_FILE_LIMIT = Number(process.env.ZIP_FILE_LIMIT) || TEMPLATE_BODY_LIMIT;
+
+/* Resolve a local `require('./module')` of `fromFile` to a file path.
  */
-function pasteCloudFormationZipFile(sourceCode, sourceStack, targetStack) {
-  // read minified code suitable for a cloudformation template
-  // indent the code with 10 spaces at the start of each line
-  const codeContent = fs.readFileSync(sourceCode)
-    .toString()
-    .replace(/^/gm, '          ');
+function resolveLocal(fromFile, request) {
+  const resolved = path.resolve(path.dirname(fromFile), request);
+  if (fs.existsSync(`${resolved}.js`)) {
+    return `${resolved}.js`;
+  }
+  return path.join(resolved, 'index.js');
+}
 
-  // read the incomplete cloudformation template
-  // then place the newly indented code after `ZipFile: >` at EOF
-  const stackContent = fs.readFileSync(sourceStack)
-    .toString()
-    .replace(/^(\s+ZipFile: >)([\s\S])+/m, '$1\n');
+/* Bundle a handler together with all the local modules it requires into a
+ * single file, because a `ZipFile` Lambda can only contain `index.js`.
+ * Local modules are wrapped in functions and loaded by `__localRequire`,
+ * requires of other packages (`@aws-sdk/client-cloudwatch-events`, part of
+ * the Lambda runtime) are left as-is.
+ */
+function bundleLocalModules(sourceCode, targetCode) {
+  const root = path.dirname(path.resolve(sourceCode));
+  const modules = {};
 
-  console.log(`Replacing code in ${targetStack} ...`);
-  // write the result in `dist/`
-  fs.writeFileSync(targetStack, stackContent);
-  fs.appendFileSync(targetStack, codeContent);
+  // replace local requires with `__localRequire('<path relative to root>')`
+  function rewrite(file) {
+    return fs.readFileSync(file)
+      .toString()
+      .replace(LOCAL_REQUIRE, (match, quote, request) => {
+        const resolved = resolveLocal(file, request);
+        const id = path.relative(root, resolved);
+        if (!Object.prototype.hasOwnProperty.call(modules, id)) {
+          modules[id] = null; // mark as visited before recursing
+          modules[id] = rewrite(resolved);
+        }
+        return `__localRequire('${id}')`;
+      });
+  }
+
+  const entryContent = rewrite(path.resolve(sourceCode));
+  const ids = Object.keys(modules);
+
+  if (ids.length === 0) {
+    fs.writeFileSync(targetCode, entryContent);
+    return;
+  }
+
+  const definitions = ids
+    .map(id => `  '${id}': function (module, exports) {\n${modules[id]}\n  },`)
+    .join('\n');
+
+  console.log(`Bundling ${ids.join(', ')} into ${targetCode} ...`);
+  fs.writeFileSync(targetCode, [
+    'const __localModules = {',
+    definitions,
+    '};',
+    'const __localCache = {};',
+    'function __localRequire(id) {',
+    '  if (!__localCache[id]) {',
+    '    const module = { exports: {} };',
+    '    __localCache[id] = module;',
+    '    __localModules[id](module, module.exports);',
+    '  }',
+    '  return __localCache[id].exports;',
+    '}',
+    entryContent,
+  ].join('\n'));
 }
 
-exports.replace = function replace() {
-  pasteCloudFormationZipFile(
-    'dist/custom-cf-cw-events-rule.min.js',
-    'lib/custom-cf-cw-events-rule.yaml',
-    'dist/custom-cf-cw-events-rule.yaml',
-  );
+/* The handlers of `lib/`, every module with an `exports.handler` and a
+ * CloudFormation template of the same name, like `lib/custom-cf-cw-events-rule.js`
+ * and `lib/custom-cf-cw-events-rule.yaml`.
+ */
+const discoverHandlers = exports.discoverHandlers = function discoverHandlers(dir = SOURCE_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /\.js$/.test(file))
+    .filter(file => HANDLER_EXPORT.test(fs.readFileSync(path.join(dir, file)).toString()))
+    .sort()
+    .map((file) => {
+      const name = file.replace(/\.js$/, '');
+      const template = path.join(dir, `${name}.yaml`);
+      if (!fs.existsSync(template)) {
+        throw new Error(`Handler ${path.join(dir, file)} has no template ${template}`);
+      }
+      return { name, template };
+    });
+};
+
+/* Minify the code of a bundle, like `uglifyjs --compress -b indent_level=2`.
+ */
+function minifyCode(code) {
+  const result = uglify.minify(code, {
+    mangle: false,
+    compress: {},
+    output: { beautify: true, indent_level: 2 },
+  });
+  if (result.error) {
+    throw result.error;
+  }
+  return result.code;
+}
+
+/* Find the block of the `ZipFile` marked with an `# inline-handler` comment,
+ * it ends at the first line that is not indented deeper than `ZipFile:`.
+ */
+function findZipFileBlock(lines, template) {
+  const marker = lines.findIndex(line => ZIP_FILE_MARKER.test(line));
+  if (marker === -1) {
+    throw new Error(`${template || 'The template'} has no 'ZipFile: | # inline-handler' marker`);
+  }
+
+  const indent = ZIP_FILE_MARKER.exec(lines[marker])[1].length;
+  let end = marker + 1;
+  while (end < lines.length && (lines[end].trim() === '' || lines[end].search(/\S/) > indent)) {
+    end += 1;
+  }
+  while (end > marker + 1 && lines[end - 1].trim() === '') {
+    end -= 1;
+  }
+  return { marker, indent, end };
+}
+
+/* Inject code into the `ZipFile` of a template, marked with an
+ * `# inline-handler` comment -
+ *
+ *   Code:
+ *     ZipFile: | # inline-handler
+ *       ...
+ *
+ * The whole block of the `ZipFile` is replaced, wherever it is in the
+ * template. Fails when the code is over the `ZipFile` limit of CloudFormation.
+ */
+const injectZipFile = exports.injectZipFile = function injectZipFile(
+  templateContent, code, options = {},
+) {
+  const limit = options.limit || ZIP_FILE_LIMIT;
+  const source = options.source || 'code';
+  const size = Buffer.byteLength(code);
+  if (size > limit) {
+    throw new Error(`${source} is ${size} bytes, over the ${limit} bytes limit of a CloudFormation ZipFile`);
+  }
+
+  const lines = templateContent.split('\n');
+  const { marker, indent, end } = findZipFileBlock(lines, options.template);
+  const codeLines = code
+    .replace(/\n$/, '')
+    .split('\n')
+    .map(line => (line === '' ? line : `${' '.repeat(indent + 2)}${line}`));
+  return lines.slice(0, marker + 1).concat(codeLines, lines.slice(end)).join('\n');
+};
+
+/* Replace the marked `ZipFile` of a template with a reference to a packaged
+ * handler in S3 -
+ *
+ *   Code:
+ *     S3Bucket: !Ref CodeBucket
+ *     S3Key: !Ref CodeKey
+ *
+ * The `CodeKey` parameter defaults to `key`, the name of the zip of the handler.
+ */
+const referenceS3Code = exports.referenceS3Code = function referenceS3Code(
+  templateContent, key, options = {},
+) {
+  const lines = templateContent.split('\n');
+  const { marker, indent, end } = findZipFileBlock(lines, options.template);
+  const codeLines = [
+    `${' '.repeat(indent)}S3Bucket: !Ref CodeBucket`,
+    `${' '.repeat(indent)}S3Key: !Ref CodeKey`,
+  ];
+  const parameterLines = [
+    '',
+    '  CodeBucket:',
+    '    Description: S3 bucket of the packaged code of the Lambda function',
+    '    Type: String',
+    '',
+    '  CodeKey:',
+    '    Description: S3 key of the packaged code of the Lambda function',
+    '    Type: String',
+    `    Default: ${key}`,
+  ];
+
+  const packaged = lines.slice(0, marker).concat(codeLines, lines.slice(end));
+  const parameters = packaged.indexOf('Parameters:');
+  if (parameters === -1) {
+    return ['Parameters:'].concat(parameterLines.slice(1), '', packaged).join('\n');
+  }
+  packaged.splice(parameters + 1, 0, ...parameterLines);
+  return packaged.join('\n');
+};
+
+/* eslint-disable no-bitwise */
+const CRC32_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+/* eslint-enable no-bitwise */
+
+/* Create a zip of `[{ name, content }]` files. The zip is deterministic, the
+ * same files give the same bytes - the entries are sorted by name, and have
+ * a fixed modification time (1980-01-01 00:00) and mode (0644).
+ */
+const createZip = exports.createZip = function createZip(files) {
+  const DOS_DATE = 0x21; // 1980-01-01
+  const DOS_TIME = 0;
+  const MODE = 0o100644 * 0x10000; // regular file, rw-r--r--, in the high 16 bits
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files
+    .slice()
+    .sort((a, b) => (a.name < b.name ? -1 : Number(a.name > b.name)))
+    .forEach(({ name, content }) => {
+      const fileName = Buffer.from(name);
+      const data = Buffer.from(content);
+      const compressed = zlib.deflateRawSync(data, { level: 9 });
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0); // local file header signature
+      local.writeUInt16LE(20, 4); // version needed to extract (2.0)
+      local.writeUInt16LE(0, 6); // flags
+      local.writeUInt16LE(8, 8); // deflate
+      local.writeUInt16LE(DOS_TIME, 10);
+      local.writeUInt16LE(DOS_DATE, 12);
+      local.writeUInt32LE(crc32(data), 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(fileName.length, 26);
+      local.writeUInt16LE(0, 28); // extra field length
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+      central.writeUInt16LE(0x0314, 4); // made by unix, version 2.0
+      local.copy(central, 6, 4, 28);
+      central.writeUInt16LE(0, 30); // extra field length
+      central.writeUInt16LE(0, 32); // comment length
+      central.writeUInt16LE(0, 34); // disk number
+      central.writeUInt16LE(0, 36); // internal attributes
+      central.writeUInt32LE(MODE, 38); // external attributes
+      central.writeUInt32LE(offset, 42);
+
+      locals.push(local, fileName, compressed);
+      centrals.push(central, fileName);
+      offset += local.length + fileName.length + compressed.length;
+    });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat(locals.concat(directory, end));
+};
 
-  pasteCloudFormationZipFile(
-    'dist/custom-cf-cw-events-target.min.js',
-    'lib/custom-cf-cw-events-target.yaml',
-    'dist/custom-cf-cw-events-target.yaml',
+/* Package the code of a handler as the `index.js` of a zip, named by the hash
+ * of its content, like `custom-cf-cw-events-rule-0123456789abcdef.zip`. The code
+ * ends with a single newline, as in the `ZipFile` of the inline template.
+ */
+const packageCode = exports.packageCode = function packageCode(name, code) {
+  const zip = createZip([{ name: 'index.js', content: `${code.replace(/\n*$/, '')}\n` }]);
+  const hash = crypto.createHash('sha256').update(zip).digest('hex').slice(0, 16);
+  return { key: `${name}-${hash}.zip`, zip };
+};
+
+/* Inject IAM policies at the start of the `Policies` of a template, marked
+ * with a `# generated-policies` comment -
+ *
+ *   Policies: # generated-policies
+ *   - PolicyName: CloudWatchLogging
+ *     ...
+ *
+ * The policies written in the template are kept after the generated ones.
+ */
+const injectPolicies = exports.injectPolicies = function injectPolicies(
+  templateContent, policies, options = {},
+) {
+  const lines = templateContent.split('\n');
+  const marker = lines.findIndex(line => POLICIES_MARKER.test(line));
+  if (marker === -1) {
+    throw new Error(`${options.template || 'The template'} has no 'Policies: # generated-policies' marker`);
+  }
+
+  const indent = POLICIES_MARKER.exec(lines[marker])[1];
+  const policyLines = yaml.safeDump(policies, { lineWidth: -1, noRefs: true })
+    .replace(/\n$/, '')
+    .split('\n')
+    .map(line => `${indent}${line}`);
+  return lines.slice(0, marker + 1).concat(policyLines, lines.slice(marker + 1)).join('\n');
+};
+
+/* Rename the logical ids in `Ref`, `Fn::GetAtt`, `Fn::Sub` and `DependsOn`.
+ */
+function renameLogicalIds(value, renames) {
+  const rename = name => (
+    Object.prototype.hasOwnProperty.call(renames, name) ? renames[name] : name
   );
+
+  if (Array.isArray(value)) {
+    return value.map(item => renameLogicalIds(item, renames));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const renamed = {};
+  Object.keys(value).forEach((key) => {
+    const item = value[key];
+    if (key === 'Ref' && typeof item === 'string') {
+      renamed[key] = rename(item);
+    } else if (key === 'Fn::GetAtt' && Array.isArray(item)) {
+      renamed[key] = [rename(item[0])].concat(item.slice(1));
+    } else if (key === 'Fn::Sub') {
+      const sub = template => template.replace(/\$\{([^!}.]+)((\.[^}]*)?)\}/g,
+        (match, name, attribute) => `\${${rename(name)}${attribute}}`);
+      renamed[key] = Array.isArray(item)
+        ? [sub(item[0])].concat(renameLogicalIds(item.slice(1), renames))
+        : sub(item);
+    } else if (key === 'DependsOn') {
+      renamed[key] = Array.isArray(item) ? item.map(rename) : rename(item);
+    } else {
+      renamed[key] = renameLogicalIds(item, renames);
+    }
+  });
+  return renamed;
+}
+
+/* Prefix of the logical ids of a handler in the combined template,
+ * like 'Rule' for `custom-cf-cw-events-rule`.
+ */
+function logicalIdPrefix(name) {
+  return name
+    .replace(/^custom-cf-cw-events-/, '')
+    .split(/[^A-Za-z0-9]+/)
+    .map(part => `${part.charAt(0).toUpperCase()}${part.slice(1)}`)
+    .join('');
+}
+
+/* Combine the templates of all the handlers into a single template, the
+ * resources and outputs of each template are prefixed with the name of its
+ * handler, like `RuleLambdaFunction`. The exports keep their names.
+ */
+const combineTemplates = exports.combineTemplates = function combineTemplates(templates) {
+  const combined = {
+    Description: `Custom CloudFormation resources for CloudWatch Events - ${
+      templates.map(template => logicalIdPrefix(template.name)).join(', ')}.`,
+    Parameters: {},
+    Conditions: {},
+    Outputs: {},
+    Resources: {},
+  };
+
+  templates.forEach(({ name, content }) => {
+    const template = parseDocument(content);
+    const prefix = logicalIdPrefix(name);
+    const renames = {};
+    Object.keys(template.Resources).forEach((logicalId) => { renames[logicalId] = `${prefix}${logicalId}`; });
+
+    // parameters and conditions are shared by all the templates
+    ['Parameter', 'Condition'].forEach((section) => {
+      const definitions = template[`${section}s`] || {};
+      Object.keys(definitions).forEach((key) => {
+        const existing = combined[`${section}s`][key];
+        if (existing !== undefined
+          && JSON.stringify(existing) !== JSON.stringify(definitions[key])) {
+          throw new Error(`${section} ${key} of ${name} differs from the other templates`);
+        }
+        combined[`${section}s`][key] = definitions[key];
+      });
+    });
+    Object.keys(template.Resources).forEach((logicalId) => {
+      combined.Resources[renames[logicalId]] =
+        renameLogicalIds(template.Resources[logicalId], renames);
+    });
+    Object.keys(template.Outputs || {}).forEach((output) => {
+      combined.Outputs[`${prefix}${output}`] = renameLogicalIds(template.Outputs[output], renames);
+    });
+  });
+
+  if (Object.keys(combined.Conditions).length === 0) {
+    delete combined.Conditions;
+  }
+  return yaml.safeDump(combined, { lineWidth: -1, noRefs: true });
+};
+
+/* The source template of a handler, with its generated IAM policies.
+ */
+function renderTemplate(name, template) {
+  return injectPolicies(fs.readFileSync(template).toString(), generatePolicies(name), { template });
+}
+
+/* Check that a template fits in a template body. Fails for a template over
+ * the limit, its handlers have to be deployed from the packaged templates.
+ */
+const checkTemplateBody = exports.checkTemplateBody = function checkTemplateBody(
+  content, options = {},
+) {
+  const limit = options.limit || TEMPLATE_BODY_LIMIT;
+  const size = Buffer.byteLength(content);
+  if (size > limit) {
+    throw new Error(`${options.target || 'The template'} is ${size} bytes, over the ${
+      limit} bytes limit of a template body, build the packaged templates instead`);
+  }
+  return content;
+};
+
+/* Write a template, failing when it is too big to be deployed as a template body.
+ */
+function writeTemplate(target, content) {
+  fs.writeFileSync(target, checkTemplateBody(content, { target }));
+}
+
+exports.bundle = function bundle() {
+  discoverHandlers().forEach(({ name }) => {
+    bundleLocalModules(
+      path.join(DIST_DIR, `${name}.js`),
+      path.join(DIST_DIR, `${name}.bundle.js`),
+    );
+  });
+};
+
+exports.min = function min() {
+  discoverHandlers().forEach(({ name }) => {
+    const target = path.join(DIST_DIR, `${name}.min.js`);
+    const code = minifyCode(fs.readFileSync(path.join(DIST_DIR, `${name}.bundle.js`)).toString());
+    console.log(`Minifying ${target} (${Buffer.byteLength(code)} bytes) ...`);
+    fs.writeFileSync(target, code);
+  });
+};
+
+exports.replace = function replace() {
+  discoverHandlers().forEach(({ name, template }) => {
+    const source = path.join(DIST_DIR, `${name}.min.js`);
+    const target = path.join(DIST_DIR, `${name}.yaml`);
+    console.log(`Replacing code in ${target} ...`);
+    writeTemplate(target, injectZipFile(
+      renderTemplate(name, template),
+      fs.readFileSync(source).toString(),
+      { source, template },
+    ));
+  });
+};
+
+exports.combine = function combine() {
+  const target = path.join(DIST_DIR, `${COMBINED_NAME}.yaml`);
+  const content = combineTemplates(discoverHandlers().map(({ name }) => ({
+    name,
+    content: fs.readFileSync(path.join(DIST_DIR, `${name}.yaml`)).toString(),
+  })));
+
+  console.log(`Combining all templates in ${target} ...`);
+  writeTemplate(target, content);
+};
+
+exports.zip = function zip() {
+  discoverHandlers().forEach(({ name, template }) => {
+    const source = path.join(DIST_DIR, `${name}.min.js`);
+    const target = path.join(DIST_DIR, `${name}.packaged.yaml`);
+    const { key, zip: content } = packageCode(name, fs.readFileSync(source).toString());
+    console.log(`Packaging ${source} in ${path.join(DIST_DIR, key)} and ${target} ...`);
+    fs.writeFileSync(path.join(DIST_DIR, key), content);
+    writeTemplate(target, referenceS3Code(renderTemplate(name, template), key, { template }));
+  });
+};
+
+exports.schemas = function schemas() {
+  discoverHandlers().forEach(({ name }) => {
+    const { SCHEMA } = require(path.resolve(SOURCE_DIR, name)); // eslint-disable-line global-require, import/no-dynamic-require
+    if (SCHEMA === undefined) {
+      throw new Error(`Handler ${path.join(SOURCE_DIR, name)}.js exports no SCHEMA`);
+    }
+    const target = path.join(DIST_DIR, `${name}.schema.json`);
+    console.log(`Writing the schema of ${SCHEMA.typeName} to ${target} ...`);
+    fs.writeFileSync(target, `${JSON.stringify(SCHEMA, null, 2)}\n`);
+  });
 };
@@ -0,0 +1,124 @@
+/**
+ *  Promise wrapper of the callback style methods of the AWS SDK v3 aggregated
+ *  clients, with retry of transient errors, see `retry.js`.
+ *
+ *    const api = createApi(cwe, log);
+ *
+ *    await api.call('putRule', params, context);
+ *    await api.callBatch('putTargets', params, 'Targets', context);
+ */
+
+const {
+  backoffDelay,
+  canRetry,
+  isRetryable,
+  sleep,
+} = require('./retry');
+
+/**
+ * Name of the API operation of a client method, like 'PutRule' of 'putRule'.
+ */
+function operationName(method) {
+  return method.charAt(0).toUpperCase() + method.slice(1);
+}
+
+/**
+ * Call an AWS SDK client method, once.
+ *
+ * @returns promise of the response data.
+ * @throws {Error} the error of the call, with the error code as `code`.
+ */
+function invoke(client, method, params) {
+  return new Promise((resolve, reject) => {
+    client[method](params, (err, data) => {
+      if (err) {
+        // the v3 SDK names its errors by code, like 'ResourceNotFoundException'
+        if (err.code === undefined) {
+          err.code = err.name; // eslint-disable-line no-param-reassign
+        }
+        reject(err);
+        return;
+      }
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Create the API caller of a handler.
+ *
+ * @param {object} client - AWS SDK service client, like `CloudWatchEvents`.
+ * @param {object} log    - logger of the handler.
+ * @returns `{ call, callBatch }`.
+ */
+exports.createApi = function createApi(client, log) {
+  /**
+   * Call an API method, retrying retryable errors.
+   *
+   * @param {string} method  - name of the API method, like 'putRule'.
+   * @param {object} params  - params of the API call.
+   * @param {object} context - lambda context, limits the time spent on retries.
+   * @returns promise of the response data.
+   */
+  async function call(method, params, context) {
+    const operation = operationName(method);
+    log.info(`CloudWatchEvents ${method}`, { operation, params });
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await invoke(client, method, params); // eslint-disable-line no-await-in-loop
+      } catch (err) {
+        const delay = backoffDelay(attempt);
+        if (!isRetryable(err.code) || !canRetry(attempt, context, delay)) {
+          throw err;
+        }
+        log.warn(`Retrying ${method} in ${delay}ms after attempt ${attempt} failed with ${err.code}`,
+          { operation });
+        await sleep(delay); // eslint-disable-line no-await-in-loop
+      }
+    }
+  }
+
+  /**
+   * Call a batch API method, like `putTargets` or `removeTargets`, and call it
+   * again with only the entries that failed with a retryable `ErrorCode`.
+   *
+   * @param {string} method  - name of the API method.
+   * @param {object} params  - params of the API call.
+   * @param {string} key     - 'Targets' or 'Ids', the params key of the entries.
+   * @param {object} context - lambda context, limits the time spent on retries.
+   * @returns promise of `{ FailedEntryCount, FailedEntries }` of the entries that failed in the end.
+   */
+  async function callBatch(method, params, key, context) {
+    const failedEntries = [];
+    let pending = params[key];
+
+    for (let attempt = 1; ; attempt += 1) {
+      const batchParams = Object.assign({}, params, { [key]: pending });
+      const data = await call(method, batchParams, context); // eslint-disable-line no-await-in-loop
+      const entries = (data && data.FailedEntries) || [];
+      const retryable = entries.filter(entry => isRetryable(entry.ErrorCode));
+      failedEntries.push(...entries.filter(entry => !isRetryable(entry.ErrorCode)));
+
+      if (retryable.length === 0) {
+        break;
+      }
+
+      const delay = backoffDelay(attempt);
+      if (!canRetry(attempt, context, delay)) {
+        failedEntries.push(...retryable);
+        break;
+      }
+
+      const ids = retryable.map(entry => entry.TargetId);
+      pending = pending.filter(item => ids.indexOf(key === 'Ids' ? item : item.Id) !== -1);
+      log.warn(`Retrying ${method} in ${delay}ms for failed target(s)`,
+        { operation: operationName(method), TargetIds: ids });
+      await sleep(delay); // eslint-disable-line no-await-in-loop
+    }
+
+    return { FailedEntryCount: failedEntries.length, FailedEntries: failedEntries };
+  }
+
+  return { call, callBatch };
+};
@@ -0,0 +1,24 @@
+/**
+ *  `putTargets` and `removeTargets` report the targets they failed on in the
+ *  returned data, not as an error.
+ *  https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchEvents.html#putTargets-property
+ */
+
+/**
+ * Log every failed entry of a `putTargets` or `removeTargets` response.
+ *
+ * @param {object} log  - logger of the handler.
+ * @param {object} data - `{ FailedEntryCount, FailedEntries }` response data.
+ * @returns the Ids of the failed targets, empty when all succeeded.
+ */
+exports.logFailedEntries = function logFailedEntries(log, data) {
+  const failedIds = [];
+  if (data.FailedEntryCount && data.FailedEntryCount > 0) {
+    for (let e = 0; e < data.FailedEntryCount; e += 1) {
+      log.error(new Error(`ERROR: ${data.FailedEntries[e].ErrorCode}: ${data.FailedEntries[e].ErrorMessage}`),
+        { TargetId: data.FailedEntries[e].TargetId });
+      failedIds.push(data.FailedEntries[e].TargetId);
+    }
+  }
+  return failedIds;
+};
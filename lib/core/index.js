@@ -0,0 +1,42 @@
+/**
+ *  Shared code of all the custom resource handlers.
+ *
+ *  `build.js` bundles it into the `ZipFile` of every handler,
+ *  so the templates have no dependencies besides the Lambda runtime.
+ *
+ *  Every handler requires the response module `core/response.js` directly,
+ *  not through this module, so tests can replace it.
+ */
+
+const { createApi } = require('./api');
+const { createLog } = require('./log');
+const {
+  fitName,
+  generateBusName,
+  generateRuleName,
+  generateTargetId,
+  targetIdLimit,
+} = require('./naming');
+const { optProp, onEventBus, uniqueSuffix } = require('./properties');
+const { logFailedEntries } = require('./failed-entries');
+const { CREATE_FAILED_ID, resourceHandler } = require('./resource-handler');
+const { BOOLEAN, resourceSchema, validateProperties } = require('./schema');
+
+module.exports = {
+  BOOLEAN,
+  CREATE_FAILED_ID,
+  createApi,
+  createLog,
+  fitName,
+  generateBusName,
+  generateRuleName,
+  generateTargetId,
+  logFailedEntries,
+  onEventBus,
+  optProp,
+  resourceHandler,
+  resourceSchema,
+  targetIdLimit,
+  uniqueSuffix,
+  validateProperties,
+};
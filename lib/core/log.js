@@ -0,0 +1,131 @@
+/**
+ *  Structured logger of the handlers, writing one JSON line per entry -
+ *
+ *    {"level":"INFO","message":"CloudWatchEvents putRule","RequestId":"...","StackId":"...",
+ *     "LogicalResourceId":"Rule","RequestType":"Create","operation":"PutRule","params":{...}}
+ *
+ *  Entries below the `LOG_LEVEL` environment variable (DEBUG, INFO, WARN or
+ *  ERROR, INFO by default) are skipped. The query string of a `ResponseURL`
+ *  is a signature that allows anyone to answer the request, and `Input` of a
+ *  target may hold secrets, so both are redacted.
+ */
+
+const LEVELS = {
+  DEBUG: 10,
+  INFO: 20,
+  WARN: 30,
+  ERROR: 40,
+};
+
+const DEFAULT_LEVEL = 'INFO';
+
+const REDACTED = '[REDACTED]';
+
+// keys of values that are never logged
+const SECRET_KEYS = ['Input', 'InputTemplate'];
+
+/**
+ * Level set by the `LOG_LEVEL` environment variable.
+ *
+ * @returns one of the keys of `LEVELS`.
+ */
+function minimumLevel() {
+  const level = `${process.env.LOG_LEVEL || DEFAULT_LEVEL}`.toUpperCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * Copy a value to log, without secrets.
+ *
+ * @param {*} value - value to log.
+ * @returns the copy, `ResponseURL` without query string and secret values replaced with '[REDACTED]'.
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value instanceof Error) {
+    return Object.assign({ name: value.name, message: value.message },
+      redact(Object.assign({}, value)), { stack: value.stack });
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    if (SECRET_KEYS.indexOf(key) !== -1) {
+      copy[key] = REDACTED;
+    } else if (key === 'ResponseURL' && typeof value[key] === 'string') {
+      copy[key] = value[key].replace(/\?.*$/, `?${REDACTED}`);
+    } else if (typeof value[key] !== 'function') {
+      copy[key] = redact(value[key]);
+    }
+  });
+  return copy;
+}
+
+exports.redact = redact;
+
+/**
+ * Create a logger. Every handler module exports its own logger,
+ * so tests can stub it without affecting other handlers.
+ *
+ * Every logging method takes a message, or an `Error`, and optional
+ * fields to add to the entry, like `{ operation: 'PutRule', params }`.
+ *
+ * @returns `{ debug, info, warn, error, setRequest }` logger.
+ */
+exports.createLog = function createLog() {
+  let request = {};
+
+  function write(level, message, fields) {
+    if (LEVELS[level] < LEVELS[minimumLevel()]) {
+      return;
+    }
+
+    const entry = Object.assign({ level }, request);
+    if (message instanceof Error) {
+      Object.assign(entry, { message: message.message, error: redact(message) });
+    } else {
+      entry.message = message;
+    }
+    Object.assign(entry, redact(fields || {}));
+
+    const line = JSON.stringify(entry);
+    if (level === 'ERROR') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  return {
+    debug(message, fields) {
+      write('DEBUG', message, fields);
+    },
+    info(message, fields) {
+      write('INFO', message, fields);
+    },
+    warn(message, fields) {
+      write('WARN', message, fields);
+    },
+    error(message, fields) {
+      write('ERROR', message, fields);
+    },
+
+    /**
+     * Correlate the following entries with a CloudFormation request.
+     *
+     * @param {object} event - lambda event of the request.
+     */
+    setRequest(event) {
+      request = {
+        RequestId: event.RequestId,
+        StackId: event.StackId,
+        LogicalResourceId: event.LogicalResourceId,
+        RequestType: event.RequestType,
+      };
+    },
+  };
+};
@@ -0,0 +1,170 @@
+/**
+ *  Physical names of rules, event buses and targets, generated like
+ *  CloudFormation does - `<stack name>-<logical id>-<suffix>` for a rule or an
+ *  event bus and `<logical id>-<suffix>` for a target Id.
+ *
+ *  Names only keep the characters CloudWatch Events allows, and fit its limits:
+ *  64 characters for a rule name, a generated event bus name (the rules on a bus
+ *  are named after it in policies) or a target Id, and 100 characters for the
+ *  `AWSEvents_<rule>_<target>` composite of both. A name that is too long is
+ *  truncated, and a hash of the full name keeps truncated names distinct.
+ *
+ *  The suffix is random, or with `DeterministicName: true` a hash of the
+ *  `StackId` and `LogicalResourceId`, so a retried request gets the same name.
+ *
+ *  Rule and event bus names start with the `NAME_PREFIX` environment variable,
+ *  the `NamePrefix` parameter of the template that scopes the policy of the
+ *  function to `<NamePrefix>*` names. The prefix is never truncated.
+ */
+
+const crypto = require('crypto');
+const { optProp } = require('./properties');
+
+const LIMITS = exports.LIMITS = {
+  ruleName: 64,
+  busName: 64,
+  targetId: 64,
+  composite: 100,
+};
+
+// `AWSEvents_` and `_` of the `AWSEvents_<rule>_<target>` composite
+const COMPOSITE_OVERHEAD = 'AWSEvents__'.length;
+
+const INVALID_CHARACTERS = /[^.\-_A-Za-z0-9]/g;
+
+const HASH_LENGTH = 8;
+
+/**
+ * Uppercase hex hash of a text.
+ *
+ * @param {string} text   - text to hash.
+ * @param {number} length - number of characters of the hash.
+ * @returns hash of `length` characters.
+ */
+function hashOf(text, length) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+    .toUpperCase()
+    .slice(0, length);
+}
+
+/**
+ * Name of the stack of a request.
+ *
+ * @param {event} event - original lambda event argument
+ * @returns the stack name of `event.StackId`.
+ */
+exports.stackName = function stackName(event) {
+  return `${event.StackId}`.replace(/^.*stack\/([^/]+)\/.*/g, '$1');
+};
+
+/**
+ * Join name segments and a suffix, keeping only valid characters and
+ * truncating the segments to fit a maximum length.
+ *
+ * @param {Array}  segments  - segments of the name, like the stack name and logical id.
+ * @param {string} suffix    - suffix of the name, never truncated.
+ * @param {number} maxLength - maximum length of the name.
+ * @returns `<segments>-<suffix>`, at most `maxLength` characters long.
+ */
+const fitName = exports.fitName = function fitName(segments, suffix, maxLength) {
+  const name = segments
+    .map(segment => `${segment}`.replace(INVALID_CHARACTERS, ''))
+    .filter(segment => segment.length > 0)
+    .join('-');
+  const budget = maxLength - suffix.length - 1;
+
+  if (name.length <= budget) {
+    return name ? `${name}-${suffix}` : suffix;
+  }
+  const prefix = name.slice(0, Math.max(0, budget - HASH_LENGTH - 1));
+  return [prefix, hashOf(name, HASH_LENGTH), suffix].filter(part => part.length > 0).join('-');
+};
+
+/**
+ * Check whether a resource asks for deterministic names.
+ *
+ * @param {event} event - original lambda event argument
+ * @returns true when `DeterministicName` is true.
+ */
+const isDeterministic = exports.isDeterministic = function isDeterministic(event) {
+  return `${optProp(event, 'DeterministicName', 'false')}`.toLowerCase() === 'true';
+};
+
+/**
+ * Suffix of a generated name.
+ *
+ * In deterministic mode, the suffix of a replacement also depends on the
+ * physical id being replaced, so the new name never equals the old one.
+ *
+ * @param {event}    event        - original lambda event argument
+ * @param {function} uniqueSuffix - random suffix, used unless the resource asks for deterministic names.
+ * @returns 13 character long alpha numeric uppercase string.
+ */
+const nameSuffix = exports.nameSuffix = function nameSuffix(event, uniqueSuffix) {
+  if (!isDeterministic(event)) {
+    return `${uniqueSuffix()}`;
+  }
+  const seed = [event.StackId, event.LogicalResourceId, event.PhysicalResourceId]
+    .filter(part => part !== undefined)
+    .join('/');
+  return hashOf(seed, 13);
+};
+
+/**
+ * Prefix of the generated rule and event bus names.
+ *
+ * @returns the `NAME_PREFIX` environment variable, empty when not set.
+ */
+const namePrefix = exports.namePrefix = function namePrefix() {
+  return `${process.env.NAME_PREFIX || ''}`;
+};
+
+/**
+ * Generate the name of a rule.
+ *
+ * @param {event}    event        - original lambda event argument
+ * @param {function} uniqueSuffix - random suffix, see `nameSuffix`.
+ * @returns `<prefix><stack name>-<logical id>-<suffix>`, at most 64 characters long.
+ */
+exports.generateRuleName = function generateRuleName(event, uniqueSuffix) {
+  const prefix = namePrefix();
+  return prefix + fitName([exports.stackName(event), event.LogicalResourceId],
+    nameSuffix(event, uniqueSuffix), LIMITS.ruleName - prefix.length);
+};
+
+/**
+ * Generate the name of an event bus.
+ *
+ * @param {event}    event        - original lambda event argument
+ * @param {function} uniqueSuffix - random suffix, see `nameSuffix`.
+ * @returns `<prefix><stack name>-<logical id>-<suffix>`, at most 64 characters long.
+ */
+exports.generateBusName = function generateBusName(event, uniqueSuffix) {
+  const prefix = namePrefix();
+  return prefix + fitName([exports.stackName(event), event.LogicalResourceId],
+    nameSuffix(event, uniqueSuffix), LIMITS.busName - prefix.length);
+};
+
+/**
+ * Maximum length of the Ids of the targets of a rule, so the
+ * `AWSEvents_<rule>_<target>` composite fits its limit.
+ *
+ * @param {string} rule - name (or ARN) of the rule.
+ * @returns maximum length of a target Id.
+ */
+const targetIdLimit = exports.targetIdLimit = function targetIdLimit(rule) {
+  const name = `${rule || ''}`.replace(/^.*\//, '');
+  return Math.min(LIMITS.targetId, LIMITS.composite - COMPOSITE_OVERHEAD - name.length);
+};
+
+/**
+ * Generate the Id of a target.
+ *
+ * @param {event}    event        - original lambda event argument
+ * @param {string}   rule         - name of the rule of the target.
+ * @param {function} uniqueSuffix - random suffix, see `nameSuffix`.
+ * @returns `<logical id>-<suffix>`, fitting both the target Id and the composite limits.
+ */
+exports.generateTargetId = function generateTargetId(event, rule, uniqueSuffix) {
+  return fitName([event.LogicalResourceId], nameSuffix(event, uniqueSuffix), targetIdLimit(rule));
+};
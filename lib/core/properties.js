@@ -0,0 +1,51 @@
+/**
+ *  Helpers for the resource properties of CloudFormation custom resource events.
+ */
+
+/**
+ * Create a unique suffix for resource name similar
+ * to those created by CloudFormation.
+ *
+ * @returns random 13 character long alpha numeric uppercase string
+ */
+exports.uniqueSuffix = function uniqueSuffix() {
+  const crypto = require('crypto'); // eslint-disable-line global-require
+  return crypto.randomBytes(20)
+    .toString('base64')
+    .replace(/[^0-9a-zA-Z]/g, '')
+    .toUpperCase()
+    .slice(0, 13);
+};
+
+/**
+ *  Extract resource property from `event.ResourceProperties`.
+ *
+ * @param {event}  event         - original lambda event argument
+ * @param {string} paramName     - object key under event.ResourceProperties
+ * @param {string} defaultValue  - default value. use `undefined` when not provided.
+ * @returns First among `event.ResourceProperties[paramName]`, `defaultValue` or `undefined`.
+ */
+const optProp = exports.optProp = function optProp(event, paramName, defaultValue) {
+  const properties = event.ResourceProperties || {};
+  if (Object.prototype.hasOwnProperty.call(properties, paramName)
+    && properties[paramName] !== undefined) {
+    return properties[paramName];
+  }
+  return defaultValue;
+};
+
+/**
+ * Add `EventBusName` to the params of an API call, when the resource
+ * is on a custom event bus.
+ *
+ * @param {event}  event  - original lambda event argument
+ * @param {object} params - params of the API call.
+ * @returns params with `EventBusName` when specified.
+ */
+exports.onEventBus = function onEventBus(event, params) {
+  const eventBusName = optProp(event, 'EventBusName');
+  if (eventBusName === undefined) {
+    return params;
+  }
+  return Object.assign({}, params, { EventBusName: eventBusName });
+};
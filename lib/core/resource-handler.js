@@ -0,0 +1,175 @@
+/**
+ *  Lambda handler of a CloudFormation custom resource.
+ *
+ *  Every resource registers an async function for each request type -
+ *
+ *    exports.handler = resourceHandler({
+ *      log,                          - logger of the handler, see `log.js`.
+ *      Response,                     - the response module, see `response.js`.
+ *      Create: createResource,       - async function (event, context, created)
+ *      Update: updateResource,
+ *      Delete: deleteResource,
+ *      schema: SCHEMA,               - resource schema, see `schema.js`. *optional*
+ *    });
+ *
+ *  Each function resolves with `{ data, physicalResourceId, noEcho }` on success
+ *  or throws, and exactly one response is sent to CloudFormation. A thrown
+ *  error becomes the `Reason` of the FAILED response. A function that does not
+ *  complete before the watchdog expires gets a FAILED response, and its late
+ *  result is only logged, see `watchdog.js`.
+ *
+ *  The `ResourceProperties` of Create and Update requests are validated against
+ *  the schema first, invalid properties fail the request without any API call.
+ *  Unknown properties of an Update are only logged, the Update of a rollback
+ *  restores the properties of an older version, and failing it would leave the
+ *  stack in UPDATE_ROLLBACK_FAILED. Delete requests are never validated, so a
+ *  resource can always be deleted.
+ *
+ *  A Create function calls `created(physicalResourceId)` just before the call
+ *  that may create the resource. A Create that fails after that, or times out,
+ *  responds with that physical id, so the Delete of the rollback removes what
+ *  was created. A Create that fails before responds with the `CREATE_FAILED_ID`
+ *  physical id, and the Delete of the rollback that follows succeeds without
+ *  calling the function, there is nothing to delete.
+ */
+
+const { validateProperties } = require('./schema');
+const { startWatchdog } = require('./watchdog');
+
+// physical id of a resource whose Create failed. A valid rule name, event bus
+// name, target Id and statement id, so it never fails an API call by itself.
+const CREATE_FAILED_ID = exports.CREATE_FAILED_ID = 'custom-cf-cw-events-create-failed';
+
+/**
+ * Physical id of a FAILED response. A failed Update or Delete keeps the
+ * physical id, or CloudFormation treats it as a replacement.
+ *
+ * @param {event}  event    - original lambda event argument
+ * @param {object} progress - `{ physicalResourceId }` reported by `created` of a Create.
+ * @returns the physical id.
+ */
+function failedPhysicalResourceId(event, progress) {
+  if (event.RequestType !== 'Create') {
+    return event.PhysicalResourceId;
+  }
+  return progress.physicalResourceId || CREATE_FAILED_ID;
+}
+
+/**
+ * Create the Lambda handler of a custom resource.
+ *
+ * @param {object} resource - logger, response module and functions per request type.
+ * @returns `async function handler(event, context)`, resolved after the response was sent.
+ */
+exports.resourceHandler = function resourceHandler(resource) {
+  const { log, Response } = resource;
+
+  /**
+   * Validate the properties of Create and Update requests against the schema,
+   * unknown properties of an Update are logged instead.
+   *
+   * @throws {Error} listing every invalid property.
+   */
+  function validate(event) {
+    const { schema } = resource;
+    if (schema === undefined || event.RequestType === 'Delete') {
+      return;
+    }
+    let strict = schema;
+    if (event.RequestType === 'Update') {
+      const unknown = Object.keys(event.ResourceProperties || {})
+        .filter(name => !Object.prototype.hasOwnProperty.call(schema.properties || {}, name));
+      if (unknown.length > 0) {
+        log.warn(`Ignoring the unsupported properties of ${schema.typeName}: ${unknown.join(', ')}`);
+      }
+      strict = Object.assign({}, schema, { additionalProperties: true });
+    }
+    const errors = validateProperties(strict, event.ResourceProperties);
+    if (errors.length > 0) {
+      throw new Error(`Invalid properties of ${resource.schema.typeName}: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Run the function registered for the request type, racing the watchdog.
+   *
+   * @param {event}  event    - original lambda event argument
+   * @param {object} context  - lambda context
+   * @param {object} progress - receives the `physicalResourceId` given to `created`.
+   * @returns the result of the function.
+   * @throws {Error} the error of the function, or a timeout error when the watchdog expired first.
+   */
+  async function run(event, context, progress) {
+    const created = (physicalResourceId) => {
+      progress.physicalResourceId = physicalResourceId; // eslint-disable-line no-param-reassign
+    };
+    const watchdog = startWatchdog(context);
+    const operation = Promise.resolve().then(() => {
+      if (event.RequestType === 'Delete' && event.PhysicalResourceId === CREATE_FAILED_ID) {
+        log.info('Delete of a resource whose Create failed, nothing to delete');
+        return { physicalResourceId: event.PhysicalResourceId };
+      }
+      validate(event);
+      return resource[event.RequestType](event, context, created);
+    });
+
+    try {
+      const outcome = await Promise.race([
+        operation.then(result => ({ result })),
+        watchdog.expired.then(remaining => ({ timedOut: true, remaining })),
+      ]);
+
+      if (!outcome.timedOut) {
+        return outcome.result;
+      }
+
+      // the response is sent now, whatever the operation does later is only logged.
+      operation.then(
+        () => log.info(`${event.RequestType} completed after its timeout response was sent`),
+        err => log.error(err),
+      );
+      throw new Error(`${event.RequestType} did not complete within the ${outcome.remaining}ms left `
+        + 'to the Lambda function, its changes may be partially applied');
+    } finally {
+      watchdog.cancel();
+    }
+  }
+
+  async function respond(event, context) {
+    if (['Create', 'Update', 'Delete'].indexOf(event.RequestType) === -1) {
+      const err = new Error(`ERROR: Unknown event.RequestType provided: ${event.RequestType}`);
+      log.error(err);
+      return Response.send(event, context, Response.FAILED, {}, undefined, { reason: err.message });
+    }
+
+    const progress = {};
+    let result;
+    try {
+      result = (await run(event, context, progress)) || {};
+    } catch (err) {
+      log.error(err); // an error occurred
+      return Response.send(event, context, Response.FAILED, {},
+        failedPhysicalResourceId(event, progress), { reason: err.message });
+    }
+
+    if (result.noEcho) {
+      // the attributes are secret, they are masked in the outputs and in the logs
+      return Response.send(event, context, Response.SUCCESS, result.data || {},
+        result.physicalResourceId, { noEcho: true });
+    }
+    return Response.send(event, context, Response.SUCCESS, result.data || {},
+      result.physicalResourceId);
+  }
+
+  return async function handler(event, context) {
+    log.setRequest(event);
+    log.info('CloudFormation request', { event });
+    try {
+      await respond(event, context);
+    } catch (err) {
+      // rejecting would make Lambda retry the whole request, CloudFormation
+      // times out waiting for the response instead.
+      log.error(err);
+    }
+  };
+};
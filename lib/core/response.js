@@ -0,0 +1,147 @@
+/**
+ *  Send the response of a custom resource to CloudFormation, replacing the
+ *  `cfn-response` module of the Lambda runtime.
+ *
+ *  The response is a PUT of a JSON document to the pre-signed S3 `ResponseURL`
+ *  of the event -
+ *
+ *    {
+ *      Status: 'SUCCESS' | 'FAILED',
+ *      Reason: 'STRING_VALUE',              - shown in the stack events, required for FAILED.
+ *      PhysicalResourceId: 'STRING_VALUE',
+ *      StackId, RequestId, LogicalResourceId - copied from the event.
+ *      NoEcho: true | false,                - mask `Data` in the outputs of `Fn::GetAtt`.
+ *      Data: { ... },                       - attributes for `Fn::GetAtt`.
+ *    }
+ *
+ *  The PUT is retried on network errors and 5xx responses, and `send` resolves
+ *  only after CloudFormation (S3) accepted the upload.
+ */
+
+const { URL } = require('url');
+const { createLog } = require('./log');
+
+const log = createLog();
+
+exports.SUCCESS = 'SUCCESS';
+exports.FAILED = 'FAILED';
+
+// delays between attempts of the PUT, one attempt more than delays
+// exports.retryDelays is for tests
+exports.retryDelays = [1000, 2000, 4000];
+
+// milliseconds to wait for a response to a single PUT
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Build the response document.
+ *
+ * @param {event}  event              - original lambda event argument
+ * @param {object} context            - lambda context, the log stream name is the default physical id.
+ * @param {string} responseStatus     - SUCCESS or FAILED.
+ * @param {object} responseData       - attributes of the resource.
+ * @param {string} physicalResourceId - physical id of the resource.
+ * @param {object} options            - `{ reason, noEcho }`.
+ * @returns the response document.
+ */
+const responseBody = exports.responseBody = function responseBody(event, context, responseStatus,
+  responseData, physicalResourceId, options = {}) {
+  const logStream = `See the details in CloudWatch Log Stream: ${context.logStreamName}`;
+  return {
+    Status: responseStatus,
+    Reason: options.reason ? `${options.reason} (${logStream})` : logStream,
+    PhysicalResourceId: physicalResourceId || context.logStreamName,
+    StackId: event.StackId,
+    RequestId: event.RequestId,
+    LogicalResourceId: event.LogicalResourceId,
+    NoEcho: options.noEcho === true,
+    Data: responseData,
+  };
+};
+
+/**
+ * PUT the response document to the `ResponseURL`, once.
+ *
+ * @param {string} responseUrl - pre-signed URL of the response.
+ * @param {string} body        - JSON text of the response document.
+ * @returns promise of the HTTP status code.
+ */
+function put(responseUrl, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(responseUrl);
+    const client = url.protocol === 'http:'
+      ? require('http') // eslint-disable-line global-require
+      : require('https'); // eslint-disable-line global-require
+
+    const request = client.request({
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      method: 'PUT',
+      headers: {
+        'content-type': '',
+        'content-length': Buffer.byteLength(body),
+      },
+    }, (response) => {
+      response.resume(); // drain, the body of a response is not used
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+
+    request.setTimeout(REQUEST_TIMEOUT, () => request.abort());
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function delay(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Send the response of a custom resource to CloudFormation.
+ *
+ * @param {event}  event              - original lambda event argument
+ * @param {object} context            - lambda context
+ * @param {string} responseStatus     - SUCCESS or FAILED.
+ * @param {object} responseData       - attributes of the resource.
+ * @param {string} physicalResourceId - physical id of the resource, defaults to the log stream name.
+ * @param {object} options            - `{ reason, noEcho }`, `reason` is the human readable
+ *                                      cause of a FAILED response, `noEcho` masks `Data`.
+ * @returns promise resolved after the response was uploaded.
+ * @throws {Error} when every attempt of the upload failed.
+ */
+exports.send = async function send(event, context, responseStatus, responseData,
+  physicalResourceId, options) {
+  const document = responseBody(event, context, responseStatus, responseData,
+    physicalResourceId, options);
+  const body = JSON.stringify(document);
+  const delays = exports.retryDelays;
+
+  log.setRequest(event);
+  log.info('CloudFormation response', {
+    response: document.NoEcho ? Object.assign({}, document, { Data: '[REDACTED]' }) : document,
+  });
+
+  for (let attempt = 0; ; attempt += 1) {
+    let failure;
+    let retryable = true;
+    try {
+      const statusCode = await put(event.ResponseURL, body); // eslint-disable-line no-await-in-loop
+      if (statusCode < 300) {
+        return;
+      }
+      failure = new Error(`Response upload failed with HTTP status ${statusCode}`);
+      // a 4xx means the pre-signed URL was rejected, another attempt will not help
+      retryable = statusCode >= 500;
+    } catch (err) {
+      failure = err;
+    }
+
+    if (!retryable || attempt >= delays.length) {
+      throw failure;
+    }
+    log.warn(`Response upload attempt ${attempt + 1} failed, retrying`, { error: failure.message });
+    await delay(delays[attempt]); // eslint-disable-line no-await-in-loop
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ *  Retry of transient CloudWatch Events errors, like `ThrottlingException` or
+ *  `ConcurrentModificationException` when a stack puts many targets on one
+ *  rule in parallel.
+ *
+ *  Attempts are spaced with "full jitter" exponential backoff - a random delay
+ *  between 0 and `min(maxDelay, baseDelay * 2^attempt)` - and stop early when
+ *  the Lambda function would not have `reservedTime` left to send its response.
+ */
+
+// error codes (and `ErrorCode` of failed entries) worth another attempt
+const RETRYABLE_CODES = [
+  'ConcurrentModificationException',
+  'InternalException',
+  'InternalFailure',
+  'NetworkingError',
+  'ServiceUnavailable',
+  'ThrottlingException',
+  'TimeoutError',
+  'TooManyRequestsException',
+];
+
+// exports.options is for tests
+exports.options = {
+  maxAttempts: 8, // including the first attempt
+  baseDelay: 100, // milliseconds
+  maxDelay: 5000, // milliseconds
+  reservedTime: 5000, // milliseconds of Lambda time left for sending the response
+};
+
+/**
+ * Check whether an error code is worth another attempt.
+ *
+ * @param {string} code - `err.code` of an error, or `ErrorCode` of a failed entry.
+ * @returns true when retryable.
+ */
+exports.isRetryable = function isRetryable(code) {
+  return RETRYABLE_CODES.indexOf(code) !== -1;
+};
+
+/**
+ * Delay before the next attempt.
+ *
+ * @param {number} attempt - number of attempts made so far, starting at 1.
+ * @returns random delay in milliseconds.
+ */
+exports.backoffDelay = function backoffDelay(attempt) {
+  const { baseDelay, maxDelay } = exports.options;
+  return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * (2 ** attempt)));
+};
+
+/**
+ * Check whether another attempt is allowed after `attempt` attempts and a delay.
+ *
+ * @param {number} attempt - number of attempts made so far, starting at 1.
+ * @param {object} context - lambda context, retries are not limited by time without one.
+ * @param {number} delay   - delay before the next attempt, in milliseconds.
+ * @returns true when there are attempts and Lambda time left.
+ */
+exports.canRetry = function canRetry(attempt, context, delay) {
+  if (attempt >= exports.options.maxAttempts) {
+    return false;
+  }
+  if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+    return true;
+  }
+  return context.getRemainingTimeInMillis() - delay > exports.options.reservedTime;
+};
+
+exports.sleep = function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+};
@@ -0,0 +1,173 @@
+/**
+ *  Resource schemas of the custom resources, in the style of CloudFormation
+ *  resource provider schemas, and validation of the resource properties.
+ *
+ *  Every handler declares the schema of its resource type -
+ *
+ *    const SCHEMA = exports.SCHEMA = resourceSchema('Custom::Events::Rule', PROPERTY_SPECS, {
+ *      description: 'A CloudWatch Events rule.',
+ *      properties: { ... },
+ *      readOnlyProperties: ['/properties/Arn'],
+ *    });
+ *
+ *  The validation supports the subset of JSON Schema the schemas use - `type`,
+ *  `enum`, `pattern`, `minLength`, `maxLength`, `minimum`, `minItems`, `maxItems`,
+ *  `items`, `properties`, `required`, `additionalProperties`, `allOf`, `anyOf`,
+ *  `oneOf`, `not` and `$ref` to `#/definitions/`. The `description` of a schema
+ *  with `anyOf`, `oneOf` or `not` is the error message when it is not satisfied.
+ *
+ *  The properties of CloudFormation are strings, so booleans and numbers are
+ *  declared to be either, like `{ enum: ['true', 'false', true, false] }`.
+ */
+
+// booleans of the properties, given as strings by CloudFormation
+exports.BOOLEAN = { enum: ['true', 'false', true, false] };
+
+const TYPES = {
+  array: Array.isArray,
+  boolean: value => typeof value === 'boolean',
+  integer: Number.isInteger,
+  number: value => typeof value === 'number',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  string: value => typeof value === 'string',
+};
+
+/**
+ * Create the schema of a resource type. Properties with `replace: true` in the
+ * property specs of the handler are its `createOnlyProperties`, see `diff.js`.
+ *
+ * @param {string} typeName - resource type, like 'Custom::Events::Rule'.
+ * @param {object} specs    - property specs of the handler.
+ * @param {object} schema   - `description`, `properties`, `required`, ... of the schema.
+ * @returns the resource schema.
+ */
+exports.resourceSchema = function resourceSchema(typeName, specs, schema) {
+  return Object.assign({ typeName }, schema, {
+    properties: Object.assign({
+      ServiceToken: { type: 'string', description: 'ARN of the Lambda function of the custom resource.' },
+    }, schema.properties),
+    additionalProperties: false,
+    createOnlyProperties: Object.keys(specs)
+      .filter(name => specs[name].replace)
+      .map(name => `/properties/${name}`),
+  });
+};
+
+/**
+ * Path of a property, like 'Targets[0].Arn'.
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Error message of a property, like 'State must be one of ENABLED, DISABLED'.
+ */
+function message(path, text) {
+  return path ? `${path} ${text}` : text;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} root    - the resource schema, for `$ref`.
+ * @param {object} schema  - schema of the value.
+ * @param {*}      value   - the value.
+ * @param {string} path    - path of the value, for error messages.
+ * @param {object} options - `unresolved(value)` is true for values that can not be validated.
+ * @returns list of error messages.
+ */
+function validate(root, schema, value, path, options) {
+  if (options.unresolved(value)) {
+    return [];
+  }
+  if (schema.$ref !== undefined) {
+    return validate(root, root.definitions[schema.$ref.replace(/^#\/definitions\//, '')], value, path, options);
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => TYPES[type](value))) {
+    const article = type => (/^[aeiou]/.test(type) ? 'an' : 'a');
+    return [message(path, `must be ${types.map(type => `${article(type)} ${type}`).join(' or ')}`)];
+  }
+  if (schema.enum !== undefined && schema.enum.indexOf(value) === -1) {
+    const values = schema.enum.filter((item, index) => schema.enum.indexOf(`${item}`) === index);
+    return [message(path, `must be one of ${values.join(', ')}`)];
+  }
+
+  const errors = [];
+  const check = (failed, text) => {
+    if (failed) {
+      errors.push(message(path, text));
+    }
+  };
+  const matches = subschema => validate(root, subschema, value, path, options).length === 0;
+
+  if (typeof value === 'string') {
+    check(schema.pattern !== undefined && !new RegExp(schema.pattern).test(value), `must match ${schema.pattern}`);
+    check(value.length < schema.minLength, `must be at least ${schema.minLength} characters long`);
+    check(value.length > schema.maxLength, `must be at most ${schema.maxLength} characters long`);
+  }
+  if (typeof value === 'number') {
+    check(value < schema.minimum, `must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    check(value.length < schema.minItems, `must have at least ${schema.minItems} item(s)`);
+    check(value.length > schema.maxItems, `must have at most ${schema.maxItems} item(s)`);
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        errors.push(...validate(root, schema.items, item, childPath(path, index), options));
+      });
+    }
+  }
+
+  if (TYPES.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(message(childPath(path, key), 'is required')));
+    Object.keys(value).forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validate(root, properties[key], value[key], childPath(path, key), options));
+      } else if (schema.additionalProperties === false) {
+        errors.push(message(childPath(path, key), 'is not a supported property'));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(root, schema.additionalProperties, value[key],
+          childPath(path, key), options));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach((subschema) => {
+    errors.push(...validate(root, subschema, value, path, options));
+  });
+  check(schema.anyOf !== undefined && !schema.anyOf.some(matches), schema.description || 'must match a schema of anyOf');
+  check(schema.oneOf !== undefined && schema.oneOf.filter(matches).length !== 1,
+    schema.description || 'must match exactly one schema of oneOf');
+  check(schema.not !== undefined && matches(schema.not), schema.description || 'must not match the schema of not');
+
+  return errors;
+}
+
+/**
+ * Validate the properties of a resource against its schema. Read-only
+ * properties, like `Arn`, can not be set.
+ *
+ * @param {object} schema     - resource schema, see `resourceSchema`.
+ * @param {object} properties - `ResourceProperties` of an event, or `Properties` in a template.
+ * @param {object} options    - `unresolved(value)` is true for values that can not be
+ *                              validated, like intrinsic functions in a template.
+ * @returns list of error messages, empty for valid properties.
+ */
+exports.validateProperties = function validateProperties(schema, properties, options = {}) {
+  const validateOptions = Object.assign({ unresolved: () => false }, options);
+  const readOnly = (schema.readOnlyProperties || [])
+    .map(pointer => pointer.replace(/^\/properties\//, ''))
+    .filter(name => (properties || {})[name] !== undefined)
+    .map(name => message(name, 'is read-only'));
+  return readOnly.concat(validate(schema, schema, properties || {}, '', validateOptions));
+};
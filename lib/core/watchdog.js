@@ -0,0 +1,34 @@
+/**
+ *  Watchdog of a request, expiring shortly before the Lambda function times out,
+ *  so a FAILED response can still be sent when a call hangs. Otherwise
+ *  CloudFormation waits an hour for a response that never comes.
+ *
+ *  The margin is smaller than the time `retry.js` reserves for the response,
+ *  so retries give up with their own error before the watchdog expires.
+ */
+
+// exports.options is for tests
+exports.options = {
+  margin: 3000, // milliseconds before the Lambda timeout
+};
+
+/**
+ * Start the watchdog of a request.
+ *
+ * @param {object} context - lambda context, there is no watchdog without `getRemainingTimeInMillis`.
+ * @returns `{ expired, cancel }` - `expired` is a promise resolved with the milliseconds
+ *          that were left when the request started, `cancel()` stops the watchdog.
+ */
+exports.startWatchdog = function startWatchdog(context) {
+  if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+    return { expired: new Promise(() => {}), cancel() {} };
+  }
+
+  const remaining = context.getRemainingTimeInMillis();
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(remaining), Math.max(0, remaining - exports.options.margin));
+  });
+
+  return { expired, cancel: () => clearTimeout(timer) };
+};
@@ -0,0 +1,156 @@
+/**
+ *  In CloudFormation the resource declaration is:
+ *
+ *  CloudWatchEventBus:
+ *    Type: Custom::Events::EventBus
+ *    Parameters:
+ *      Name: 'STRING_VALUE'               - A name for this event bus. Defaults to the EventSourceName of a partner event bus, otherwise generated from the stack name and logical id, and at most 64 characters long. *optional*
+ *      EventSourceName: 'STRING_VALUE'    - The partner event source to associate with a partner event bus. *optional*
+ *
+ *  # Outputs from CloudWatchEventBus is 'Ref = Name', 'GetAtt.Arn = Arn'
+ *
+ *  CloudWatchEventsRule:
+ *    Type: Custom::Events::Rule
+ *    Parameters:
+ *      EventBusName: !Ref CloudWatchEventBus
+ *
+ */
+
+const { CloudWatchEvents } = require('@aws-sdk/client-cloudwatch-events');
+const {
+  createApi,
+  createLog,
+  generateBusName,
+  optProp,
+  resourceHandler,
+  resourceSchema,
+  uniqueSuffix,
+} = require('./core');
+const Response = require('./core/response');
+const { ChangeType, diffProperties } = require('./diff');
+
+const cwe = new CloudWatchEvents();
+
+// how changes to each property are applied during an update, see `diff.js`
+const PROPERTY_SPECS = {
+  Name: { replace: true },
+  EventSourceName: { replace: true },
+};
+
+// the properties of the resource, validated on Create and Update, see `core/schema.js`
+const SCHEMA = exports.SCHEMA = resourceSchema('Custom::Events::EventBus', PROPERTY_SPECS, {
+  description: 'A CloudWatch Events event bus.',
+  properties: {
+    Name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      pattern: '^[/\\.\\-_A-Za-z0-9]+$',
+      description: 'A name for this event bus. Generated when not provided.',
+    },
+    EventSourceName: {
+      type: 'string',
+      maxLength: 256,
+      pattern: '^aws\\.partner(/[\\.\\-_A-Za-z0-9]+){2,}$',
+      description: 'The partner event source to associate with a partner event bus.',
+    },
+    Arn: { type: 'string', description: 'The ARN of the event bus.' },
+  },
+  readOnlyProperties: ['/properties/Arn'],
+  primaryIdentifier: ['/properties/Name'],
+});
+
+// First, we export our log for tests
+const log = exports.log = createLog();
+
+// calls of the CloudWatch Events API, with retry of transient errors
+const api = createApi(cwe, log);
+
+// exports.uniqueSuffix is for tests
+exports.uniqueSuffix = uniqueSuffix;
+
+/**
+ * Name of the event bus. A partner event bus is named like its event source.
+ *
+ * @param {event} event - original lambda event argument
+ * @returns the `Name`, the `EventSourceName` or a generated name.
+ */
+function busName(event) {
+  return optProp(event, 'Name',
+    optProp(event, 'EventSourceName', generateBusName(event, exports.uniqueSuffix)));
+}
+
+/**
+ * Create a CloudWatch Events Bus.
+ * An event bus that exists already is not deleted by the rollback of the failed Create,
+ * see `created` in `core/resource-handler.js`. A replacement by an Update reports nothing.
+ */
+const createResource = exports.createResource = async function createResource(event, context,
+  created = () => {}) {
+  const resourceName = busName(event);
+
+  const params = {
+    Name: resourceName, /* required */
+    EventSourceName: optProp(event, 'EventSourceName'),
+  };
+
+  created(resourceName);
+  let data;
+  try {
+    data = await api.call('createEventBus', params, context);
+  } catch (err) {
+    if (err.code === 'ResourceAlreadyExistsException') {
+      created(undefined);
+    }
+    throw err;
+  }
+  return { data: { Arn: data.EventBusArn }, physicalResourceId: resourceName };
+};
+
+/**
+ *  Delete a CloudWatch Events Bus.
+ */
+async function deleteResource(event, context) {
+  try {
+    await api.call('deleteEventBus', { Name: event.PhysicalResourceId }, context);
+  } catch (err) {
+    // the event bus is already gone, nothing left to delete.
+    if (err.code !== 'ResourceNotFoundException') {
+      throw err;
+    }
+  }
+  return { physicalResourceId: event.PhysicalResourceId };
+}
+
+/**
+ * Update a CloudWatch Events Bus.
+ * An event bus has no properties that can be updated in place,
+ * a change to `Name` or `EventSourceName` requires *replacement*.
+ */
+async function updateResource(event, context) {
+  const diff = diffProperties(PROPERTY_SPECS, event.OldResourceProperties,
+    event.ResourceProperties);
+  log.info('EventBus properties diff', { diff });
+
+  if (diff.changeType === ChangeType.Replace) {
+    if (busName(event) === event.PhysicalResourceId) {
+      // a new event bus with the same name would keep the same physical id,
+      // and CloudFormation would never delete the event bus it replaces.
+      throw new Error(`Event bus '${event.PhysicalResourceId}' requires replacement, change its 'Name' or remove it.`);
+    }
+    return exports.createResource(event, context); // create a new (Replacement) event bus
+  }
+
+  // return the `Arn` of the existing event bus.
+  const data = await api.call('describeEventBus', { Name: event.PhysicalResourceId }, context);
+  return { data: { Arn: data.Arn }, physicalResourceId: event.PhysicalResourceId };
+}
+
+exports.handler = resourceHandler({
+  log,
+  Response,
+  Create: createResource,
+  Update: updateResource,
+  Delete: deleteResource,
+  schema: SCHEMA,
+});
@@ -0,0 +1,187 @@
+/**
+ *  Running `PutPermission` permits the specified AWS account or AWS
+ *  Organization to put events to the specified event bus.
+ *
+ *  In CloudFormation the resource declaration is:
+ *
+ *  CloudWatchEventsPermission:
+ *    Type: Custom::Events::Permission
+ *    Parameters:
+ *      EventBusName: 'STRING_VALUE'       - The name of the event bus. Defaults to the default event bus. *optional*
+ *      Principal: 'STRING_VALUE'          - *required* The 12-digit AWS account ID that you are permitting to put events, or "*" to permit any account (requires a Condition).
+ *      Action: 'events:PutEvents'         - The action that you are enabling the other account to perform. *optional*
+ *      StatementId: 'STRING_VALUE'        - An identifier string for the external account. Will be generated when not provided. *optional*
+ *      Condition:                         - (map) Grant permission to all the accounts of an AWS Organization. *optional*
+ *        Type: 'StringEquals'             - (String) *required* Only "StringEquals" is supported.
+ *        Key: 'aws:PrincipalOrgID'        - (String) *required* Only "aws:PrincipalOrgID" is supported.
+ *        Value: 'STRING_VALUE'            - (String) *required* The ID of the AWS Organization.
+ *
+ *  # Outputs from CloudWatchEventsPermission is 'Ref = StatementId'
+ *
+ *  Every change of the statement is a *replacement*. The new statement is put
+ *  on the event bus first, and CloudFormation removes the old statement only
+ *  afterwards, so senders are never locked out during a deploy.
+ */
+
+const { CloudWatchEvents } = require('@aws-sdk/client-cloudwatch-events');
+const {
+  createApi,
+  createLog,
+  onEventBus,
+  optProp,
+  resourceHandler,
+  resourceSchema,
+  uniqueSuffix,
+} = require('./core');
+const Response = require('./core/response');
+const { ChangeType, diffProperties } = require('./diff');
+
+const cwe = new CloudWatchEvents();
+
+// how changes to each property are applied during an update, see `diff.js`
+const PROPERTY_SPECS = {
+  EventBusName: { replace: true, default: 'default' },
+  Principal: { replace: true },
+  Action: { replace: true, default: 'events:PutEvents' },
+  StatementId: { replace: true },
+  Condition: { replace: true },
+};
+
+// the properties of the resource, validated on Create and Update, see `core/schema.js`
+const SCHEMA = exports.SCHEMA = resourceSchema('Custom::Events::Permission', PROPERTY_SPECS, {
+  description: 'A statement of the policy of a CloudWatch Events event bus.',
+  properties: {
+    EventBusName: {
+      type: 'string',
+      minLength: 1,
+      description: 'The name of the event bus. Defaults to the default event bus.',
+    },
+    Principal: {
+      type: 'string',
+      pattern: '^([0-9]{12}|\\*)$',
+      description: 'The 12-digit AWS account ID that you are permitting to put events, or "*" to permit any account.',
+    },
+    Action: {
+      type: 'string',
+      pattern: '^events:[a-zA-Z]+$',
+      description: 'The action that you are enabling the other account to perform.',
+    },
+    StatementId: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 64,
+      pattern: '^[a-zA-Z0-9-_]+$',
+      description: 'An identifier string for the external account. Generated when not provided.',
+    },
+    Condition: {
+      type: 'object',
+      properties: {
+        Type: { enum: ['StringEquals'] },
+        Key: { enum: ['aws:PrincipalOrgID'] },
+        Value: { type: 'string', description: 'The ID of the AWS Organization.' },
+      },
+      required: ['Type', 'Key', 'Value'],
+      additionalProperties: false,
+      description: 'Grant permission to all the accounts of an AWS Organization.',
+    },
+  },
+  required: ['Principal'],
+  allOf: [{
+    description: "Principal '*' requires a Condition with the ID of an AWS Organization.",
+    anyOf: [
+      { not: { properties: { Principal: { enum: ['*'] } }, required: ['Principal'] } },
+      { required: ['Condition'] },
+    ],
+  }],
+  primaryIdentifier: ['/properties/StatementId'],
+});
+
+// First, we export our log for tests
+const log = exports.log = createLog();
+
+// calls of the CloudWatch Events API, with retry of transient errors
+const api = createApi(cwe, log);
+
+// exports.uniqueSuffix is for tests
+exports.uniqueSuffix = uniqueSuffix;
+
+/**
+ * Put a statement on the event bus policy.
+ * A failed Create reports the statement id for its rollback, see `created` in
+ * `core/resource-handler.js`. A replacement by an Update reports nothing.
+ */
+const createResource = exports.createResource = async function createResource(event, context,
+  created = () => {}) {
+  // StatementId is limited to 64 characters of [a-zA-Z0-9-_]
+  const statementId = optProp(event, 'StatementId',
+    `${event.LogicalResourceId.replace(/[^a-zA-Z0-9-_]/g, '').slice(0, 50)}-${exports.uniqueSuffix()}`);
+
+  const principal = optProp(event, 'Principal');
+  const condition = optProp(event, 'Condition');
+
+  if (principal === '*' && condition === undefined) {
+    throw new Error("Principal '*' requires a Condition with the ID of an AWS Organization.");
+  }
+
+  const params = onEventBus(event, {
+    Action: optProp(event, 'Action', 'events:PutEvents'), /* required */
+    Principal: principal, /* required */
+    StatementId: statementId, /* required */
+    Condition: condition,
+  });
+
+  created(statementId);
+  await api.call('putPermission', params, context);
+  return { physicalResourceId: statementId };
+};
+
+/**
+ *  Remove a statement from the event bus policy.
+ */
+async function deleteResource(event, context) {
+  const params = onEventBus(event, {
+    StatementId: event.PhysicalResourceId,
+  });
+
+  try {
+    await api.call('removePermission', params, context);
+  } catch (err) {
+    // the statement is already gone, nothing left to remove.
+    if (err.code !== 'ResourceNotFoundException') {
+      throw err;
+    }
+  }
+  return { physicalResourceId: event.PhysicalResourceId };
+}
+
+/**
+ * Update a statement of the event bus policy.
+ * Every change requires *replacement* - a new statement is put with a new
+ * `StatementId`, and CloudFormation removes the old one during cleanup.
+ */
+async function updateResource(event, context) {
+  const diff = diffProperties(PROPERTY_SPECS, event.OldResourceProperties,
+    event.ResourceProperties);
+  log.info('Permission properties diff', { diff });
+
+  if (diff.changeType === ChangeType.NoOp) {
+    return { physicalResourceId: event.PhysicalResourceId };
+  }
+
+  if (optProp(event, 'StatementId') === event.PhysicalResourceId) {
+    // putting a statement with the same id would remove the old one
+    // during cleanup, locking out the senders.
+    throw new Error(`Permission '${event.PhysicalResourceId}' requires replacement, change its 'StatementId' or remove it.`);
+  }
+
+  return exports.createResource(event, context); // put a new (Replacement) statement
+}
+
+exports.handler = resourceHandler({
+  log,
+  Response,
+  Create: createResource,
+  Update: updateResource,
+  Delete: deleteResource,
+  schema: SCHEMA,
+});
@@ -4,14 +4,27 @@
  *  CloudWatchEventsRule:
  *    Type: Custom::Events::Rule
  *    Parameters:
- *      Name: 'STRING_VALUE'               - A name for this rule. *optional*
+ *      Name: 'STRING_VALUE'               - A name for this rule. Generated from the stack name and logical id, and at most 64 characters long, when not provided. *optional*
+ *      DeterministicName: 'false'         - Generate the same name for retries of a request, instead of a random suffix, see `core/naming.js`. *optional*
+ *      Tags:                              - List of Key/Value pairs, updated in place, see `tags.js`. *optional*
+ *      - Key: 'STRING_VALUE'
+ *        Value: 'STRING_VALUE'
+ *      AdoptExisting: 'false'             - Take over an existing rule with the same Name that is not owned by any stack. *optional*
+ *      EventBusName: 'STRING_VALUE'       - The name or ARN of the event bus of this rule. Defaults to the default event bus. *optional*
  *      Description: 'STRING_VALUE'        - A description of the rule.
- *      EventPattern: 'STRING_VALUE'       - The event pattern. For more information, see Events and Event Patterns in the Amazon CloudWatch Events User Guide.
+ *      EventPattern: 'STRING_VALUE'       - The event pattern, as JSON text or as an object. For more information, see Events and Event Patterns in the Amazon CloudWatch Events User Guide.
+ *                                           Numbers and booleans of an object are strings, except in `numeric` and `exists`, use JSON text to match them.
  *      RoleArn: 'STRING_VALUE'            - The Amazon Resource Name (ARN) of the IAM role associated with the rule.
  *      ScheduleExpression: 'STRING_VALUE' - The scheduling expression. For example, "cron(0 20 * * ? *)", "rate(5 minutes)".
  *      State: ENABLED | DISABLED          - Indicates whether the rule is enabled or disabled. Possible values include: "ENABLED" "DISABLED"
+ *      SampleEvents:                      - List of events (objects or JSON text) that must match the EventPattern. *optional*
+ *      NonMatchingEvents:                 - List of events (objects or JSON text) that must not match the EventPattern. *optional*
+ *      RemoveTargetsOnDelete: 'true'      - Remove all targets from the rule before deleting it. Set to 'false' to fail the delete instead. *optional*
  *
- *  # Outputs from CloudWatchEventsRule is 'Ref = Name', 'GetAtt.Arn = Arn'
+ *  # Outputs from CloudWatchEventsRule is 'Ref = Name', 'GetAtt.Arn = Arn', 'GetAtt.Tags = Tags' (JSON text of the tags map)
+ *
+ *  Every rule is tagged with the id of the stack that owns it (`custom-cf-cw-events:stack-id`).
+ *  A rule owned by another stack is never overwritten, and never deleted.
  *
  *  CloudWatchEventsRuleTarget:
  *    Type: Custom::Events::Target
@@ -20,190 +33,405 @@
  *
  */
 
-const CloudWatchEvents = require('aws-sdk/clients/cloudwatchevents');
-const Response = require('cfn-response');
+const { CloudWatchEvents } = require('@aws-sdk/client-cloudwatch-events');
+const {
+  BOOLEAN,
+  createApi,
+  createLog,
+  generateRuleName,
+  logFailedEntries,
+  onEventBus,
+  optProp,
+  resourceHandler,
+  resourceSchema,
+  uniqueSuffix,
+} = require('./core');
+const Response = require('./core/response');
+const { ChangeType, diffProperties } = require('./diff');
+const { matchEventPattern, normalizeEventPattern } = require('./event-pattern');
+const { diffTags, normalizeTags, tagsAttribute } = require('./tags');
 
 const cwe = new CloudWatchEvents();
 
-// First, we export our log for tests
-const log = exports.log = {
-  info(...args) {
-    console.log(...args);
+// maximum number of target ids accepted by a single `removeTargets` call
+const TARGETS_BATCH_SIZE = 10;
+
+// key of the tag with the id of the stack that owns a rule
+const OWNER_TAG_KEY = exports.OWNER_TAG_KEY = 'custom-cf-cw-events:stack-id';
+
+// how changes to each property are applied during an update, see `diff.js`
+const PROPERTY_SPECS = exports.PROPERTY_SPECS = {
+  Name: { replace: true },
+  EventBusName: { replace: true, default: 'default' },
+  EventPattern: { json: true },
+  State: { default: 'ENABLED' },
+  RemoveTargetsOnDelete: { default: 'true' },
+  DeterministicName: { default: 'false' },
+  AdoptExisting: { default: 'false' },
+};
+
+// events of `SampleEvents` and `NonMatchingEvents`
+const EVENTS = {
+  type: 'array',
+  items: { type: ['string', 'object'] },
+};
+
+// the properties of the resource, validated on Create and Update, see `core/schema.js`
+const SCHEMA = exports.SCHEMA = resourceSchema('Custom::Events::Rule', PROPERTY_SPECS, {
+  description: 'A CloudWatch Events rule.',
+  definitions: {
+    // the keys and values are validated by `tags.js`
+    Tag: {
+      type: 'object',
+      properties: {
+        Key: { type: ['string', 'number'] },
+        Value: { type: ['string', 'number', 'boolean'] },
+      },
+      required: ['Key'],
+      additionalProperties: false,
+    },
   },
-  error(...args) {
-    console.error(...args);
+  properties: {
+    Name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 64,
+      pattern: '^[\\.\\-_A-Za-z0-9]+$',
+      description: 'A name for this rule. Generated from the stack name and logical id when not provided.',
+    },
+    EventBusName: {
+      type: 'string',
+      minLength: 1,
+      description: 'The name or ARN of the event bus of this rule. Defaults to the default event bus.',
+    },
+    Description: { type: 'string', maxLength: 512, description: 'A description of the rule.' },
+    EventPattern: { type: ['string', 'object'], description: 'The event pattern, as JSON text or as an object.' },
+    RoleArn: {
+      type: 'string',
+      description: 'The Amazon Resource Name (ARN) of the IAM role associated with the rule.',
+    },
+    ScheduleExpression: {
+      type: 'string',
+      maxLength: 256,
+      pattern: '^(cron|rate)\\(.*\\)$',
+      description: 'The scheduling expression. For example, "cron(0 20 * * ? *)", "rate(5 minutes)".',
+    },
+    State: { enum: ['ENABLED', 'DISABLED'], description: 'Indicates whether the rule is enabled or disabled.' },
+    SampleEvents: Object.assign({ description: 'Events that must match the EventPattern.' }, EVENTS),
+    NonMatchingEvents: Object.assign({ description: 'Events that must not match the EventPattern.' }, EVENTS),
+    RemoveTargetsOnDelete: Object.assign({
+      description: 'Remove all targets from the rule before deleting it, or fail the delete.',
+    }, BOOLEAN),
+    DeterministicName: Object.assign({
+      description: 'Generate the same name for retries of a request, instead of a random suffix.',
+    }, BOOLEAN),
+    Tags: {
+      type: 'array',
+      items: { $ref: '#/definitions/Tag' },
+      description: 'Key/Value pairs, updated in place.',
+    },
+    AdoptExisting: Object.assign({
+      description: 'Take over an existing rule with the same Name that is not owned by any stack.',
+    }, BOOLEAN),
+    Arn: { type: 'string', description: 'The ARN of the rule.' },
   },
-};
+  readOnlyProperties: ['/properties/Arn'],
+  primaryIdentifier: ['/properties/Name'],
+});
+
+// First, we export our log for tests
+const log = exports.log = createLog();
+
+// calls of the CloudWatch Events API, with retry of transient errors
+const api = createApi(cwe, log);
+
+// exports.uniqueSuffix is for tests
+exports.uniqueSuffix = uniqueSuffix;
 
 /**
- * Create a unique suffix for resource name similar
- * to those created by CloudFormation.
+ * Evaluate `SampleEvents` and `NonMatchingEvents` against the event pattern.
  *
- * @returns random 13 character long alpha numeric uppercase string
+ * @param {event}  event        - original lambda event argument
+ * @param {string} eventPattern - normalized event pattern of the rule.
+ * @throws {Error} reporting every violated assertion.
  */
-exports.uniqueSuffix = function uniqueSuffix() {
-  const crypto = require('crypto'); // eslint-disable-line global-require
-  return crypto.randomBytes(20)
-    .toString('base64')
-    .replace(/[^0-9a-zA-Z]/g, '')
-    .toUpperCase()
-    .slice(0, 13);
-};
+function assertSampleEvents(event, eventPattern) {
+  const assertions = [
+    { property: 'SampleEvents', expected: true, message: 'does not match' },
+    { property: 'NonMatchingEvents', expected: false, message: 'matches' },
+  ];
+  const violations = [];
+
+  assertions.forEach(({ property, expected, message }) => {
+    const samples = optProp(event, property, []);
+    if (!Array.isArray(samples)) {
+      violations.push(`${property} must be a list of events`);
+      return;
+    }
+    if (samples.length > 0 && eventPattern === undefined) {
+      violations.push(`${property} requires an EventPattern`);
+      return;
+    }
+    samples.forEach((sample, i) => {
+      let matches;
+      try {
+        matches = matchEventPattern(eventPattern, sample);
+      } catch (err) {
+        violations.push(`${property}[${i}] is not a valid event: ${err.message}`);
+        return;
+      }
+      if (matches !== expected) {
+        violations.push(`${property}[${i}] ${message} the EventPattern`);
+      }
+    });
+  });
+
+  if (violations.length > 0) {
+    throw new Error(`EventPattern assertions failed: ${violations.join('; ')}`);
+  }
+}
+
+/**
+ * Build `putRule` params from `event.ResourceProperties`.
+ *
+ * @param {event}  event - original lambda event argument
+ * @param {string} name  - name of the rule to put.
+ * @returns params for `putRule`.
+ * @throws {Error} when `EventPattern` is invalid or violates `SampleEvents`.
+ */
+function putRuleParams(event, name) {
+  const eventPattern = normalizeEventPattern(optProp(event, 'EventPattern'));
+  assertSampleEvents(event, eventPattern);
+
+  return onEventBus(event, {
+    Name: name, /* required */
+    Description: optProp(event, 'Description'),
+    EventPattern: eventPattern,
+    RoleArn: optProp(event, 'RoleArn'),
+    ScheduleExpression: optProp(event, 'ScheduleExpression'),
+    State: optProp(event, 'State'),
+  });
+}
 
 /**
- *  Extract resource property from `event.ResourceProperties`.
+ * Validate the `Tags` of a rule.
  *
- * @param {event}  event         - original lambda event argument
- * @param {string} paramName     - object key under event.ResourceProperties
- * @param {string} defaultValue  - default value. use `undefined` when not provided.
- * @returns First among `event.ResourceProperties[paramName]`, `defaultValue` or `undefined`.
+ * @param {Array} tags - the `Tags` property, may be undefined.
+ * @returns normalized tags, see `tags.js`.
+ * @throws {Error} when the tags are invalid, or include the ownership tag.
  */
-function optProp(event, paramName, defaultValue) {
-  if (Object.prototype.hasOwnProperty.call(event.ResourceProperties, paramName)
-    && event.ResourceProperties[paramName] !== undefined) {
-    return event.ResourceProperties[paramName];
+function ruleTags(tags) {
+  const normalized = normalizeTags(tags);
+  if (normalized.some(tag => tag.Key === OWNER_TAG_KEY)) {
+    throw new Error(`Invalid Tags: '${OWNER_TAG_KEY}' is reserved for the id of the stack that owns the rule`);
   }
-  return defaultValue;
+  return normalized;
+}
+
+/**
+ * Find an existing rule and the stack that owns it.
+ *
+ * @param {event}  event   - original lambda event argument
+ * @param {object} context - lambda context
+ * @param {string} name    - name of the rule.
+ * @returns `{ arn, owner }` of the rule, `owner` is undefined for a rule without ownership tag.
+ *          `undefined` when the rule does not exist.
+ */
+async function findRule(event, context, name) {
+  let rule;
+  try {
+    rule = await api.call('describeRule', onEventBus(event, { Name: name }), context);
+  } catch (err) {
+    if (err.code === 'ResourceNotFoundException') {
+      return undefined;
+    }
+    throw err;
+  }
+
+  const data = await api.call('listTagsForResource', { ResourceARN: rule.Arn }, context);
+  const ownerTag = (data.Tags || []).find(tag => tag.Key === OWNER_TAG_KEY);
+  return { arn: rule.Arn, owner: ownerTag && ownerTag.Value };
 }
 
 /**
  * Create a CloudWatch Events Rule.
+ * An existing rule with the same name is only updated when this stack owns
+ * it already, or when it has no owner and `AdoptExisting` is 'true'.
+ * Only a new rule is deleted by the rollback of a failed Create, see `created`
+ * in `core/resource-handler.js`. A replacement by an Update reports nothing.
  */
-const createResource = exports.createResource = function createResource(event, context) {
-  const resourceName = optProp(event, 'Name',
-    `${event.StackId.replace(/^.*stack\/([^/]+)\/.*/g, '$1')}-${event.LogicalResourceId}-${exports.uniqueSuffix()}`);
-
-  function createCallback(err, data) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {});
-      return;
+const createResource = exports.createResource = async function createResource(event, context,
+  created = () => {}) {
+  const resourceName = optProp(event, 'Name', generateRuleName(event, exports.uniqueSuffix));
+  const tags = ruleTags(optProp(event, 'Tags'));
+  const params = putRuleParams(event, resourceName);
+
+  const existing = await findRule(event, context, resourceName);
+  if (existing !== undefined && existing.owner !== event.StackId) {
+    if (existing.owner !== undefined) {
+      throw new Error(`Rule '${resourceName}' already exists and is owned by stack ${existing.owner}.`);
+    }
+    if (`${optProp(event, 'AdoptExisting', 'false')}`.toLowerCase() !== 'true') {
+      throw new Error(`Rule '${resourceName}' already exists, set 'AdoptExisting' to 'true' to adopt it.`);
     }
-    Response.send(event, context, Response.SUCCESS, { Arn: data.RuleArn }, resourceName);
+    log.info(`Adopting existing rule '${resourceName}'`);
+  }
+  if (existing === undefined) {
+    created(resourceName);
   }
 
-  const params = {
-    Name: resourceName, /* required */
-    Description: optProp(event, 'Description'),
-    EventPattern: optProp(event, 'EventPattern'),
-    RoleArn: optProp(event, 'RoleArn'),
-    ScheduleExpression: optProp(event, 'ScheduleExpression'),
-    State: optProp(event, 'State'),
+  const ownedTags = tags.concat([{ Key: OWNER_TAG_KEY, Value: event.StackId }]);
+  const data = await api.call('putRule', Object.assign(params, { Tags: ownedTags }), context);
+  if (existing !== undefined) {
+    // `putRule` only tags new rules
+    await api.call('tagResource', { ResourceARN: data.RuleArn, Tags: ownedTags }, context);
+  }
+  return {
+    data: { Arn: data.RuleArn, Tags: tagsAttribute(tags) },
+    physicalResourceId: resourceName,
   };
-
-  cwe.putRule(params, createCallback);
 };
 
 /**
- *  Delete a CloudWatch Events Rule.
+ * Remove every target associated with a rule. Pages through `listTargetsByRule`
+ * to collect the target ids, then removes them in batches with `removeTargets`.
+ *
+ * @param {event}  event    - original lambda event argument
+ * @param {object} context  - lambda context
+ * @param {string} ruleName - name of the rule to remove the targets from.
  */
-function deleteResource(event, context) {
-  function deleteCallback(err) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {});
-      return;
+async function removeAllTargets(event, context, ruleName) {
+  const targetIds = [];
+
+  let nextToken;
+  do {
+    const params = nextToken ? { Rule: ruleName, NextToken: nextToken } : { Rule: ruleName };
+    const data = await api.call('listTargetsByRule', // eslint-disable-line no-await-in-loop
+      onEventBus(event, params), context);
+    (data.Targets || []).forEach(target => targetIds.push(target.Id));
+    nextToken = data.NextToken;
+  } while (nextToken);
+
+  while (targetIds.length > 0) {
+    const params = onEventBus(event, {
+      Rule: ruleName,
+      Ids: targetIds.splice(0, TARGETS_BATCH_SIZE),
+    });
+
+    const data = await api.callBatch('removeTargets', params, 'Ids', context); // eslint-disable-line no-await-in-loop
+
+    const failedIds = logFailedEntries(log, data);
+    if (failedIds.length > 0) {
+      throw new Error(`Failed to remove ${failedIds.length} target(s) from rule ${ruleName}`);
     }
-    Response.send(event, context, Response.SUCCESS, {}, event.PhysicalResourceId);
   }
+}
 
-  // TODO: Delete all associated targets when removed
-  //       because CF creates targets on a new rule
-  //       during replacement, but doesn't remove them
-  //       from the existing rule. Rule updates require deletion!
-  //       During deletion of a rule - it will first
-  //       delete the targets (dependant resources)
-  //       and only then remove the Rule.
+/**
+ *  Delete a CloudWatch Events Rule.
+ *  All targets still associated with the rule are removed first, because
+ *  CloudFormation creates targets on a new rule during replacement but
+ *  never removes them from the old one, and `deleteRule` fails while
+ *  targets remain. Set `RemoveTargetsOnDelete` to 'false' to skip this.
+ *  A rule that is gone already, or owned by another stack, is left as-is.
+ */
+async function deleteResource(event, context) {
+  const existing = await findRule(event, context, event.PhysicalResourceId);
+  if (existing === undefined) {
+    log.warn(`Rule '${event.PhysicalResourceId}' does not exist, nothing to delete`);
+    return { physicalResourceId: event.PhysicalResourceId };
+  }
+  if (existing.owner !== undefined && existing.owner !== event.StackId) {
+    log.warn(`Rule '${event.PhysicalResourceId}' is owned by stack ${existing.owner}, it is not deleted`);
+    return { physicalResourceId: event.PhysicalResourceId };
+  }
 
-  cwe.deleteRule({ Name: event.PhysicalResourceId }, deleteCallback);
+  if (`${optProp(event, 'RemoveTargetsOnDelete', 'true')}` !== 'false') {
+    await removeAllTargets(event, context, event.PhysicalResourceId);
+  }
+
+  await api.call('deleteRule', onEventBus(event, { Name: event.PhysicalResourceId }), context);
+  return { physicalResourceId: event.PhysicalResourceId };
 }
 
 /**
- * Update a CloudWatch Events Rule.
- * The only property that can be updated is the `State` property.
- * All other properties, when changed, require *replacement*.
+ * Apply a change of `Tags` to a rule, removing tags before adding new ones.
+ *
+ * @param {object} context - lambda context
+ * @param {string} arn     - ARN of the rule.
+ * @param {Array}  oldTags - normalized tags of `OldResourceProperties`.
+ * @param {Array}  newTags - normalized tags of `ResourceProperties`.
  */
-function updateResource(event, context) {
-  /**
-   *  Used by enableRule & disableRule when changing `State` property.
-   */
-  function updateCallback(err) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {}, event.PhysicalResourceId);
-      return;
-    }
+async function updateTags(context, arn, oldTags, newTags) {
+  const diff = diffTags(oldTags, newTags);
 
-    Response.send(event, context, Response.SUCCESS, event.ResourceProperties, event.PhysicalResourceId);
+  if (diff.untag.length > 0) {
+    await api.call('untagResource', { ResourceARN: arn, TagKeys: diff.untag }, context);
   }
+  if (diff.tag.length > 0) {
+    await api.call('tagResource', { ResourceARN: arn, Tags: diff.tag }, context);
+  }
+}
 
-  /**
-   * Check event.ResourceProperties against actual resource and initiate
-   * an update (enable/disable) or a replace (create new) of the rule.
-   *
-   * @param {any} err  - error when failing to describe the rule.
-   * @param {any} data - properties of successfully described Rule.
-   */
-  function describeCallback(err, data) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {}, event.PhysicalResourceId);
-      return;
-    }
+/**
+ * Update a CloudWatch Events Rule.
+ * Only a change to the `Name` or `EventBusName` properties requires *replacement*,
+ * all other properties (including `State`) are updated in place with `putRule`,
+ * and `Tags` with `tagResource` and `untagResource`.
+ */
+async function updateResource(event, context) {
+  const diff = diffProperties(PROPERTY_SPECS, event.OldResourceProperties,
+    event.ResourceProperties);
+  log.info('Rule properties diff', { diff });
 
-    // any property other than State is changed ==> Replacement!
-    if (data.Name !== optProp(event, 'Name')
-      || data.Arn !== optProp(event, 'Arn')
-      || data.EventPattern !== optProp(event, 'EventPattern')
-      || data.ScheduleExpression !== optProp(event, 'ScheduleExpression')
-      || data.Description !== optProp(event, 'Description')
-      || data.RoleArn !== optProp(event, 'RoleArn')
-    ) {
-      exports.createResource(event, context); // create a new (Replacement) rule
-      return;
+  if (diff.changeType === ChangeType.Replace) {
+    if (optProp(event, 'Name') === event.PhysicalResourceId) {
+      // a new rule with the same name would keep the same physical id,
+      // and CloudFormation would never delete the rule it replaces.
+      throw new Error(`Rule '${event.PhysicalResourceId}' requires replacement, change its 'Name' or remove it.`);
     }
+    return exports.createResource(event, context); // create a new (Replacement) rule
+  }
 
-    // replacement is not required, probably just a change to `State`
+  const oldTags = normalizeTags((event.OldResourceProperties || {}).Tags);
+  const newTags = ruleTags(optProp(event, 'Tags'));
 
-    if (data.State === optProp(event, 'State')) {
-      // `State` was not changed, this is a NoOp just return.
-      Response.send(event, context, Response.SUCCESS, {}, event.PhysicalResourceId);
-      return;
-    }
+  // make sure the rule exists and get its `Arn`.
+  const rule = await api.call('describeRule', onEventBus(event, { Name: event.PhysicalResourceId }), context);
+  const result = {
+    data: { Arn: rule.Arn, Tags: tagsAttribute(newTags) },
+    physicalResourceId: event.PhysicalResourceId,
+  };
 
-    // change to `State`, update the rule.
-    switch (optProp(event, 'State')) {
-      case 'ENABLED':
-        cwe.enableRule({ Name: event.PhysicalResourceId }, updateCallback);
-        break;
-      case 'DISABLED':
-        cwe.disableRule({ Name: event.PhysicalResourceId }, updateCallback);
-        break;
-      default:
-        log.error(new Error(`Unknown 'State' value. Must be either 'ENABLED' or 'DISABLED', was '${optProp(event, 'State')}'.`));
-        Response.send(event, context, Response.FAILED, {}, event.PhysicalResourceId);
-        break;
-    }
+  if (diff.changeType === ChangeType.NoOp) {
+    // nothing was changed, this is a NoOp just return.
+    return result;
   }
 
-  // diff existing rule with one received in `event.ResourceProperties`.
-  cwe.describeRule({ Name: event.PhysicalResourceId }, describeCallback);
-}
+  const state = optProp(event, 'State');
+  if (state !== undefined && state !== 'ENABLED' && state !== 'DISABLED') {
+    throw new Error(`Unknown 'State' value. Must be either 'ENABLED' or 'DISABLED', was '${state}'.`);
+  }
 
-exports.handler = function handler(event, context) {
-  log.info(event, context);
-  switch (event.RequestType) {
-    case 'Create':
-      createResource(event, context);
-      return;
-    case 'Delete':
-      deleteResource(event, context);
-      return;
-    case 'Update':
-      updateResource(event, context);
-      return;
-    default:
-      log.error(new Error(`ERROR: Unknown event.RequestType provided: ${event.RequestType}`));
-      Response.send(event, context, Response.FAILED, {});
+  const changed = Object.keys(diff.properties)
+    .filter(name => diff.properties[name] !== ChangeType.NoOp);
+  if (changed.some(name => name !== 'Tags')) {
+    // `putRule` on an existing name updates the rule in place
+    const data = await api.call('putRule', putRuleParams(event, event.PhysicalResourceId), context);
+    result.data.Arn = data.RuleArn;
   }
-};
+
+  if (changed.indexOf('Tags') !== -1) {
+    await updateTags(context, result.data.Arn, oldTags, newTags);
+  }
+  return result;
+}
+
+exports.handler = resourceHandler({
+  log,
+  Response,
+  Create: createResource,
+  Update: updateResource,
+  Delete: deleteResource,
+  schema: SCHEMA,
+});
@@ -11,15 +11,19 @@
  *    Type: Custom::Events::Target
  *    Parameters:
  *      RuleArn: !Ref CloudWatchEventsRule  - (String) The name of the rule.
+ *      EventBusName: 'STRING_VALUE'        - (String) The name or ARN of the event bus of the rule. Defaults to the default event bus.
  *      Arn: 'STRING_VALUE'                 - (String) *required* The Amazon Resource Name (ARN) of the target.
  *      ### --- Id: 'STRING_VALUE'          - (String) *required* The ID of the target - will be generated!
+ *      DeterministicName: 'false'          - (String) Generate the same target Id for retries of a request, instead of a random suffix, see `core/naming.js`.
  *      RoleArn: 'STRING_VALUE'             - (String) The Amazon Resource Name (ARN) of the IAM role to be used for this target when the rule is triggered. If one rule triggers multiple targets, you can use a different IAM role for each target.
- *      Input: 'STRING_VALUE'               - (String) Valid JSON text passed to the target. In this case, nothing from the event itself is passed to the target. You must use JSON dot notation, not bracket notation.
+ *      Input: 'STRING_VALUE'               - (String|map) Valid JSON text passed to the target, a map is serialized to JSON. In this case, nothing from the event itself is passed to the target.
  *      InputPath: 'STRING_VALUE'           - (String) The value of the JSONPath that is used for extracting part of the matched event when passing it to the target. You must use JSON dot notation, not bracket notation.
  *      InputTransformer:                   - (map) Settings to enable you to provide custom input to a target based on certain event data. You can extract one or more key-value pairs from the event and then use that data to send customized input to the target.
  *        InputTemplate: 'STRING_VALUE'     - (String) *required* Input template where you can use the values of the keys from InputPathsMap to customize the data sent to the target.
  *        InputPathsMap:                    - (map<String>) Map of JSON paths to be extracted from the event. These are key-value pairs, where each value is a JSON path. You must use JSON dot notation, not bracket notation.
  *          <InputTransformerPathKey>: 'STRING_VALUE'
+ *      ### --- At most one of Input, InputPath and InputTransformer can be set, and every <placeholder>
+ *      ### --- of InputTemplate must be a key of InputPathsMap, see `target-input.js`.
  *      KinesisParameters:                  - (map) The custom parameter you can use to control shard assignment, when the target is an Amazon Kinesis stream. If you do not include this parameter, the default is to use the eventId as the partition key.
  *        PartitionKeyPath: 'STRING_VALUE'  - (String) *required* The JSON path to be extracted from the event and used as the partition key.
  *      RunCommandParameters:               - (map) Parameters used when you are using the rule to invoke Amazon EC2 Run Command.
@@ -30,163 +34,434 @@
  *      EcsParameters:                      - (map) Contains the Amazon ECS task definition and task count to be used, if the event target is an Amazon ECS task.
  *        TaskDefinitionArn: 'STRING_VALUE' - (String) *required* The ARN of the task definition to use if the event target is an Amazon ECS cluster.
  *        TaskCount: NUMBER_VALUE           - (Integer) The number of tasks to create based on the TaskDefinition. The default is one.
+ *
+ *  Instead of a single target, a whole list of targets of the same rule can be managed:
+ *
+ *  CloudWatchEventsRuleTargets:
+ *    Type: Custom::Events::Target
+ *    Parameters:
+ *      Rule: !Ref CloudWatchEventsRule
+ *      Targets:                            - (Array<map>) Targets with the same properties as above.
+ *      - Id: 'STRING_VALUE'                - (String) The ID of the target. Derived from the Arn when not provided, or from the whole target when other targets have the same Arn.
+ *        Arn: 'STRING_VALUE'
  */
 
-const CloudWatchEvents = require('aws-sdk/clients/cloudwatchevents');
-const Response = require('cfn-response');
+const crypto = require('crypto');
+const { CloudWatchEvents } = require('@aws-sdk/client-cloudwatch-events');
+const {
+  BOOLEAN,
+  createApi,
+  createLog,
+  fitName,
+  generateTargetId,
+  logFailedEntries,
+  onEventBus,
+  optProp,
+  resourceHandler,
+  resourceSchema,
+  targetIdLimit,
+  uniqueSuffix,
+} = require('./core');
+const Response = require('./core/response');
+const { ChangeType, canonicalJson, diffProperties } = require('./diff');
+const { normalizeTargetInput } = require('./target-input');
 
 const cwe = new CloudWatchEvents();
 
-// exports.log is useful for tests
-const log = exports.log = {
-  info(...args) {
-    console.log(...args);
+// maximum number of targets accepted by a single `putTargets` or `removeTargets` call
+const TARGETS_BATCH_SIZE = 10;
+
+// how changes to each property are applied during an update, see `diff.js`
+const PROPERTY_SPECS = {
+  EventBusName: { default: 'default' },
+  DeterministicName: { default: 'false' },
+  Input: { json: true },
+};
+
+// properties of a target, of the resource itself or of an entry of `Targets`
+const TARGET_PROPERTIES = {
+  Arn: { type: 'string', minLength: 1, description: 'The Amazon Resource Name (ARN) of the target.' },
+  RoleArn: {
+    type: 'string',
+    description: 'The ARN of the IAM role to be used for this target when the rule is triggered.',
+  },
+  Input: {
+    type: ['string', 'object'],
+    description: 'Valid JSON text passed to the target, a map is serialized to JSON.',
+  },
+  InputPath: {
+    type: 'string',
+    maxLength: 256,
+    description: 'The JSONPath in dot notation of the part of the matched event passed to the target.',
   },
-  error(...args) {
-    console.error(...args);
+  InputTransformer: {
+    type: 'object',
+    properties: {
+      InputTemplate: { type: 'string', minLength: 1, maxLength: 8192 },
+      InputPathsMap: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+    required: ['InputTemplate'],
+    description: 'Custom input to a target based on certain event data, see `target-input.js`.',
+  },
+  KinesisParameters: {
+    type: 'object',
+    properties: { PartitionKeyPath: { type: 'string', maxLength: 256 } },
+    required: ['PartitionKeyPath'],
+    description: 'The shard assignment, when the target is an Amazon Kinesis stream.',
+  },
+  RunCommandParameters: {
+    type: 'object',
+    properties: {
+      RunCommandTargets: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 5,
+        items: {
+          type: 'object',
+          properties: {
+            Key: { type: 'string', minLength: 1, maxLength: 128 },
+            Values: { type: 'array', minItems: 1, maxItems: 50, items: { type: 'string' } },
+          },
+          required: ['Key', 'Values'],
+        },
+      },
+    },
+    required: ['RunCommandTargets'],
+    description: 'Parameters used when you are using the rule to invoke Amazon EC2 Run Command.',
+  },
+  EcsParameters: {
+    type: 'object',
+    properties: {
+      TaskDefinitionArn: { type: 'string', minLength: 1 },
+      TaskCount: { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1 },
+    },
+    required: ['TaskDefinitionArn'],
+    description: 'The Amazon ECS task definition and task count, if the target is an Amazon ECS task.',
   },
 };
 
+// the properties of the resource, validated on Create and Update, see `core/schema.js`
+const SCHEMA = exports.SCHEMA = resourceSchema('Custom::Events::Target', PROPERTY_SPECS, {
+  description: 'A target, or a list of targets, of a CloudWatch Events rule.',
+  definitions: {
+    TargetInput: {
+      description: 'at most one of Input, InputPath and InputTransformer may be set',
+      not: {
+        anyOf: [
+          { required: ['Input', 'InputPath'] },
+          { required: ['Input', 'InputTransformer'] },
+          { required: ['InputPath', 'InputTransformer'] },
+        ],
+      },
+    },
+    Target: {
+      type: 'object',
+      properties: Object.assign({
+        Id: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 64,
+          pattern: '^[\\.\\-_A-Za-z0-9]+$',
+          description: 'The ID of the target. Derived from the Arn when not provided.',
+        },
+      }, TARGET_PROPERTIES),
+      required: ['Arn'],
+      additionalProperties: false,
+      allOf: [{ $ref: '#/definitions/TargetInput' }],
+    },
+  },
+  properties: Object.assign({
+    Rule: { type: 'string', minLength: 1, description: 'The name of the rule.' },
+    EventBusName: {
+      type: 'string',
+      minLength: 1,
+      description: 'The name or ARN of the event bus of the rule. Defaults to the default event bus.',
+    },
+    DeterministicName: Object.assign({
+      description: 'Generate the same target Id for retries of a request, instead of a random suffix.',
+    }, BOOLEAN),
+    Targets: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/definitions/Target' },
+      description: 'Targets of the same rule, managed as a list.',
+    },
+  }, TARGET_PROPERTIES),
+  allOf: [
+    { $ref: '#/definitions/TargetInput' },
+    {
+      description: 'either Arn or Targets must be set',
+      oneOf: [{ required: ['Arn'] }, { required: ['Targets'] }],
+    },
+  ],
+});
+
+// exports.log is useful for tests
+const log = exports.log = createLog();
+
+// calls of the CloudWatch Events API, with retry of transient errors
+const api = createApi(cwe, log);
+
+// exports.uniqueSuffix is for tests
+exports.uniqueSuffix = uniqueSuffix;
+
 /**
- * Create a unique suffix for resource name similar
- * to those created by CloudFormation.
+ * `EcsParameters` of a target for `putTargets`. CloudFormation sends every
+ * scalar as a string, and the SDK only accepts a number as `TaskCount`.
  *
- * @returns random 13 character long alpha numeric uppercase string
+ * @param {event} source - lambda event, or `{ ResourceProperties: entry }` for an entry of `Targets`.
+ * @returns the parameters with a numeric `TaskCount`, or `undefined`.
  */
-// exports.uniqueSuffix is for tests
-exports.uniqueSuffix = function uniqueSuffix() {
-  const crypto = require('crypto'); // eslint-disable-line global-require
-  return crypto.randomBytes(20)
-    .toString('base64')
-    .replace(/[^0-9a-zA-Z]/g, '')
-    .toUpperCase()
-    .slice(0, 13);
-};
+function ecsParameters(source) {
+  const parameters = optProp(source, 'EcsParameters');
+  if (parameters === undefined || parameters === null || parameters.TaskCount === undefined) {
+    return parameters;
+  }
+  return Object.assign({}, parameters, { TaskCount: Number(parameters.TaskCount) });
+}
 
 /**
- *  Extract resource property from `event.ResourceProperties`.
+ * Build a target for `putTargets`.
  *
- * @param {event}  event         - original lambda event argument
- * @param {string} paramName     - object key under event.ResourceProperties
- * @param {string} defaultValue  - default value. use `undefined` when not provided.
- * @returns First among `event.ResourceProperties[paramName]`, `defaultValue` or `undefined`.
+ * @param {event}  source - lambda event, or `{ ResourceProperties: entry }` for an entry of `Targets`.
+ * @param {string} id     - the Id of the target.
+ * @param {string} prefix - prefix of property names in error messages, like 'Targets[0].'.
+ * @param {boolean} lenient - keep the input properties as given, without validation.
+ * @returns target without undefined properties.
+ * @throws {Error} when the input properties of the target are invalid, see `target-input.js`.
  */
-function optProp(event, paramName, defaultValue, property) {
-  if (Object.prototype.hasOwnProperty.call(event.ResourceProperties, paramName)
-    && event.ResourceProperties[paramName] !== undefined) {
-    if (property !== undefined) {
-        return event.ResourceProperties[paramName][property];
-    } else {
-      return event.ResourceProperties[paramName];
-    }
-  }
-  return defaultValue;
+function buildTarget(source, id, prefix, lenient) {
+  const input = optProp(source, 'Input');
+  const target = Object.assign({
+    Id: id,
+    Arn: optProp(source, 'Arn'),
+    EcsParameters: ecsParameters(source),
+    KinesisParameters: optProp(source, 'KinesisParameters'),
+    RoleArn: optProp(source, 'RoleArn'),
+    RunCommandParameters: optProp(source, 'RunCommandParameters'),
+  }, lenient ? {
+    Input: typeof input === 'object' ? canonicalJson(input) : input,
+    InputPath: optProp(source, 'InputPath'),
+    InputTransformer: optProp(source, 'InputTransformer'),
+  } : normalizeTargetInput(source.ResourceProperties, prefix));
+
+  // remove all undefined properties
+  Object.keys(target)
+    .filter(property => target[property] === undefined || target[property] === null)
+    .forEach((property) => { delete target[property]; });
+
+  return target;
 }
 
 /**
- * Create a CloudWatch Events Rule.
+ * Derive a stable Id for an entry of `Targets` without an `Id`, from the
+ * logical id of the resource and the `Arn` of the target. Entries with the
+ * same `Arn` are told apart by their whole definition, never by their
+ * position, so reordering the list keeps the Id of every target.
+ *
+ * @param {string}  logicalResourceId - logical id of the resource.
+ * @param {object}  entry             - entry of `Targets`.
+ * @param {number}  maxLength         - maximum length of the Id, see `targetIdLimit`.
+ * @param {boolean} sharedArn         - another entry without `Id` has the same `Arn`.
+ * @returns target Id, at most `maxLength` characters long.
  */
-function createResource(event, context) {
-  // maximum length for AWSEvents_<rulename>_<targetname> must have length less
-  // than or equal to 100.
+function derivedTargetId(logicalResourceId, entry, maxLength, sharedArn) {
+  const hash = crypto.createHash('sha1')
+    .update(sharedArn ? canonicalJson(entry) : `${entry.Arn}`)
+    .digest('hex')
+    .slice(0, 12);
+  // the Ids derived by earlier versions kept at most 40 characters of the
+  // logical id, the same Ids are derived for the targets they created
+  const logicalId = `${logicalResourceId}`.replace(/[^.\-_A-Za-z0-9]/g, '').slice(0, 40);
+  return fitName([logicalId], hash, maxLength);
+}
 
-  // maximum length for Target Id is 64 characters
-  let physicalResourceId = `${event.LogicalResourceId}`.slice(0,50) + `-${exports.uniqueSuffix()}`;
+/**
+ * All targets managed by the resource. A resource with a `Targets` list manages
+ * every entry of it, otherwise it manages a single target with the physical id as `Id`.
+ *
+ * @param {object} properties        - `ResourceProperties` or `OldResourceProperties`.
+ * @param {string} physicalResourceId - physical id of the resource.
+ * @param {string} logicalResourceId  - logical id of the resource.
+ * @param {boolean} lenient           - skip validation of the input properties, for targets
+ *                                      that only have to be found or removed.
+ * @returns list of targets for `putTargets`.
+ * @throws {Error} when `Targets` is empty, has duplicate Ids or a target has invalid input.
+ */
+function targetsOf(properties, physicalResourceId, logicalResourceId, lenient) {
+  if (properties === undefined) {
+    return [];
+  }
 
-  if (event.RequestType == 'Update') {
-    physicalResourceId = event.PhysicalResourceId;
+  if (!Object.prototype.hasOwnProperty.call(properties, 'Targets')) {
+    return [buildTarget({ ResourceProperties: properties }, physicalResourceId, '', lenient)];
   }
 
-  function createCallback(err, data) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {});
-      return;
-    }
+  if (!Array.isArray(properties.Targets) || properties.Targets.length === 0) {
+    throw new Error('Targets must be a non-empty list of targets.');
+  }
 
-    if (data.FailedEntryCount && data.FailedEntryCount > 0) {
-      for (let e = 0; e < data.FailedEntryCount; e += 1) {
-        log.error(new Error(`ERROR: ${data.FailedEntries[e].ErrorCode}: ${data.FailedEntries[e].ErrorMessage}`));
-      }
-      Response.send(event, context, Response.FAILED, {});
-      return;
-    }
+  const arns = properties.Targets.filter(entry => !entry.Id).map(entry => `${entry.Arn}`);
+  const sharedArn = entry => arns.indexOf(`${entry.Arn}`) !== arns.lastIndexOf(`${entry.Arn}`);
+  const maxLength = targetIdLimit(properties.Rule);
+  const targets = properties.Targets.map((entry, i) => buildTarget({ ResourceProperties: entry },
+    entry.Id || derivedTargetId(logicalResourceId, entry, maxLength, sharedArn(entry)),
+    `Targets[${i}].`, lenient));
 
-    Response.send(event, context, Response.SUCCESS, {}, physicalResourceId);
+  const duplicates = targets
+    .map(target => target.Id)
+    .filter((id, index, ids) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Targets have duplicate Ids: ${duplicates.join(', ')}`);
   }
 
-  const params = {
-    Rule: optProp(event, 'Rule'),
-    Targets: [{
-      Id: physicalResourceId,
-      Arn: optProp(event, 'Arn'),
-      EcsParameters: optProp(event, 'EcsParameters'),
-      Input: optProp(event, 'Input'),
-      InputPath: optProp(event, 'InputPath'),
-      InputTransformer: {
-        InputPathsMap: optProp(event, 'InputTransformer', {}, 'InputPathsMap'),
-        InputTemplate: optProp(event, 'InputTransformer', '', 'InputTemplate')
-      },
-      KinesisParameters: optProp(event, 'KinesisParameters'),
-      RoleArn: optProp(event, 'RoleArn'),
-      RunCommandParameters: optProp(event, 'RunCommandParameters'),
-    }],
-  };
+  return targets;
+}
 
-  // remove all undefined properties
-  for (let property in params.Targets[0]) {
-    if (params.Targets[0][property] == undefined) {
-      delete params.Targets[0][property]
-    }
+// exports.targetsOf is for the drift detection, see `tools/drift.js`
+exports.targetsOf = targetsOf;
+
+/**
+ * Call `putTargets` or `removeTargets` for all the items, in batches of at most
+ * `TARGETS_BATCH_SIZE`. All batches are attempted, so every failed entry is reported.
+ *
+ * @param {event}  source  - lambda event, or `{ ResourceProperties: OldResourceProperties }`
+ *                           for calls on the `Rule` and `EventBusName` of the old properties.
+ * @param {object} context - lambda context
+ * @param {string} method  - 'putTargets' or 'removeTargets'.
+ * @param {string} key     - 'Targets' or 'Ids', the params key of the items.
+ * @param {Array}  items   - targets or target Ids.
+ * @throws {Error} listing the Ids of all the failed entries.
+ */
+async function callInBatches(source, context, method, key, items) {
+  const pending = items.slice();
+  const failedEntries = [];
+
+  while (pending.length > 0) {
+    const params = onEventBus(source, {
+      Rule: optProp(source, 'Rule'),
+      [key]: pending.splice(0, TARGETS_BATCH_SIZE),
+    });
+
+    const data = await api.callBatch(method, params, key, context); // eslint-disable-line no-await-in-loop
+    failedEntries.push(...logFailedEntries(log, data));
   }
 
-  log.info("CloudWatchEvents PutTargets", JSON.stringify(params));
-  cwe.putTargets(params, createCallback);
+  if (failedEntries.length > 0) {
+    throw new Error(`${method} failed for ${failedEntries.length} target(s): ${failedEntries.join(', ')}`);
+  }
 }
 
 /**
- *  Delete a CloudWatch Events Rule.
+ * Move targets to a new rule (or event bus). The targets are put on the new
+ * rule first, and only then removed from the old rule. When either step fails,
+ * the targets put on the new rule are removed again, leaving the old rule as-is.
+ *
+ * @param {event}  event      - original lambda event argument
+ * @param {object} context    - lambda context
+ * @param {Array}  oldTargets - targets on the rule of `OldResourceProperties`.
+ * @param {Array}  newTargets - targets for the rule of `ResourceProperties`.
  */
-function deleteResource(event, context) {
-  function deleteCallback(err, data) {
-    if (err) {
-      log.error(err, err.stack); // an error occurred
-      Response.send(event, context, Response.FAILED, {});
-      return;
+async function moveTargets(event, context, oldTargets, newTargets) {
+  const oldSource = { ResourceProperties: event.OldResourceProperties };
+  const newIds = newTargets.map(target => target.Id);
+
+  try {
+    await callInBatches(event, context, 'putTargets', 'Targets', newTargets);
+    await callInBatches(oldSource, context, 'removeTargets', 'Ids', oldTargets.map(target => target.Id));
+  } catch (err) {
+    log.info('Rolling back targets put on the new rule', { TargetIds: newIds });
+    try {
+      await callInBatches(event, context, 'removeTargets', 'Ids', newIds);
+    } catch (rollbackErr) {
+      log.error(rollbackErr);
     }
+    throw err;
+  }
+}
+
+/**
+ * Add targets to a CloudWatch Events Rule.
+ * Targets put before a failure are removed by the rollback of the failed Create.
+ */
+async function createResource(event, context, created) {
+  // the target Id fits both its own limit and the AWSEvents_<rule>_<target> composite
+  const physicalResourceId = generateTargetId(event, optProp(event, 'Rule'), exports.uniqueSuffix);
+
+  const targets = targetsOf(event.ResourceProperties, physicalResourceId, event.LogicalResourceId);
+  created(physicalResourceId);
+  await callInBatches(event, context, 'putTargets', 'Targets', targets);
+  return { physicalResourceId };
+}
+
+/**
+ *  Remove targets from a CloudWatch Events Rule.
+ *  A rule that is gone already took its targets with it, CloudFormation may
+ *  delete the rule before its targets, or it was deleted outside the stack.
+ */
+async function deleteResource(event, context) {
+  const ids = targetsOf(event.ResourceProperties, event.PhysicalResourceId,
+    event.LogicalResourceId, true).map(target => target.Id);
 
-    if (data.FailedEntryCount && data.FailedEntryCount > 0) {
-      for (let e = 0; e < data.FailedEntryCount; e += 1) {
-        log.error(new Error(`ERROR: ${data.FailedEntries[e].ErrorCode}: ${data.FailedEntries[e].ErrorMessage}`));
-      }
-      Response.send(event, context, Response.FAILED, {});
-      return;
+  try {
+    await callInBatches(event, context, 'removeTargets', 'Ids', ids);
+  } catch (err) {
+    if (err.code !== 'ResourceNotFoundException') {
+      throw err;
     }
+    log.warn(`Rule '${optProp(event, 'Rule')}' does not exist, nothing to remove`);
+  }
+  return { physicalResourceId: event.PhysicalResourceId };
+}
 
-    Response.send(event, context, Response.SUCCESS, {}, event.PhysicalResourceId);
+/**
+ * Update the targets of a CloudWatch Events Rule.
+ * New and changed targets are put first, and only then targets that are
+ * no longer listed are removed. An update without any changed property is a NoOp.
+ * A change of `Rule` or `EventBusName` moves all the targets to the new rule.
+ */
+async function updateResource(event, context) {
+  const result = { physicalResourceId: event.PhysicalResourceId };
+
+  const diff = diffProperties(PROPERTY_SPECS, event.OldResourceProperties,
+    event.ResourceProperties);
+  log.info('Target properties diff', { diff });
+
+  if (diff.changeType === ChangeType.NoOp) {
+    return result;
+  }
+
+  const oldTargets = targetsOf(event.OldResourceProperties, event.PhysicalResourceId,
+    event.LogicalResourceId, true);
+  const newTargets = targetsOf(event.ResourceProperties, event.PhysicalResourceId,
+    event.LogicalResourceId);
+
+  if (['Rule', 'EventBusName'].some(name => diff.properties[name] === ChangeType.InPlace)) {
+    await moveTargets(event, context, oldTargets, newTargets);
+    return result;
   }
 
-  const params = {
-    Rule: optProp(event, 'Rule'),
-    Ids: [event.PhysicalResourceId]
-  };
+  const oldById = {};
+  oldTargets.forEach((target) => { oldById[target.Id] = canonicalJson(target); });
 
-  log.info("CloudWatchEvents RemoveTargets", JSON.stringify(params));
-  cwe.removeTargets(params, deleteCallback);
+  const changed = newTargets.filter(target => oldById[target.Id] !== canonicalJson(target));
+  const newIds = newTargets.map(target => target.Id);
+  const removed = oldTargets
+    .map(target => target.Id)
+    .filter(id => newIds.indexOf(id) === -1);
+
+  log.info('Targets to update', { put: changed.map(target => target.Id), remove: removed });
+
+  await callInBatches(event, context, 'putTargets', 'Targets', changed);
+  await callInBatches(event, context, 'removeTargets', 'Ids', removed);
+  return result;
 }
 
-exports.handler = function handler(event, context) {
-  log.info(event, context);
-  switch (event.RequestType) {
-    case 'Update':
-    case 'Create':
-      createResource(event, context);
-      return;
-    case 'Delete':
-      deleteResource(event, context);
-      return;
-    default:
-      log.error(new Error(`ERROR: Unknown event.RequestType provided: ${event.RequestType}`));
-      Response.send(event, context, Response.FAILED, {});
-  }
-};
+exports.handler = resourceHandler({
+  log,
+  Response,
+  Create: createResource,
+  Update: updateResource,
+  Delete: deleteResource,
+  schema: SCHEMA,
+});
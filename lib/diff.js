@@ -0,0 +1,143 @@
+/**
+ *  Compare `event.OldResourceProperties` with `event.ResourceProperties` of a
+ *  CloudFormation custom resource, and classify every property change.
+ *
+ *  Each handler describes its properties with a spec -
+ *
+ *    {
+ *      Name: { replace: true },               - a change requires a new physical resource.
+ *      EventPattern: { json: true },          - compared as canonical JSON.
+ *      State: { default: 'ENABLED' },         - absent value is equal to the default.
+ *    }
+ *
+ *  Properties not mentioned in the spec are updated in place.
+ */
+
+const ChangeType = exports.ChangeType = {
+  NoOp: 'NoOp',
+  InPlace: 'InPlace',
+  Replace: 'Replace',
+};
+
+// CloudFormation always passes these to the handler, they are not resource properties
+const IGNORED_PROPERTIES = ['ServiceToken'];
+
+/**
+ * Recursively sort object keys, so equal objects serialize equally.
+ *
+ * @param {any}     value            - value to sort.
+ * @param {boolean} scalarsAsStrings - convert numbers and booleans to strings,
+ *                                     like CloudFormation does with resource properties.
+ * @returns copy of `value` with sorted keys.
+ */
+function sortKeys(value, scalarsAsStrings) {
+  if (Array.isArray(value)) {
+    return value.map(item => sortKeys(item, scalarsAsStrings));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      if (value[key] !== undefined) {
+        sorted[key] = sortKeys(value[key], scalarsAsStrings); // eslint-disable-line no-param-reassign
+      }
+      return sorted;
+    }, {});
+  }
+  if (scalarsAsStrings && (typeof value === 'number' || typeof value === 'boolean')) {
+    return `${value}`;
+  }
+  return value;
+}
+
+/**
+ * Serialize a JSON string or object into canonical JSON - no whitespace and
+ * sorted keys. A string that is not valid JSON is returned as-is.
+ *
+ * @param {string|object} value - JSON text or an object.
+ * @returns canonical JSON string, or `undefined` when `value` is undefined.
+ */
+const canonicalJson = exports.canonicalJson = function canonicalJson(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return JSON.stringify(sortKeys(parsed, false));
+};
+
+/**
+ * Serialize a property value for comparison with a value of the API. Numbers
+ * and booleans of objects compare as strings, like CloudFormation passes them,
+ * and a JSON string compares as canonical JSON.
+ *
+ * @param {any} value - the value.
+ * @returns string, or `undefined` when `value` is undefined.
+ */
+exports.comparableJson = function comparableJson(value) {
+  if (value === undefined || typeof value === 'string') {
+    return canonicalJson(value);
+  }
+  return JSON.stringify(sortKeys(value, true));
+};
+
+/**
+ * Normalize a property value for comparison.
+ *
+ * @param {object} spec  - spec of the property, may be empty.
+ * @param {any}    value - value of the property.
+ * @returns normalized string, or `undefined` when absent.
+ */
+function normalize(spec, value) {
+  let normalized = value;
+  if (normalized === undefined || normalized === null || normalized === '') {
+    normalized = spec.default;
+  }
+  if (normalized === undefined) {
+    return undefined;
+  }
+  if (spec.json) {
+    return canonicalJson(normalized);
+  }
+  return JSON.stringify(sortKeys(normalized, true));
+}
+
+/**
+ * Classify the change of every property between old and new resource properties.
+ *
+ * @param {object} specs         - property specs of the resource, see above.
+ * @param {object} oldProperties - `event.OldResourceProperties`.
+ * @param {object} newProperties - `event.ResourceProperties`.
+ * @returns `{ changeType, properties }` where `properties` maps every property
+ *          name to its `ChangeType` and `changeType` is the most severe of them.
+ */
+exports.diffProperties = function diffProperties(specs, oldProperties, newProperties) {
+  const oldProps = oldProperties || {};
+  const newProps = newProperties || {};
+  const names = Object.keys(specs)
+    .concat(Object.keys(oldProps), Object.keys(newProps))
+    .filter((name, index, all) => all.indexOf(name) === index)
+    .filter(name => IGNORED_PROPERTIES.indexOf(name) === -1);
+
+  const result = { changeType: ChangeType.NoOp, properties: {} };
+
+  names.forEach((name) => {
+    const spec = specs[name] || {};
+    let changeType = ChangeType.NoOp;
+    if (normalize(spec, oldProps[name]) !== normalize(spec, newProps[name])) {
+      changeType = spec.replace ? ChangeType.Replace : ChangeType.InPlace;
+    }
+    result.properties[name] = changeType;
+
+    if (changeType === ChangeType.Replace
+      || (changeType === ChangeType.InPlace && result.changeType === ChangeType.NoOp)) {
+      result.changeType = changeType;
+    }
+  });
+
+  return result;
+};
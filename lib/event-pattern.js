@@ -0,0 +1,381 @@
+/**
+ *  Parse, validate, normalize and match a CloudWatch Events `EventPattern`.
+ *
+ *  The pattern can be given in a template as JSON text, or as a YAML/JSON
+ *  object. CloudFormation passes every scalar of a custom resource property
+ *  object as a string, so numbers in `numeric` and booleans in `exists`
+ *  matchers given as an object are converted back to their JSON types.
+ *  Literal values are left as strings, `[123]` or `[true]` in an object
+ *  pattern only match the strings "123" or "true" of an event, never its
+ *  numbers or booleans. Give the pattern as JSON text to match those.
+ *
+ *  Grammar of a pattern -
+ *
+ *    { "field": { "nested-field": [ <value>, ... ] } }
+ *
+ *    <value> is a string, number, boolean, null or one of the matchers -
+ *      { "prefix": "STRING" }
+ *      { "anything-but": "STRING" | NUMBER | [ "STRING" | NUMBER, ... ] | { "prefix": "STRING" } }
+ *      { "numeric": [ "<" | "<=" | "=" | ">" | ">=", NUMBER ] }
+ *      { "numeric": [ ">" | ">=", NUMBER, "<" | "<=", NUMBER ] }
+ *      { "exists": true | false }
+ *
+ *  `matchEventPattern` evaluates a pattern against an event locally, the same
+ *  way CloudWatch Events does, so patterns can be checked without a deploy.
+ */
+
+const { canonicalJson } = require('./diff');
+
+// maximum length of `EventPattern` accepted by `putRule`
+const MAX_EVENT_PATTERN_LENGTH = 4096;
+
+const NUMERIC_OPERATORS = ['<', '<=', '=', '>', '>='];
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Convert stringified scalars of matchers back to numbers and booleans.
+ *
+ * @param {any} value - part of an event pattern given as an object.
+ * @returns copy of `value` with converted matcher values.
+ */
+function coerceMatchers(value) {
+  if (Array.isArray(value)) {
+    return value.map(coerceMatchers);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return Object.keys(value).reduce((result, key) => {
+    let item = coerceMatchers(value[key]);
+    if (key === 'numeric' && Array.isArray(item)) {
+      item = item.map((operand, i) => (i % 2 === 1 && operand !== '' && !Number.isNaN(Number(operand))
+        ? Number(operand) : operand));
+    }
+    if (key === 'exists' && (item === 'true' || item === 'false')) {
+      item = item === 'true';
+    }
+    result[key] = item; // eslint-disable-line no-param-reassign
+    return result;
+  }, {});
+}
+
+/**
+ * Validate a `numeric` matcher.
+ *
+ * @returns error message, or `undefined` when valid.
+ */
+function numericError(operands) {
+  if (!Array.isArray(operands) || (operands.length !== 2 && operands.length !== 4)) {
+    return 'numeric must be an array of [operator, number] or [operator, number, operator, number]';
+  }
+  for (let i = 0; i < operands.length; i += 2) {
+    if (NUMERIC_OPERATORS.indexOf(operands[i]) === -1) {
+      return `numeric operator must be one of ${NUMERIC_OPERATORS.join(' ')}, was '${operands[i]}'`;
+    }
+    if (!isNumber(operands[i + 1])) {
+      return `numeric operator '${operands[i]}' must be followed by a number`;
+    }
+  }
+  if (operands.length === 4) {
+    if (operands[0] !== '>' && operands[0] !== '>=') {
+      return 'numeric range must start with > or >=';
+    }
+    if (operands[2] !== '<' && operands[2] !== '<=') {
+      return 'numeric range must end with < or <=';
+    }
+    if (operands[1] >= operands[3]) {
+      return 'numeric range lower bound must be less than its upper bound';
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Validate an `anything-but` matcher.
+ *
+ * @returns error message, or `undefined` when valid.
+ */
+function anythingButError(value) {
+  if (typeof value === 'string' || isNumber(value)) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return 'anything-but must not be an empty array';
+    }
+    if (!value.every(item => typeof item === 'string' || isNumber(item))) {
+      return 'anything-but array must contain only strings or numbers';
+    }
+    return undefined;
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length !== 1 || keys[0] !== 'prefix' || typeof value.prefix !== 'string') {
+      return 'anything-but object must be { "prefix": "STRING" }';
+    }
+    return undefined;
+  }
+  return 'anything-but must be a string, a number, an array or a prefix matcher';
+}
+
+/**
+ * Validate a matcher object inside a leaf array.
+ *
+ * @param {object} matcher - the matcher.
+ * @param {string} path    - JSON path of the matcher.
+ * @param {Array}  errors  - collected error messages.
+ */
+function validateMatcher(matcher, path, errors) {
+  const keys = Object.keys(matcher);
+  if (keys.length !== 1) {
+    errors.push(`${path}: matcher must have exactly one of prefix, anything-but, numeric, exists`);
+    return;
+  }
+
+  const key = keys[0];
+  const value = matcher[key];
+  let error;
+  switch (key) {
+    case 'prefix':
+      error = typeof value === 'string' ? undefined : 'prefix must be a string';
+      break;
+    case 'anything-but':
+      error = anythingButError(value);
+      break;
+    case 'numeric':
+      error = numericError(value);
+      break;
+    case 'exists':
+      error = typeof value === 'boolean' ? undefined : 'exists must be true or false';
+      break;
+    default:
+      error = `unknown matcher '${key}'`;
+      break;
+  }
+
+  if (error) {
+    errors.push(`${path}.${key}: ${error}`);
+  }
+}
+
+/**
+ * Validate a (nested) object of an event pattern.
+ *
+ * @param {object} pattern - the pattern object.
+ * @param {string} path    - JSON path of the object.
+ * @param {Array}  errors  - collected error messages.
+ */
+function validateObject(pattern, path, errors) {
+  const keys = Object.keys(pattern);
+  if (keys.length === 0) {
+    errors.push(`${path}: must not be empty`);
+    return;
+  }
+
+  keys.forEach((key) => {
+    const value = pattern[key];
+    const valuePath = `${path}.${key}`;
+
+    if (isPlainObject(value)) {
+      validateObject(value, valuePath, errors);
+      return;
+    }
+
+    if (!Array.isArray(value)) {
+      errors.push(`${valuePath}: leaf value must be an array`);
+      return;
+    }
+
+    if (value.length === 0) {
+      errors.push(`${valuePath}: must not be an empty array`);
+      return;
+    }
+
+    value.forEach((item, i) => {
+      const itemPath = `${valuePath}[${i}]`;
+      if (Array.isArray(item)) {
+        errors.push(`${itemPath}: arrays cannot be nested`);
+      } else if (isPlainObject(item)) {
+        validateMatcher(item, itemPath, errors);
+      }
+    });
+  });
+}
+
+/**
+ * Parse an event pattern given as JSON text or as an object.
+ *
+ * @param {string|object} value - `EventPattern` resource property.
+ * @returns the pattern object.
+ */
+const parseEventPattern = exports.parseEventPattern = function parseEventPattern(value) {
+  if (typeof value !== 'string') {
+    return coerceMatchers(value);
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid EventPattern: not valid JSON: ${err.message}`);
+  }
+};
+
+/**
+ * Validate the grammar of an event pattern.
+ *
+ * @param {object} pattern - the parsed pattern.
+ * @returns array of error messages prefixed with the JSON path of the bad field.
+ */
+const validateEventPattern = exports.validateEventPattern = function validateEventPattern(pattern) {
+  const errors = [];
+
+  if (!isPlainObject(pattern)) {
+    errors.push('$: must be an object');
+    return errors;
+  }
+
+  validateObject(pattern, '$', errors);
+
+  const length = JSON.stringify(pattern).length;
+  if (length > MAX_EVENT_PATTERN_LENGTH) {
+    errors.push(`$: must be at most ${MAX_EVENT_PATTERN_LENGTH} characters long, was ${length}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Parse and validate an event pattern.
+ *
+ * @param {string|object} value - `EventPattern` resource property.
+ * @returns the pattern object.
+ * @throws {Error} listing all the validation errors.
+ */
+function parseValidEventPattern(value) {
+  const pattern = parseEventPattern(value);
+  const errors = validateEventPattern(pattern);
+  if (errors.length > 0) {
+    throw new Error(`Invalid EventPattern: ${errors.join('; ')}`);
+  }
+  return pattern;
+}
+
+/**
+ * Parse and validate an event pattern and serialize it as canonical JSON.
+ *
+ * @param {string|object} value - `EventPattern` resource property.
+ * @returns canonical JSON text of the pattern, or `undefined` when `value` is undefined.
+ * @throws {Error} listing all the validation errors.
+ */
+exports.normalizeEventPattern = function normalizeEventPattern(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return canonicalJson(parseValidEventPattern(value));
+};
+
+/**
+ * Match a single event value against a single pattern value or matcher.
+ *
+ * @param {any} expected - value or matcher object from the pattern.
+ * @param {any} actual   - value from the event, `undefined` when absent.
+ * @returns true when matching.
+ */
+function matchValue(expected, actual) {
+  if (!isPlainObject(expected)) {
+    return actual !== undefined && expected === actual;
+  }
+
+  const key = Object.keys(expected)[0];
+  const value = expected[key];
+  switch (key) {
+    case 'prefix':
+      return typeof actual === 'string' && actual.startsWith(value);
+    case 'anything-but':
+      if (actual === undefined || isPlainObject(actual)) {
+        return false;
+      }
+      if (Array.isArray(value)) {
+        return value.indexOf(actual) === -1;
+      }
+      if (isPlainObject(value)) {
+        return typeof actual === 'string' && !actual.startsWith(value.prefix);
+      }
+      return actual !== value;
+    case 'numeric':
+      if (!isNumber(actual)) {
+        return false;
+      }
+      for (let i = 0; i < value.length; i += 2) {
+        const operand = value[i + 1];
+        const matches = {
+          '<': actual < operand,
+          '<=': actual <= operand,
+          '=': actual === operand,
+          '>': actual > operand,
+          '>=': actual >= operand,
+        }[value[i]];
+        if (!matches) {
+          return false;
+        }
+      }
+      return true;
+    case 'exists':
+      return value === (actual !== undefined);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Match a leaf array of a pattern against an event value. An event value
+ * that is an array matches when any of its elements match.
+ *
+ * @param {Array} expected - leaf array from the pattern.
+ * @param {any}   actual   - value from the event, `undefined` when absent.
+ * @returns true when matching.
+ */
+function matchLeaf(expected, actual) {
+  if (Array.isArray(actual)) {
+    if (actual.length === 0) {
+      return expected.some(item => matchValue(item, undefined));
+    }
+    return actual.some(element => expected.some(item => matchValue(item, element)));
+  }
+  return expected.some(item => matchValue(item, actual));
+}
+
+/**
+ * Match an object of a pattern against an object of an event.
+ *
+ * @returns true when every field of the pattern matches.
+ */
+function matchObject(pattern, event) {
+  const fields = isPlainObject(event) ? event : {};
+  return Object.keys(pattern).every((key) => {
+    if (isPlainObject(pattern[key])) {
+      return matchObject(pattern[key], fields[key]);
+    }
+    return matchLeaf(pattern[key], fields[key]);
+  });
+}
+
+/**
+ * Check whether an event matches an event pattern, without any network calls.
+ *
+ * @param {string|object} pattern - event pattern, as JSON text or an object.
+ * @param {string|object} event   - event, as JSON text or an object.
+ * @returns true when the event matches the pattern.
+ * @throws {Error} when the pattern is invalid.
+ */
+exports.matchEventPattern = function matchEventPattern(pattern, event) {
+  const parsedEvent = typeof event === 'string' ? JSON.parse(event) : event;
+  return matchObject(parseValidEventPattern(pattern), parsedEvent);
+};
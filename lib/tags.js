@@ -0,0 +1,99 @@
+/**
+ *  Validate and diff the `Tags` of a resource, a list of Key/Value pairs -
+ *
+ *    Tags:
+ *    - Key: 'STRING_VALUE'                - 1 to 128 characters, must not start with 'aws:'.
+ *      Value: 'STRING_VALUE'              - 0 to 256 characters.
+ *
+ *  Tags are applied with `tagResource` and `untagResource`, so a change of
+ *  the tags never replaces the resource.
+ */
+
+const MAX_TAGS = 50;
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+/**
+ * Validate and normalize `Tags`.
+ *
+ * @param {Array} tags - the `Tags` property, may be undefined.
+ * @returns list of `{ Key, Value }`, empty when there are no tags.
+ * @throws {Error} listing all the validation errors.
+ */
+exports.normalizeTags = function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') {
+    return [];
+  }
+  if (!Array.isArray(tags)) {
+    throw new Error('Invalid Tags: must be a list of Key/Value pairs');
+  }
+
+  const errors = [];
+  if (tags.length > MAX_TAGS) {
+    errors.push(`at most ${MAX_TAGS} tags are allowed, ${tags.length} are set`);
+  }
+
+  const keys = [];
+  const normalized = tags.map((tag, i) => {
+    if (tag === null || typeof tag !== 'object' || tag.Key === undefined) {
+      errors.push(`Tags[${i}].Key is required`);
+      return undefined;
+    }
+
+    const key = `${tag.Key}`;
+    const value = tag.Value === undefined || tag.Value === null ? '' : `${tag.Value}`;
+    if (key.length < 1 || key.length > MAX_KEY_LENGTH) {
+      errors.push(`Tags[${i}].Key must be 1 to ${MAX_KEY_LENGTH} characters long`);
+    }
+    if (/^aws:/i.test(key)) {
+      errors.push(`Tags[${i}].Key '${key}' must not start with 'aws:'`);
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+      errors.push(`Tags[${i}].Value must be at most ${MAX_VALUE_LENGTH} characters long`);
+    }
+    if (keys.indexOf(key) !== -1) {
+      errors.push(`Tags[${i}].Key '${key}' is a duplicate`);
+    }
+    keys.push(key);
+    return { Key: key, Value: value };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid Tags: ${errors.join('; ')}`);
+  }
+  return normalized;
+};
+
+/**
+ * Compare old and new tags.
+ *
+ * @param {Array} oldTags - normalized tags of `OldResourceProperties`.
+ * @param {Array} newTags - normalized tags of `ResourceProperties`.
+ * @returns `{ tag, untag }` - the tags to add or change, and the keys of the tags to remove.
+ */
+exports.diffTags = function diffTags(oldTags, newTags) {
+  const oldValues = {};
+  oldTags.forEach((tag) => { oldValues[tag.Key] = tag.Value; });
+  const newKeys = newTags.map(tag => tag.Key);
+
+  return {
+    tag: newTags.filter(tag => !Object.prototype.hasOwnProperty.call(oldValues, tag.Key)
+      || oldValues[tag.Key] !== tag.Value),
+    untag: oldTags.map(tag => tag.Key).filter(key => newKeys.indexOf(key) === -1),
+  };
+};
+
+/**
+ * Value of the `Tags` attribute for `Fn::GetAtt`.
+ *
+ * @param {Array} tags - normalized tags.
+ * @returns JSON text of a map of tag keys to values, like '{"Owner":"team"}'.
+ */
+exports.tagsAttribute = function tagsAttribute(tags) {
+  const map = {};
+  tags
+    .map(tag => tag.Key)
+    .sort()
+    .forEach((key) => { map[key] = tags.find(tag => tag.Key === key).Value; });
+  return JSON.stringify(map);
+};
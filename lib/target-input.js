@@ -0,0 +1,144 @@
+/**
+ *  Validate and normalize the input of a CloudWatch Events target.
+ *
+ *  At most one of the input properties can be set -
+ *
+ *    Input: 'STRING_VALUE' | map          - JSON text, or an object that is serialized to JSON text.
+ *    InputPath: '$.detail'                - JSONPath in dot notation of the part of the event to pass.
+ *    InputTransformer:
+ *      InputPathsMap:                     - map of placeholder names to JSONPaths in dot notation.
+ *        instance: '$.detail.instance-id'
+ *      InputTemplate: '"<instance> is <state>"' - every <placeholder> must be a key of InputPathsMap.
+ *
+ *  When none of them is set, the whole matched event is passed to the target.
+ */
+
+const { canonicalJson } = require('./diff');
+
+const INPUT_PROPERTIES = ['Input', 'InputPath', 'InputTransformer'];
+
+// JSONPath in dot notation, with optional array indexes - `$.detail.items[0].id`
+const DOT_NOTATION_PATH = /^\$(\.[^.[\]'"\s]+(\[\d+\])*)*$/;
+
+// keys of `InputPathsMap` that can be used as <placeholder> in `InputTemplate`
+const PLACEHOLDER_NAME = /^[A-Za-z0-9_-]+$/;
+
+// placeholders that are always available in `InputTemplate`
+const PREDEFINED_PLACEHOLDERS = [
+  'aws.events.rule-arn',
+  'aws.events.rule-name',
+  'aws.events.event',
+  'aws.events.event.ingestion-time',
+  'aws.events.event.json',
+];
+
+const MAX_INPUT_PATHS = 100;
+
+/**
+ * Validate an `InputTransformer`.
+ *
+ * @param {object} transformer - the `InputTransformer` property.
+ * @param {string} label       - name of the property, for error messages.
+ * @returns array of error messages.
+ */
+function inputTransformerErrors(transformer, label) {
+  const errors = [];
+
+  if (transformer === null || typeof transformer !== 'object' || Array.isArray(transformer)) {
+    return [`${label} must be a map with InputTemplate and InputPathsMap`];
+  }
+
+  const pathsMap = transformer.InputPathsMap || {};
+  const names = Object.keys(pathsMap);
+
+  if (names.length > MAX_INPUT_PATHS) {
+    errors.push(`${label}.InputPathsMap must have at most ${MAX_INPUT_PATHS} entries, has ${names.length}`);
+  }
+
+  names.forEach((name) => {
+    if (!PLACEHOLDER_NAME.test(name) || name.startsWith('AWS')) {
+      errors.push(`${label}.InputPathsMap key '${name}' must contain only letters, digits, '-' and '_' and not start with 'AWS'`);
+    }
+    if (!DOT_NOTATION_PATH.test(pathsMap[name])) {
+      errors.push(`${label}.InputPathsMap.${name} '${pathsMap[name]}' is not a JSONPath in dot notation`);
+    }
+  });
+
+  if (typeof transformer.InputTemplate !== 'string' || transformer.InputTemplate === '') {
+    errors.push(`${label}.InputTemplate is required`);
+    return errors;
+  }
+
+  const placeholder = /<([A-Za-z0-9_.-]+)>/g;
+  let match = placeholder.exec(transformer.InputTemplate);
+  while (match !== null) {
+    const name = match[1];
+    if (names.indexOf(name) === -1 && PREDEFINED_PLACEHOLDERS.indexOf(name) === -1) {
+      errors.push(`${label}.InputTemplate placeholder <${name}> is not defined in InputPathsMap`);
+    }
+    match = placeholder.exec(transformer.InputTemplate);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and normalize the input properties of a target.
+ *
+ * @param {object} properties - properties of the target.
+ * @param {string} prefix     - prefix of property names in error messages, like 'Targets[0].'.
+ * @returns `{ Input }`, `{ InputPath }`, `{ InputTransformer }` or `{}` when none is set.
+ * @throws {Error} listing all the validation errors.
+ */
+exports.normalizeTargetInput = function normalizeTargetInput(properties, prefix = '') {
+  const given = INPUT_PROPERTIES
+    .filter(name => properties[name] !== undefined && properties[name] !== null);
+
+  if (given.length > 1) {
+    throw new Error('Invalid target input: at most one of Input, InputPath and InputTransformer may be set, '
+      + `${prefix}${given.join(` and ${prefix}`)} are set`);
+  }
+
+  if (given.length === 0) {
+    return {};
+  }
+
+  const name = given[0];
+  const value = properties[name];
+  let errors = [];
+  const result = {};
+
+  switch (name) {
+    case 'Input':
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (err) {
+          errors.push(`${prefix}Input must be valid JSON text: ${err.message}`);
+        }
+        result.Input = value;
+      } else {
+        result.Input = canonicalJson(value);
+      }
+      break;
+    case 'InputPath':
+      if (!DOT_NOTATION_PATH.test(value)) {
+        errors.push(`${prefix}InputPath '${value}' is not a JSONPath in dot notation`);
+      }
+      result.InputPath = value;
+      break;
+    default:
+      errors = inputTransformerErrors(value, `${prefix}InputTransformer`);
+      result.InputTransformer = {
+        InputPathsMap: value.InputPathsMap,
+        InputTemplate: value.InputTemplate,
+      };
+      break;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid target input: ${errors.join('; ')}`);
+  }
+
+  return result;
+};
@@ -0,0 +1,199 @@
+import { test } from 'tape';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import {
+  checkTemplateBody, combineTemplates, createZip, discoverHandlers, injectZipFile, packageCode,
+  referenceS3Code,
+} from '../build';
+import { parseDocument } from '../tools/template';
+
+const TEMPLATE = [
+  'Resources:',
+  '  LambdaFunction:',
+  '    Type: AWS::Lambda::Function',
+  '    Properties:',
+  '      Code:',
+  '        ZipFile: | # inline-handler',
+  "          const Response = require('cfn-response');",
+  '',
+  '          exports.handler = function handler(event, context) {};',
+  '',
+  '      Handler: index.handler',
+  '',
+  'Outputs:',
+  '  LambdaArn:',
+  '    Value: !GetAtt LambdaFunction.Arn',
+  '',
+].join('\n');
+
+test('build: discoverHandlers', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'build-'));
+  fs.writeFileSync(path.join(directory, 'helper.js'), 'exports.helper = 1;\n');
+  fs.writeFileSync(path.join(directory, 'handler.js'), 'exports.handler = function handler() {};\n');
+
+  t.plan(2);
+  t.deepEqual(discoverHandlers().map(handler => handler.name), [
+    'custom-cf-cw-events-bus',
+    'custom-cf-cw-events-permission',
+    'custom-cf-cw-events-rule',
+    'custom-cf-cw-events-target',
+  ], 'every handler of lib/');
+  t.throws(() => discoverHandlers(directory), /handler\.js has no template .*handler\.yaml/,
+    'a handler needs a template',
+  );
+
+  ['helper.js', 'handler.js'].forEach(file => fs.unlinkSync(path.join(directory, file)));
+  fs.rmdirSync(directory);
+});
+
+test('build: injectZipFile replaces the marked block', (t) => {
+  const injected = injectZipFile(TEMPLATE, 'exports.handler = async function () {\n  return 1;\n};\n');
+  const template = parseDocument(injected);
+
+  t.plan(3);
+  t.deepEqual(injected.split('\n').slice(5, 11), [
+    '        ZipFile: | # inline-handler',
+    '          exports.handler = async function () {',
+    '            return 1;',
+    '          };',
+    '',
+    '      Handler: index.handler',
+  ], 'the code is indented under the marker');
+  t.equal(template.Resources.LambdaFunction.Properties.Handler, 'index.handler', 'the rest of the template is kept');
+  t.deepEqual(template.Outputs.LambdaArn.Value, { 'Fn::GetAtt': ['LambdaFunction', 'Arn'] }, 'outputs are kept');
+});
+
+test('build: injectZipFile fails', (t) => {
+  t.plan(3);
+  t.throws(() => injectZipFile(TEMPLATE, 'x'.repeat(101), { limit: 100, source: 'dist/handler.min.js' }),
+    /^Error: dist\/handler\.min\.js is 101 bytes, over the 100 bytes limit of a CloudFormation ZipFile$/,
+    'code over the ZipFile limit',
+  );
+  t.throws(() => injectZipFile(TEMPLATE, 'x'.repeat(51201)),
+    /^Error: code is 51201 bytes, over the 51200 bytes limit of a CloudFormation ZipFile$/,
+    'the default limit is the template body limit',
+  );
+  t.throws(() => injectZipFile(TEMPLATE.replace(' # inline-handler', ''), 'code', { template: 'lib/handler.yaml' }),
+    /lib\/handler\.yaml has no 'ZipFile: \| # inline-handler' marker/,
+    'a template without marker',
+  );
+});
+
+test('build: checkTemplateBody', (t) => {
+  t.plan(3);
+  t.equal(checkTemplateBody(TEMPLATE), TEMPLATE, 'a template that fits is returned');
+  t.throws(() => checkTemplateBody('x'.repeat(51201), { target: 'dist/handler.yaml' }),
+    /^Error: dist\/handler\.yaml is 51201 bytes, over the 51200 bytes limit of a template body, build the packaged templates instead$/,
+    'a template over the template body limit',
+  );
+  t.throws(() => checkTemplateBody(injectZipFile(TEMPLATE, 'x'.repeat(51000))), /over the 51200 bytes limit of a template body/,
+    'inline code that fits in a ZipFile but not in the template body',
+  );
+});
+
+/**
+ * Read the files of a zip, from their local headers.
+ *
+ * @returns map of the file names to their content.
+ */
+const unzip = (zip) => {
+  const files = {};
+  let offset = 0;
+  while (zip.readUInt32LE(offset) === 0x04034b50) {
+    const size = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + zip.readUInt16LE(offset + 28);
+    const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = zlib.inflateRawSync(zip.slice(start, start + size)).toString();
+    offset = start + size;
+  }
+  return files;
+};
+
+test('build: createZip is deterministic', (t) => {
+  const files = [{ name: 'index.js', content: 'exports.handler = 1;\n' }, { name: 'a.js', content: '' }];
+  const zip = createZip(files);
+  const packaged = packageCode('handler', 'exports.handler = 1;');
+
+  t.plan(4);
+  t.ok(zip.equals(createZip(files.slice().reverse())), 'the same files give the same zip');
+  t.deepEqual(unzip(zip), { 'a.js': '', 'index.js': 'exports.handler = 1;\n' }, 'the files are zipped');
+  t.ok(/^handler-[0-9a-f]{16}\.zip$/.test(packaged.key), 'the zip is named by its content hash');
+  t.notEqual(packageCode('handler', 'exports.handler = 2;').key, packaged.key, 'other code, other name');
+});
+
+test('build: the inline and packaged templates have the same code', (t) => {
+  const handlers = discoverHandlers();
+  t.plan(handlers.length * 3);
+
+  handlers.forEach(({ name, template }) => {
+    const source = fs.readFileSync(template).toString();
+    const code = fs.readFileSync(path.join('lib', `${name}.js`)).toString();
+    const { key, zip } = packageCode(name, code);
+    const inline = parseDocument(injectZipFile(source, code));
+    const packaged = parseDocument(referenceS3Code(source, key));
+
+    const packagedCode = packaged.Resources.LambdaFunction.Properties.Code;
+    t.equal(inline.Resources.LambdaFunction.Properties.Code.ZipFile, unzip(zip)['index.js'],
+      `${name}: the same code`,
+    );
+    t.deepEqual([packagedCode, packaged.Parameters.CodeKey.Default],
+      [{ S3Bucket: { Ref: 'CodeBucket' }, S3Key: { Ref: 'CodeKey' } }, key], `${name}: the code is in S3`,
+    );
+
+    delete inline.Resources.LambdaFunction.Properties.Code;
+    delete packaged.Resources.LambdaFunction.Properties.Code;
+    delete packaged.Parameters.CodeBucket;
+    delete packaged.Parameters.CodeKey;
+    t.deepEqual(packaged, inline, `${name}: the rest of the templates is the same`);
+  });
+});
+
+test('build: combineTemplates', (t) => {
+  const template = [
+    'Parameters:',
+    '  EnvironmentName:',
+    '    Type: String',
+    'Resources:',
+    '  Role:',
+    '    Type: AWS::IAM::Role',
+    '  LambdaFunction:',
+    '    Type: AWS::Lambda::Function',
+    '    DependsOn: Role',
+    '    Properties:',
+    '      Role: !GetAtt Role.Arn',
+    '      Description: !Sub ${EnvironmentName}-${Role}-${AWS::Region}', // eslint-disable-line no-template-curly-in-string
+    'Outputs:',
+    '  Lambda:',
+    '    Value: !Ref LambdaFunction',
+  ].join('\n');
+
+  const combined = parseDocument(combineTemplates([
+    { name: 'custom-cf-cw-events-rule', content: template },
+    { name: 'custom-cf-cw-events-event-bus', content: template },
+  ]));
+
+  t.plan(4);
+  t.deepEqual(Object.keys(combined.Resources),
+    ['RuleRole', 'RuleLambdaFunction', 'EventBusRole', 'EventBusLambdaFunction'],
+    'resources are prefixed with the name of their handler',
+  );
+  t.deepEqual(combined.Resources.RuleLambdaFunction, {
+    Type: 'AWS::Lambda::Function',
+    DependsOn: 'RuleRole',
+    Properties: {
+      Role: { 'Fn::GetAtt': ['RuleRole', 'Arn'] },
+      Description: { 'Fn::Sub': '${EnvironmentName}-${RuleRole}-${AWS::Region}' }, // eslint-disable-line no-template-curly-in-string
+    },
+  }, 'references are renamed, parameters and pseudo parameters are not');
+  t.deepEqual(combined.Outputs, {
+    RuleLambda: { Value: { Ref: 'RuleLambdaFunction' } },
+    EventBusLambda: { Value: { Ref: 'EventBusLambdaFunction' } },
+  }, 'outputs are prefixed');
+  t.throws(() => combineTemplates([
+    { name: 'a', content: template },
+    { name: 'b', content: template.replace('Type: String', 'Type: Number') },
+  ]), /Parameter EnvironmentName of b differs from the other templates/, 'parameters must be the same');
+});
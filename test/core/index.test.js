@@ -0,0 +1,350 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import {
+  CREATE_FAILED_ID,
+  logFailedEntries,
+  onEventBus,
+  optProp,
+  resourceHandler,
+  uniqueSuffix,
+} from '../../lib/core';
+import watchdog from '../../lib/core/watchdog';
+
+// the watchdog expires 50ms after the start of a request in tests
+watchdog.options.margin = 0;
+const timedContext = { done() { }, getRemainingTimeInMillis: () => 50 };
+
+const createResource = () => {
+  const Response = {
+    SUCCESS: 'SUCCESS',
+    FAILED: 'FAILED',
+    send: sinon.stub(),
+  };
+  const log = {
+    info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(), setRequest: sinon.stub(),
+  };
+  const resource = {
+    log,
+    Response,
+    Create: sinon.stub(),
+    Update: sinon.stub(),
+    Delete: sinon.stub(),
+  };
+  return { resource, handler: resourceHandler(resource) };
+};
+
+const context = { done() { } }; // a fake context
+
+test('core: resourceHandler => dispatches on event.RequestType', async (t) => {
+  const { resource, handler } = createResource();
+
+  const event = { RequestType: 'Delete' };
+  await handler(event, context);
+
+  t.plan(3);
+
+  t.ok(resource.Delete.calledWith(event, context), 'Delete is called with (event, context)');
+  t.ok(resource.Create.notCalled, 'Create is not called');
+  t.ok(resource.Update.notCalled, 'Update is not called');
+});
+
+test('core: resourceHandler => resolved result sends SUCCESS', async (t) => {
+  const { resource, handler } = createResource();
+  resource.Create.resolves({ data: { Arn: 'arn' }, physicalResourceId: 'physical-id' });
+
+  const event = { RequestType: 'Create' };
+  await handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [event, context, 'SUCCESS', { Arn: 'arn' }, 'physical-id'],
+    'SUCCESS response is sent with the data and physical id',
+  );
+});
+
+test('core: resourceHandler => thrown error sends FAILED with the Reason', async (t) => {
+  const { resource, handler } = createResource();
+  const err = new Error('test-error');
+  resource.Create.rejects(err);
+  resource.Update.rejects(err);
+  resource.Delete.rejects(err);
+
+  const createEvent = { RequestType: 'Create' };
+  await handler(createEvent, context);
+
+  const updateEvent = { RequestType: 'Update', PhysicalResourceId: 'physical-id' };
+  await handler(updateEvent, context);
+
+  const deleteEvent = { RequestType: 'Delete', PhysicalResourceId: 'physical-id' };
+  await handler(deleteEvent, context);
+
+  t.plan(4);
+
+  t.deepEqual(resource.log.error.firstCall.args, [err],
+    'log.error should be called with err',
+  );
+
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [createEvent, context, 'FAILED', {}, CREATE_FAILED_ID, { reason: 'test-error' }],
+    'FAILED response of a create has the placeholder physical id',
+  );
+
+  t.deepEqual(resource.Response.send.secondCall.args,
+    [updateEvent, context, 'FAILED', {}, 'physical-id', { reason: 'test-error' }],
+    'FAILED response of an update keeps the physical id',
+  );
+
+  t.deepEqual(resource.Response.send.thirdCall.args,
+    [deleteEvent, context, 'FAILED', {}, 'physical-id', { reason: 'test-error' }],
+    'FAILED response of a delete keeps the physical id',
+  );
+});
+
+test('core: resourceHandler => failed Create, then the Delete of its rollback', async (t) => {
+  const { resource, handler } = createResource();
+  resource.schema = {
+    typeName: 'Custom::Test::Resource',
+    properties: { Name: { type: 'string' } },
+    additionalProperties: false,
+  };
+  const validatingHandler = resourceHandler(resource);
+
+  const createEvent = { RequestType: 'Create', ResourceProperties: { Unknown: 'x' } };
+  await validatingHandler(createEvent, context);
+
+  const physicalResourceId = resource.Response.send.firstCall.args[4];
+  const deleteEvent = { RequestType: 'Delete', PhysicalResourceId: physicalResourceId, ResourceProperties: {} };
+  await handler(deleteEvent, context);
+
+  t.plan(4);
+
+  t.deepEqual(resource.Response.send.firstCall.args.slice(2, 5), ['FAILED', {}, CREATE_FAILED_ID],
+    'the failed Create responds with the placeholder physical id',
+  );
+  t.ok(/^[.\-_A-Za-z0-9]{1,64}$/.test(CREATE_FAILED_ID), 'the placeholder is a valid rule name and target Id');
+  t.ok(resource.Create.notCalled && resource.Delete.notCalled, 'neither function is called');
+  t.deepEqual(resource.Response.send.secondCall.args, [deleteEvent, context, 'SUCCESS', {}, CREATE_FAILED_ID],
+    'the Delete of the rollback succeeds',
+  );
+});
+
+test('core: resourceHandler => rollback Update with a property the schema no longer supports', async (t) => {
+  const { resource } = createResource();
+  resource.schema = {
+    typeName: 'Custom::Test::Resource',
+    properties: { Name: { type: 'string' } },
+    additionalProperties: false,
+  };
+  resource.Update.resolves({ physicalResourceId: 'physical-id' });
+  const handler = resourceHandler(resource);
+
+  const rollbackEvent = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'physical-id',
+    ResourceProperties: { Name: 'name', Removed: 'x' },
+    OldResourceProperties: { Name: 'name' },
+  };
+  await handler(rollbackEvent, context);
+  const invalidEvent = Object.assign({}, rollbackEvent, { ResourceProperties: { Name: 1, Removed: 'x' } });
+  await handler(invalidEvent, context);
+
+  t.plan(4);
+  t.ok(resource.Update.calledOnce && resource.Update.calledWith(rollbackEvent), 'the rollback is applied');
+  t.deepEqual(resource.Response.send.firstCall.args, [rollbackEvent, context, 'SUCCESS', {}, 'physical-id'],
+    'the rollback succeeds',
+  );
+  t.deepEqual(resource.log.warn.firstCall.args,
+    ['Ignoring the unsupported properties of Custom::Test::Resource: Removed'], 'the unknown property is logged',
+  );
+  t.deepEqual(resource.Response.send.secondCall.args.slice(2),
+    ['FAILED', {}, 'physical-id', { reason: 'Invalid properties of Custom::Test::Resource: Name must be a string' }],
+    'the other properties are still validated',
+  );
+});
+
+test('core: resourceHandler => Create fails after created, then the Delete of its rollback', async (t) => {
+  const { resource, handler } = createResource();
+  resource.Create.callsFake(async (event, ctx, created) => {
+    created('physical-id');
+    throw new Error('tagResource failed');
+  });
+  resource.Delete.resolves({ physicalResourceId: 'physical-id' });
+
+  const createEvent = { RequestType: 'Create' };
+  await handler(createEvent, context);
+
+  const deleteEvent = { RequestType: 'Delete', PhysicalResourceId: resource.Response.send.firstCall.args[4] };
+  await handler(deleteEvent, context);
+
+  t.plan(3);
+
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [createEvent, context, 'FAILED', {}, 'physical-id', { reason: 'tagResource failed' }],
+    'the failed Create responds with the physical id of the created resource',
+  );
+  t.ok(resource.Delete.calledOnce, 'the Delete of the rollback removes the resource');
+  t.deepEqual(resource.Response.send.secondCall.args, [deleteEvent, context, 'SUCCESS', {}, 'physical-id'],
+    'the Delete of the rollback succeeds',
+  );
+});
+
+test('core: resourceHandler => timeout of a Create after created reports the physical id', async (t) => {
+  const { resource, handler } = createResource();
+  let complete;
+  resource.Create.callsFake((event, ctx, created) => {
+    created('physical-id');
+    return new Promise((resolve) => { complete = resolve; });
+  });
+
+  await handler({ RequestType: 'Create' }, timedContext);
+
+  complete({ physicalResourceId: 'physical-id' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  t.plan(2);
+
+  t.ok(resource.Response.send.calledOnce, 'a single response is sent');
+  t.deepEqual(resource.Response.send.firstCall.args.slice(2, 5), ['FAILED', {}, 'physical-id'],
+    'the resource the late Create completes is deleted by the rollback',
+  );
+});
+
+test('core: resourceHandler => invalid event.RequestType sends a FAILED response', async (t) => {
+  const { resource, handler } = createResource();
+
+  const event = { RequestType: 'Invalid' };
+  await handler(event, context);
+
+  t.plan(2);
+
+  t.equal(resource.log.error.firstCall.args[0].message,
+    'ERROR: Unknown event.RequestType provided: Invalid',
+    'FAILED response is logged to console',
+  );
+
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [event, context, 'FAILED', {}, undefined, { reason: 'ERROR: Unknown event.RequestType provided: Invalid' }],
+    'FAILED response is sent on invalid event.RequestType',
+  );
+});
+
+test('core: resourceHandler => noEcho result sends SUCCESS with NoEcho', async (t) => {
+  const { resource, handler } = createResource();
+  resource.Create.resolves({ data: { Secret: 'secret' }, physicalResourceId: 'physical-id', noEcho: true });
+
+  const event = { RequestType: 'Create' };
+  await handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [event, context, 'SUCCESS', { Secret: 'secret' }, 'physical-id', { noEcho: true }],
+    'SUCCESS response is sent with noEcho',
+  );
+});
+
+test('core: resourceHandler => failed response upload resolves the handler', async (t) => {
+  const { resource, handler } = createResource();
+  const err = new Error('upload failed');
+  resource.Delete.resolves({ physicalResourceId: 'physical-id' });
+  resource.Response.send.rejects(err);
+
+  await handler({ RequestType: 'Delete' }, context);
+
+  t.plan(1);
+
+  t.deepEqual(resource.log.error.firstCall.args, [err],
+    'the upload error is logged instead of failing the invocation',
+  );
+});
+
+test('core: resourceHandler => timeout sends a single FAILED response', async (t) => {
+  const { resource, handler } = createResource();
+  let complete;
+  resource.Update.returns(new Promise((resolve) => { complete = resolve; }));
+
+  const event = { RequestType: 'Update', PhysicalResourceId: 'physical-id' };
+  await handler(event, timedContext);
+
+  complete({ physicalResourceId: 'physical-id' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  t.plan(3);
+
+  t.ok(resource.Response.send.calledOnce, 'a single response is sent');
+  t.deepEqual(resource.Response.send.firstCall.args,
+    [event, timedContext, 'FAILED', {}, 'physical-id', {
+      reason: 'Update did not complete within the 50ms left to the Lambda function, '
+        + 'its changes may be partially applied',
+    }],
+    'FAILED response is sent before the Lambda function times out',
+  );
+  t.equal(resource.log.info.lastCall.args[0], 'Update completed after its timeout response was sent',
+    'the late completion is logged',
+  );
+});
+
+test('core: resourceHandler => late failure after a timeout is only logged', async (t) => {
+  const { resource, handler } = createResource();
+  const err = new Error('late-error');
+  let fail;
+  resource.Create.returns(new Promise((resolve, reject) => { fail = reject; }));
+
+  await handler({ RequestType: 'Create' }, timedContext);
+
+  fail(err);
+  await new Promise(resolve => setImmediate(resolve));
+
+  t.plan(2);
+
+  t.ok(resource.Response.send.calledOnce, 'no second response is sent');
+  t.deepEqual(resource.log.error.lastCall.args, [err], 'the late error is logged');
+});
+
+test('core: resourceHandler => completion in time cancels the watchdog', async (t) => {
+  const { resource, handler } = createResource();
+  resource.Delete.resolves({ physicalResourceId: 'physical-id' });
+
+  const event = { RequestType: 'Delete', PhysicalResourceId: 'physical-id' };
+  await handler(event, timedContext);
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  t.plan(2);
+
+  t.ok(resource.Response.send.calledOnce, 'a single response is sent');
+  t.equal(resource.Response.send.firstCall.args[2], 'SUCCESS', 'the response is SUCCESS');
+});
+
+test('core: optProp and onEventBus', (t) => {
+  const event = { ResourceProperties: { Name: 'name', EventBusName: 'bus' } };
+
+  t.plan(6);
+
+  t.equal(optProp(event, 'Name'), 'name', 'property value');
+  t.equal(optProp(event, 'State', 'ENABLED'), 'ENABLED', 'default value of a missing property');
+  t.equal(optProp({}, 'Name'), undefined, 'event without ResourceProperties');
+  t.deepEqual(onEventBus(event, { Rule: 'rule' }), { Rule: 'rule', EventBusName: 'bus' }, 'EventBusName is added');
+  t.deepEqual(onEventBus({}, { Rule: 'rule' }), { Rule: 'rule' }, 'default event bus is omitted');
+  t.ok(/^[0-9A-Z]{13}$/.test(uniqueSuffix()), 'uniqueSuffix is 13 uppercase alpha numeric characters');
+});
+
+test('core: logFailedEntries', (t) => {
+  const log = { error: sinon.stub() };
+
+  const failedIds = logFailedEntries(log, {
+    FailedEntryCount: 1,
+    FailedEntries: [{ TargetId: 'target-1', ErrorCode: 'code', ErrorMessage: 'message' }],
+  });
+
+  t.plan(3);
+
+  t.deepEqual(failedIds, ['target-1'], 'Ids of the failed targets are returned');
+  t.deepEqual(log.error.firstCall.args.map(arg => arg.message || arg),
+    ['ERROR: code: message', { TargetId: 'target-1' }],
+    'every failed entry is logged',
+  );
+  t.deepEqual(logFailedEntries(log, { FailedEntryCount: 0, FailedEntries: [] }), [],
+    'no failed entries',
+  );
+});
@@ -0,0 +1,125 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import { createLog, redact } from '../../lib/core/log';
+
+const event = {
+  RequestType: 'Create',
+  ResponseURL: 'https://cloudformation-custom-resource-response-useast1.s3.amazonaws.com/stack%7Crule%7Cid'
+    + '?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Signature=secret',
+  StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+  RequestId: 'request-id',
+  LogicalResourceId: 'Target123',
+  ResourceProperties: { Rule: 'rule', Input: { password: 'secret' } },
+};
+
+/**
+ * Capture the lines written by a logger while `write(log)` runs.
+ *
+ * @returns `{ out, err }` - parsed entries written to stdout and stderr.
+ */
+const capture = (write, logLevel) => {
+  const saved = process.env.LOG_LEVEL;
+  if (logLevel === undefined) {
+    delete process.env.LOG_LEVEL;
+  } else {
+    process.env.LOG_LEVEL = logLevel;
+  }
+  const out = sinon.stub(console, 'log');
+  const err = sinon.stub(console, 'error');
+
+  try {
+    write(createLog());
+  } finally {
+    out.restore();
+    err.restore();
+    if (saved === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = saved;
+    }
+  }
+
+  const parse = stub => stub.args.map(args => JSON.parse(args[0]));
+  return { out: parse(out), err: parse(err) };
+};
+
+test('core/log: one JSON line per entry with the request correlation', (t) => {
+  const { out } = capture((log) => {
+    log.setRequest(event);
+    log.info('CloudWatchEvents putTargets', { operation: 'PutTargets' });
+  });
+
+  t.plan(1);
+  t.deepEqual(out, [{
+    level: 'INFO',
+    RequestId: 'request-id',
+    StackId: event.StackId,
+    LogicalResourceId: 'Target123',
+    RequestType: 'Create',
+    message: 'CloudWatchEvents putTargets',
+    operation: 'PutTargets',
+  }], 'the entry carries level, correlation ids and operation');
+});
+
+test('core/log: errors are written to stderr with their stack', (t) => {
+  const err = new Error('big problem!');
+  err.code = 'ValidationException';
+
+  const entries = capture(log => log.error(err));
+
+  t.plan(3);
+  t.equal(entries.out.length, 0, 'nothing is written to stdout');
+  t.equal(entries.err[0].message, 'big problem!', 'message of the error');
+  t.deepEqual(entries.err[0].error,
+    { name: 'Error', message: 'big problem!', code: 'ValidationException', stack: err.stack },
+    'error details',
+  );
+});
+
+test('core/log: LOG_LEVEL skips lower levels', (t) => {
+  const write = (log) => {
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+  };
+  const levels = entries => entries.out.concat(entries.err).map(entry => entry.level);
+
+  t.plan(4);
+  t.deepEqual(levels(capture(write)), ['INFO', 'WARN', 'ERROR'], 'INFO by default');
+  t.deepEqual(levels(capture(write, 'debug')), ['DEBUG', 'INFO', 'WARN', 'ERROR'], 'DEBUG, case insensitive');
+  t.deepEqual(levels(capture(write, 'ERROR')), ['ERROR'], 'ERROR');
+  t.deepEqual(levels(capture(write, 'verbose')), ['INFO', 'WARN', 'ERROR'], 'INFO when unknown');
+});
+
+test('core/log: secrets are redacted', (t) => {
+  const { out } = capture((log) => {
+    log.info('CloudFormation request', { event });
+    log.info('CloudWatchEvents putTargets', {
+      params: {
+        Rule: 'rule',
+        Targets: [
+          { Id: 'target-1', Arn: 'arn', Input: '{"password":"secret"}' },
+          { Id: 'target-2', Arn: 'arn', InputTransformer: { InputPathsMap: {}, InputTemplate: '"secret"' } },
+        ],
+      },
+    });
+  });
+
+  t.plan(4);
+  t.equal(out[0].event.ResponseURL,
+    'https://cloudformation-custom-resource-response-useast1.s3.amazonaws.com/stack%7Crule%7Cid?[REDACTED]',
+    'query string of the ResponseURL',
+  );
+  t.equal(out[0].event.ResourceProperties.Input, '[REDACTED]', 'Input property');
+  t.equal(out[1].params.Targets[0].Input, '[REDACTED]', 'Input of a target');
+  t.equal(out[1].params.Targets[1].InputTransformer.InputTemplate, '[REDACTED]', 'InputTemplate of a target');
+});
+
+test('core/log: redact copies the value', (t) => {
+  const value = { Input: 'secret', Nested: [{ Input: 'secret' }] };
+
+  t.plan(2);
+  t.deepEqual(redact(value), { Input: '[REDACTED]', Nested: [{ Input: '[REDACTED]' }] }, 'redacted copy');
+  t.deepEqual(value, { Input: 'secret', Nested: [{ Input: 'secret' }] }, 'the value is unchanged');
+});
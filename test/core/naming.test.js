@@ -0,0 +1,97 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import {
+  LIMITS,
+  fitName,
+  generateBusName,
+  generateRuleName,
+  generateTargetId,
+  nameSuffix,
+  targetIdLimit,
+} from '../../lib/core/naming';
+
+const VALID_NAME = /^[.\-_A-Za-z0-9]+$/;
+
+const eventFor = (stackName, logicalResourceId, properties) => ({
+  StackId: `arn:aws:cloudformation:us-east-1:012345678901:stack/${stackName}/12345678-ab12-34cd-e56f-123456789abc`,
+  LogicalResourceId: logicalResourceId,
+  ResourceProperties: properties || {},
+});
+
+const randomSuffix = () => 'UT4QDIDSRK4IK';
+
+test('core/naming: fitName keeps short names as-is', (t) => {
+  t.plan(3);
+  t.equal(fitName(['stack', 'Rule'], 'SUFFIX', 64), 'stack-Rule-SUFFIX', 'segments and suffix are joined');
+  t.equal(fitName(['stack:name', 'Rule/1'], 'SUFFIX', 64), 'stackname-Rule1-SUFFIX', 'invalid characters are removed');
+  t.equal(fitName(['', 'Rule'], 'SUFFIX', 64), 'Rule-SUFFIX', 'empty segments are skipped');
+});
+
+test('core/naming: fitName truncates and hashes long names', (t) => {
+  const long = 'a'.repeat(100);
+  const name = fitName([long, 'Rule'], 'SUFFIX', 64);
+  const other = fitName([long, 'Rule2'], 'SUFFIX', 64);
+
+  t.plan(4);
+  t.equal(name.length, 64, 'the name is truncated to the maximum length');
+  t.ok(/^a+-[0-9A-F]{8}-SUFFIX$/.test(name), `the suffix is kept after a hash of the name: ${name}`);
+  t.notEqual(name, other, 'names with the same truncated prefix stay distinct');
+  t.ok(/^[0-9A-F]{8}-SUFFIX$/.test(fitName([long], 'SUFFIX', 15)),
+    'only the hash is left when the prefix does not fit',
+  );
+});
+
+test('core/naming: generateRuleName fits the rule name limit', (t) => {
+  const short = generateRuleName(eventFor('test-stack-name', 'Rule'), randomSuffix);
+  const long = generateRuleName(eventFor('s'.repeat(128), 'LogicalResourceId'.repeat(4)), randomSuffix);
+
+  t.plan(3);
+  t.equal(short, 'test-stack-name-Rule-UT4QDIDSRK4IK', '`<stack name>-<logical id>-<suffix>`');
+  t.equal(long.length, LIMITS.ruleName, 'a long stack name is truncated');
+  t.ok(VALID_NAME.test(long) && /-UT4QDIDSRK4IK$/.test(long), 'the truncated name is valid and ends with the suffix');
+});
+
+test('core/naming: generateBusName fits the event bus name limit', (t) => {
+  const short = generateBusName(eventFor('test-stack-name', 'EventBus'), randomSuffix);
+  const long = generateBusName(eventFor('s'.repeat(128), 'LogicalResourceId'.repeat(4)), randomSuffix);
+
+  t.plan(3);
+  t.equal(short, 'test-stack-name-EventBus-UT4QDIDSRK4IK', '`<stack name>-<logical id>-<suffix>`');
+  t.equal(long.length, LIMITS.busName, 'a long stack name is truncated');
+  t.ok(VALID_NAME.test(long) && /-UT4QDIDSRK4IK$/.test(long), 'the truncated name is valid and ends with the suffix');
+});
+
+test('core/naming: generateTargetId fits the composite limit', (t) => {
+  const event = eventFor('stack', 'TargetLogicalResourceId'.repeat(3));
+  const shortRule = 'rule';
+  const longRule = 'r'.repeat(64);
+
+  const shortId = generateTargetId(event, shortRule, randomSuffix);
+  const longId = generateTargetId(event, longRule, randomSuffix);
+
+  t.plan(5);
+  t.equal(targetIdLimit(shortRule), LIMITS.targetId, 'the target Id limit applies to a short rule name');
+  t.equal(targetIdLimit(`arn:aws:events:us-east-1:012345678901:rule/${longRule}`), 25,
+    'the composite limit applies to a long rule name, also of an ARN',
+  );
+  t.equal(shortId.length, LIMITS.targetId, 'the Id is truncated to 64 characters');
+  t.ok(`AWSEvents_${longRule}_${longId}`.length <= LIMITS.composite, 'AWSEvents_<rule>_<target> fits 100 characters');
+  t.ok(VALID_NAME.test(longId) && /-UT4QDIDSRK4IK$/.test(longId), 'the Id is valid and ends with the suffix');
+});
+
+test('core/naming: nameSuffix => deterministic mode', (t) => {
+  const random = sinon.stub().returns('UT4QDIDSRK4IK');
+  const event = eventFor('stack', 'Rule', { DeterministicName: 'true' });
+  const otherResource = eventFor('stack', 'OtherRule', { DeterministicName: true });
+  const replacement = Object.assign({ PhysicalResourceId: 'stack-Rule-old' }, event);
+
+  const suffix = nameSuffix(event, random);
+
+  t.plan(6);
+  t.equal(nameSuffix(eventFor('stack', 'Rule'), random), 'UT4QDIDSRK4IK', 'random suffix by default');
+  t.ok(/^[0-9A-F]{13}$/.test(suffix), 'deterministic suffix is 13 uppercase alpha numeric characters');
+  t.equal(nameSuffix(event, random), suffix, 'the same request gets the same suffix');
+  t.notEqual(nameSuffix(otherResource, random), suffix, 'another logical id gets another suffix');
+  t.notEqual(nameSuffix(replacement, random), suffix, 'a replacement gets another suffix than the original');
+  t.equal(random.callCount, 1, 'no random suffix in deterministic mode');
+});
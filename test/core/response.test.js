@@ -0,0 +1,154 @@
+import { test } from 'tape';
+import * as http from 'http';
+import Response from '../../lib/core/response';
+
+// no waiting between attempts in tests
+Response.retryDelays = [0, 0, 0];
+
+/**
+ * Start a local HTTP server standing in for the pre-signed S3 `ResponseURL`.
+ *
+ * @param {Array} statusCodes - status code of every request, the last one repeats.
+ * @returns promise of `{ url, requests, close }`.
+ */
+const startServer = statusCodes => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      requests.push({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        body: JSON.parse(body),
+      });
+      response.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+      response.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}/response?X-Amz-Signature=secret`,
+      requests,
+      close: () => new Promise(closed => server.close(closed)),
+    });
+  });
+});
+
+const eventFor = url => ({
+  RequestType: 'Create',
+  ResponseURL: url,
+  StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+  RequestId: 'request-id',
+  LogicalResourceId: 'Rule123',
+});
+
+const context = { logStreamName: '2019/05/01/[$LATEST]0123456789abcdef' };
+
+test('core/response: send => SUCCESS is uploaded once', async (t) => {
+  const server = await startServer([200]);
+  const event = eventFor(server.url);
+
+  await Response.send(event, context, Response.SUCCESS, { Arn: 'arn' }, 'physical-id');
+  await server.close();
+
+  t.plan(4);
+
+  t.equal(server.requests.length, 1, 'a single PUT is made');
+  t.equal(server.requests[0].method, 'PUT', 'the response is PUT');
+  t.equal(server.requests[0].url, '/response?X-Amz-Signature=secret', 'to the pre-signed path and query');
+  t.deepEqual(server.requests[0].body, {
+    Status: 'SUCCESS',
+    Reason: `See the details in CloudWatch Log Stream: ${context.logStreamName}`,
+    PhysicalResourceId: 'physical-id',
+    StackId: event.StackId,
+    RequestId: 'request-id',
+    LogicalResourceId: 'Rule123',
+    NoEcho: false,
+    Data: { Arn: 'arn' },
+  }, 'CloudFormation receives the response document');
+});
+
+test('core/response: send => NoEcho reaches the uploaded document', async (t) => {
+  const server = await startServer([200]);
+  const event = eventFor(server.url);
+
+  await Response.send(event, context, Response.SUCCESS, { Secret: 'secret' }, 'physical-id',
+    { noEcho: true });
+  await server.close();
+
+  t.plan(2);
+
+  t.equal(server.requests[0].body.NoEcho, true, 'NoEcho is set in the PUT body');
+  t.deepEqual(server.requests[0].body.Data, { Secret: 'secret' },
+    'Data is uploaded, CloudFormation masks it',
+  );
+});
+
+test('core/response: send => FAILED with Reason', async (t) => {
+  const server = await startServer([200]);
+  const event = eventFor(server.url);
+
+  await Response.send(event, context, Response.FAILED, {}, undefined,
+    { reason: 'Invalid EventPattern: $: must be an object' });
+  await server.close();
+
+  t.plan(3);
+
+  t.equal(server.requests[0].body.Status, 'FAILED', 'Status is FAILED');
+  t.equal(server.requests[0].body.Reason,
+    `Invalid EventPattern: $: must be an object (See the details in CloudWatch Log Stream: ${context.logStreamName})`,
+    'Reason is the error message',
+  );
+  t.equal(server.requests[0].body.PhysicalResourceId, context.logStreamName,
+    'PhysicalResourceId defaults to the log stream name',
+  );
+});
+
+test('core/response: send => 5xx is retried until the upload succeeds', async (t) => {
+  const server = await startServer([500, 503, 200]);
+  const event = eventFor(server.url);
+
+  await Response.send(event, context, Response.SUCCESS, {}, 'physical-id');
+  await server.close();
+
+  t.plan(2);
+
+  t.equal(server.requests.length, 3, 'the PUT is attempted until it succeeds');
+  t.deepEqual(server.requests[2].body, server.requests[0].body, 'every attempt sends the same document');
+});
+
+test('core/response: send => every attempt fails => rejects', async (t) => {
+  const server = await startServer([500]);
+  const event = eventFor(server.url);
+
+  t.plan(2);
+
+  try {
+    await Response.send(event, context, Response.SUCCESS, {}, 'physical-id');
+    t.fail('send should reject');
+  } catch (err) {
+    t.equal(err.message, 'Response upload failed with HTTP status 500', 'the last failure is reported');
+  }
+  await server.close();
+
+  t.equal(server.requests.length, Response.retryDelays.length + 1, 'one attempt more than the retry delays');
+});
+
+test('core/response: send => 4xx is not retried', async (t) => {
+  const server = await startServer([403]);
+  const event = eventFor(server.url);
+
+  t.plan(2);
+
+  try {
+    await Response.send(event, context, Response.SUCCESS, {}, 'physical-id');
+    t.fail('send should reject');
+  } catch (err) {
+    t.equal(err.message, 'Response upload failed with HTTP status 403', 'the rejection is reported');
+  }
+  await server.close();
+
+  t.equal(server.requests.length, 1, 'a rejected pre-signed URL is not retried');
+});
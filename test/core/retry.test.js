@@ -0,0 +1,163 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import retry from '../../lib/core/retry';
+import { createApi } from '../../lib/core/api';
+
+const defaults = Object.assign({}, retry.options);
+
+// no waiting between attempts in tests
+retry.options.baseDelay = 0;
+
+const createClient = () => ({
+  putRule: sinon.stub(),
+  putTargets: sinon.stub(),
+});
+
+const createLog = () => ({ info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() });
+
+const errorWithCode = (code) => {
+  const err = new Error(`${code} happened`);
+  err.code = code;
+  return err;
+};
+
+test('core/retry: isRetryable', (t) => {
+  t.plan(3);
+  t.ok(retry.isRetryable('ThrottlingException'), 'throttling is retryable');
+  t.ok(retry.isRetryable('ConcurrentModificationException'), 'concurrent modification is retryable');
+  t.notOk(retry.isRetryable('ValidationException'), 'validation errors are not retryable');
+});
+
+test('core/retry: backoffDelay is jittered and capped', (t) => {
+  const saved = Object.assign({}, retry.options);
+  Object.assign(retry.options, { baseDelay: 100, maxDelay: 1000 });
+
+  const ceilings = { 1: 200, 2: 400, 3: 800, 4: 1000, 10: 1000 };
+  const samples = {};
+  Object.keys(ceilings).forEach((attempt) => {
+    samples[attempt] = Array.from({ length: 50 }, () => retry.backoffDelay(Number(attempt)));
+  });
+
+  Object.assign(retry.options, saved);
+
+  t.plan(2);
+  t.ok(Object.keys(ceilings).every(attempt => samples[attempt]
+    .every(delay => delay >= 0 && delay < ceilings[attempt])),
+    'delay doubles with every attempt up to maxDelay',
+  );
+  t.ok(new Set(samples[10]).size > 1, 'delay is a random fraction of the exponential backoff');
+});
+
+test('core/retry: canRetry respects attempts and remaining Lambda time', (t) => {
+  const context = remaining => ({ getRemainingTimeInMillis: () => remaining });
+
+  t.plan(4);
+  t.ok(retry.canRetry(1, { done() { } }, 100), 'no time limit without getRemainingTimeInMillis');
+  t.notOk(retry.canRetry(defaults.maxAttempts, undefined, 0), 'no attempts left');
+  t.ok(retry.canRetry(1, context(defaults.reservedTime + 200), 100), 'enough time left');
+  t.notOk(retry.canRetry(1, context(defaults.reservedTime + 50), 100),
+    'time to send the response is reserved',
+  );
+});
+
+test('core/retry: call => retryable errors are retried', async (t) => {
+  const client = createClient();
+  const log = createLog();
+  client.putRule.onCall(0).yields(errorWithCode('ThrottlingException'));
+  client.putRule.onCall(1).yields(errorWithCode('ConcurrentModificationException'));
+  client.putRule.onCall(2).yields(null, { RuleArn: 'arn' });
+
+  const data = await createApi(client, log).call('putRule', { Name: 'rule' });
+
+  t.plan(3);
+  t.deepEqual(data, { RuleArn: 'arn' }, 'data of the successful attempt is returned');
+  t.equal(client.putRule.callCount, 3, 'putRule is called until it succeeds');
+  t.ok(client.putRule.alwaysCalledWith({ Name: 'rule' }), 'every attempt has the same params');
+});
+
+test('core/retry: call => errors of the v3 SDK are named by their code', async (t) => {
+  const client = createClient();
+  const throttled = new Error('Rate exceeded');
+  throttled.name = 'ThrottlingException';
+  const notFound = new Error('Rule rule does not exist.');
+  notFound.name = 'ResourceNotFoundException';
+  client.putRule.onCall(0).yields(throttled);
+  client.putRule.onCall(1).yields(notFound);
+
+  t.plan(2);
+  try {
+    await createApi(client, createLog()).call('putRule', { Name: 'rule' });
+    t.fail('call should reject');
+  } catch (callErr) {
+    t.equal(callErr.code, 'ResourceNotFoundException', 'the name is the code of the error');
+  }
+  t.equal(client.putRule.callCount, 2, 'a retryable name is retried');
+});
+
+test('core/retry: call => other errors are not retried', async (t) => {
+  const client = createClient();
+  const err = errorWithCode('ValidationException');
+  client.putRule.yields(err);
+
+  t.plan(2);
+  try {
+    await createApi(client, createLog()).call('putRule', { Name: 'rule' });
+    t.fail('call should reject');
+  } catch (callErr) {
+    t.equal(callErr, err, 'the error is thrown');
+  }
+  t.equal(client.putRule.callCount, 1, 'putRule is called once');
+});
+
+test('core/retry: call => no retry without remaining Lambda time', async (t) => {
+  const client = createClient();
+  const context = { getRemainingTimeInMillis: () => defaults.reservedTime };
+  client.putRule.yields(errorWithCode('ThrottlingException'));
+
+  t.plan(2);
+  try {
+    await createApi(client, createLog()).call('putRule', { Name: 'rule' }, context);
+    t.fail('call should reject');
+  } catch (err) {
+    t.equal(err.code, 'ThrottlingException', 'the last error is thrown');
+  }
+  t.equal(client.putRule.callCount, 1, 'putRule is not retried');
+});
+
+test('core/retry: callBatch => only retryable failed entries are retried', async (t) => {
+  const client = createClient();
+  const targets = [{ Id: 't1' }, { Id: 't2' }, { Id: 't3' }];
+  client.putTargets.onCall(0).yields(null, {
+    FailedEntryCount: 2,
+    FailedEntries: [
+      { TargetId: 't1', ErrorCode: 'ConcurrentModificationException', ErrorMessage: 'busy' },
+      { TargetId: 't3', ErrorCode: 'ValidationException', ErrorMessage: 'bad target' },
+    ],
+  });
+  client.putTargets.onCall(1).yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  const data = await createApi(client, createLog())
+    .callBatch('putTargets', { Rule: 'rule', Targets: targets }, 'Targets');
+
+  t.plan(2);
+  t.deepEqual(client.putTargets.secondCall.args[0], { Rule: 'rule', Targets: [{ Id: 't1' }] },
+    'only the retryable failed entry is put again',
+  );
+  t.deepEqual(data, {
+    FailedEntryCount: 1,
+    FailedEntries: [{ TargetId: 't3', ErrorCode: 'ValidationException', ErrorMessage: 'bad target' }],
+  }, 'entries that failed for good are returned');
+});
+
+test('core/retry: callBatch => failed entries are returned when attempts run out', async (t) => {
+  const client = createClient();
+  const failure = { TargetId: 't1', ErrorCode: 'InternalException', ErrorMessage: 'oops' };
+  client.putTargets.yields(null, { FailedEntryCount: 1, FailedEntries: [failure] });
+
+  const data = await createApi(client, createLog())
+    .callBatch('putTargets', { Rule: 'rule', Targets: [{ Id: 't1' }] }, 'Targets');
+
+  t.plan(2);
+  t.equal(client.putTargets.callCount, defaults.maxAttempts, 'putTargets is attempted maxAttempts times');
+  t.deepEqual(data, { FailedEntryCount: 1, FailedEntries: [failure] }, 'the failed entry is returned');
+});
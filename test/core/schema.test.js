@@ -0,0 +1,112 @@
+import { test } from 'tape';
+import { BOOLEAN, resourceSchema, validateProperties } from '../../lib/core/schema';
+import * as bus from '../../lib/custom-cf-cw-events-bus';
+import * as permission from '../../lib/custom-cf-cw-events-permission';
+import * as rule from '../../lib/custom-cf-cw-events-rule';
+import * as target from '../../lib/custom-cf-cw-events-target';
+
+const SCHEMA = resourceSchema('Custom::Test::Resource', { Name: { replace: true }, Other: {} }, {
+  description: 'A test resource.',
+  definitions: {
+    Item: {
+      type: 'object',
+      properties: { Id: { type: 'string', maxLength: 3 }, Count: { type: ['integer', 'string'], minimum: 1 } },
+      required: ['Id'],
+      additionalProperties: false,
+    },
+  },
+  properties: {
+    Name: { type: 'string', pattern: '^[a-z]+$' },
+    Other: { type: 'string' },
+    Flag: BOOLEAN,
+    Items: { type: 'array', minItems: 1, items: { $ref: '#/definitions/Item' } },
+    Map: { type: 'object', additionalProperties: { type: 'string' } },
+    Arn: { type: 'string' },
+  },
+  required: ['Name'],
+  allOf: [{
+    description: 'Name and Other are mutually exclusive',
+    not: { required: ['Name', 'Other'] },
+  }],
+  readOnlyProperties: ['/properties/Arn'],
+});
+
+test('core/schema: resourceSchema', (t) => {
+  t.plan(4);
+  t.equal(SCHEMA.typeName, 'Custom::Test::Resource', 'typeName');
+  t.deepEqual(SCHEMA.createOnlyProperties, ['/properties/Name'], 'properties replaced on change are create-only');
+  t.equal(SCHEMA.additionalProperties, false, 'no other properties');
+  t.deepEqual(Object.keys(SCHEMA.properties)[0], 'ServiceToken', 'ServiceToken is a property');
+});
+
+test('core/schema: validateProperties of valid properties', (t) => {
+  t.plan(2);
+  t.deepEqual(validateProperties(SCHEMA, {
+    ServiceToken: 'arn:aws:lambda:us-east-1:012345678901:function:f',
+    Name: 'name',
+    Flag: 'true',
+    Items: [{ Id: 'a', Count: '2' }, { Id: 'b', Count: 3 }],
+    Map: { key: 'value' },
+  }), [], 'no errors');
+  t.deepEqual(validateProperties(SCHEMA, { Name: { Ref: 'Name' }, Items: { 'Fn::If': ['c', [], []] } }, {
+    unresolved: value => value !== null && typeof value === 'object' && Object.keys(value)[0] === 'Ref',
+  }), ['Items must be an array'], 'unresolved values are not validated');
+});
+
+test('core/schema: validateProperties reports every error', (t) => {
+  t.plan(3);
+  t.deepEqual(validateProperties(SCHEMA, {
+    Name: 'Name1',
+    Other: 'x',
+    Flag: 'yes',
+    Items: [{ Id: 'long', Count: 0, Size: 1 }, 'item'],
+    Map: { key: 1 },
+    Unknown: true,
+    Arn: 'arn',
+  }), [
+    'Arn is read-only',
+    'Name must match ^[a-z]+$',
+    'Flag must be one of true, false',
+    'Items[0].Id must be at most 3 characters long',
+    'Items[0].Count must be at least 1',
+    'Items[0].Size is not a supported property',
+    'Items[1] must be an object',
+    'Map.key must be a string',
+    'Unknown is not a supported property',
+    'Name and Other are mutually exclusive',
+  ], 'paths and messages');
+  t.deepEqual(validateProperties(SCHEMA, { Items: [] }), ['Name is required', 'Items must have at least 1 item(s)'],
+    'required properties and minItems',
+  );
+  t.deepEqual(validateProperties(SCHEMA, undefined), ['Name is required'], 'no properties at all');
+});
+
+test('core/schema: schemas of the handlers', (t) => {
+  const errors = (module, properties) => validateProperties(module.SCHEMA, properties);
+
+  t.plan(9);
+  t.deepEqual([bus, permission, rule, target].map(module => module.SCHEMA.typeName), [
+    'Custom::Events::EventBus', 'Custom::Events::Permission', 'Custom::Events::Rule', 'Custom::Events::Target',
+  ], 'a schema per resource type');
+  t.deepEqual(rule.SCHEMA.createOnlyProperties, ['/properties/Name', '/properties/EventBusName'],
+    'a new Name or EventBusName replaces the rule',
+  );
+  t.deepEqual(errors(rule, { State: 'enabled', Tags: [{ Value: 'x' }] }),
+    ['State must be one of ENABLED, DISABLED', 'Tags[0].Key is required'], 'rule');
+  t.deepEqual(errors(permission, { Principal: '*' }),
+    ["Principal '*' requires a Condition with the ID of an AWS Organization."], 'Principal * requires a Condition');
+  t.deepEqual(errors(permission, {
+    Principal: '*',
+    Condition: { Type: 'StringEquals', Key: 'aws:PrincipalOrgID', Value: 'o-1234567890' },
+  }), [], 'permission of an AWS Organization');
+  t.deepEqual(errors(target, { Rule: 'rule', Arn: 'arn', Input: '{}', InputPath: '$.detail' }),
+    ['at most one of Input, InputPath and InputTransformer may be set'], 'mutually exclusive inputs');
+  t.deepEqual(errors(target, { Rule: 'rule', Targets: [{ Arn: 'arn', Input: {}, InputTransformer: {} }] }), [
+    'Targets[0].InputTransformer.InputTemplate is required',
+    'Targets[0] at most one of Input, InputPath and InputTransformer may be set',
+  ], 'mutually exclusive inputs of an entry of Targets');
+  t.deepEqual(errors(target, { Rule: 'rule', Arn: 'arn', Targets: [{ Arn: 'arn' }] }),
+    ['either Arn or Targets must be set'], 'a target or a list of targets');
+  t.deepEqual(errors(bus, { Name: 'bus', EventSourceName: 'aws.partner/example.com/123/events' }), [],
+    'event bus');
+});
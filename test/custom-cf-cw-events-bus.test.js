@@ -0,0 +1,361 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import pq from 'proxyquire';
+import * as Response from '../lib/core/response';
+import { CREATE_FAILED_ID } from '../lib/core/resource-handler';
+
+const createModule = () => {
+  // "./core/response"
+  const fakeResponse = sinon.stub();
+  fakeResponse.send = sinon.stub();
+
+  // CloudWatchEvents of "@aws-sdk/client-cloudwatch-events"
+  const fakeCloudWatchEvents = sinon.stub();
+  fakeCloudWatchEvents.prototype.createEventBus = sinon.stub();
+  fakeCloudWatchEvents.prototype.deleteEventBus = sinon.stub();
+  fakeCloudWatchEvents.prototype.describeEventBus = sinon.stub();
+
+  const module = pq('../lib/custom-cf-cw-events-bus.js', {
+    '@aws-sdk/client-cloudwatch-events': { CloudWatchEvents: fakeCloudWatchEvents },
+    './core/response': fakeResponse,
+  });
+
+  return {
+    module,
+    fake: {
+      CloudWatchEvents: {
+        createEventBus: fakeCloudWatchEvents.prototype.createEventBus,
+        deleteEventBus: fakeCloudWatchEvents.prototype.deleteEventBus,
+        describeEventBus: fakeCloudWatchEvents.prototype.describeEventBus,
+      },
+      Response: {
+        send: fakeResponse.send,
+      },
+      log: {
+        info: sinon.stub(module.log, 'info'),
+        error: sinon.stub(module.log, 'error'),
+      },
+      uniqueSuffix: sinon.stub(module, 'uniqueSuffix'),
+    },
+  };
+};
+
+const context = { done() { } }; // a fake context
+
+test('events-bus: handler => invalid event.RequestType sends a FAILED response', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Invalid',
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'ERROR: Unknown event.RequestType provided: Invalid',
+    'FAILED response is logged to console',
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent on invalid event.RequestType',
+  );
+});
+
+test('events-bus: createResource => createEventBus => returns an error', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'xxx-yyy-111-222',
+    ResourceProperties: {
+      Name: 'events-bus-name',
+    },
+  };
+
+  fm.fake.CloudWatchEvents.createEventBus.yields({ message: 'big problem!', stack: 'long stack' }, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.log.error.firstCall.args[0].message.match(/^.*big problem!/g),
+    `FAILED response is logged to console: ${fm.fake.log.error.firstCall.args[0].message}`,
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent when createEventBus returns an error',
+  );
+});
+
+test('events-bus: createResource => createEventBus => FAILED with the physical id for the rollback', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    ResourceProperties: {
+      Name: 'events-bus-name',
+    },
+  };
+
+  const exists = new Error('Event bus events-bus-name already exists.');
+  exists.code = 'ResourceAlreadyExistsException';
+  fm.fake.CloudWatchEvents.createEventBus.onFirstCall().yields(new Error('timeout'), null);
+  fm.fake.CloudWatchEvents.createEventBus.onSecondCall().yields(exists, null);
+
+  await fm.module.handler(event, context);
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.Response.send.firstCall.args[4], 'events-bus-name',
+    'the rollback deletes a bus the failed call may have created',
+  );
+  t.equal(fm.fake.Response.send.secondCall.args[4], CREATE_FAILED_ID,
+    'the rollback does not delete an event bus that existed already',
+  );
+});
+
+test('events-bus: createResource => createEventBus => success (without Name)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'EventBus123',
+    ResourceProperties: {},
+  };
+
+  const data = { EventBusArn: 'arn:aws:events:us-east-1:012345678901:event-bus/test-bus' };
+
+  fm.fake.CloudWatchEvents.createEventBus.yields(null, data);
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.createEventBus.firstCall.args[0],
+    { Name: 'test-stack-name-EventBus123-UT4QDIDSRK4IK', EventSourceName: undefined },
+    'createEventBus was passed a generated Name',
+  );
+
+  t.deepEqual(
+    fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, { Arn: data.EventBusArn }, 'test-stack-name-EventBus123-UT4QDIDSRK4IK'],
+    'Response.send SUCCESS with physicalResourceId of Name and EventBusArn in data',
+  );
+});
+
+test('events-bus: createResource => createEventBus => a generated Name fits its limit', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: `arn:aws:cloudformation:us-east-1:012345678901:stack/${'s'.repeat(128)}/12345678-ab12-34cd-e56f-123456789abc`,
+    LogicalResourceId: 'EventBusLogicalResourceId'.repeat(4),
+    ResourceProperties: {},
+  };
+
+  fm.fake.CloudWatchEvents.createEventBus.yields(null, { EventBusArn: 'arn' });
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+
+  await fm.module.handler(event, context);
+
+  const name = fm.fake.CloudWatchEvents.createEventBus.firstCall.args[0].Name;
+
+  t.plan(2);
+  t.equal(name.length, 64, 'the generated Name is truncated to 64 characters');
+  t.ok(/^s+-[0-9A-F]{8}-UT4QDIDSRK4IK$/.test(name), `the generated Name ends with a hash and the suffix: ${name}`);
+});
+
+test('events-bus: deleteResource => deleteEventBus => failure', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'events-bus-name',
+  };
+
+  const err = new Error('test-error');
+  fm.fake.CloudWatchEvents.deleteEventBus.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.log.error.firstCall.args,
+    [err],
+    'log.error should be called with err',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-bus: deleteResource => deleteEventBus => ResourceNotFoundException', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'events-bus-name',
+  };
+
+  const err = new Error('Event bus events-bus-name does not exist.');
+  err.code = 'ResourceNotFoundException';
+  fm.fake.CloudWatchEvents.deleteEventBus.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'an event bus that is already gone is deleted',
+  );
+});
+
+test('events-bus: deleteResource => deleteEventBus => success', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'events-bus-name',
+  };
+
+  fm.fake.CloudWatchEvents.deleteEventBus.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.deleteEventBus.firstCall.args[0],
+    { Name: 'events-bus-name' },
+    'deleteEventBus should be called with the Name of the event bus to delete',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-bus: updateResource => Replace on Name change', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-bus-name',
+    ResourceProperties: { Name: 'new-events-bus-name' },
+    OldResourceProperties: { Name: 'events-bus-name' },
+  };
+
+  fm.module.createResource = sinon.stub(module, 'createResource');
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.module.createResource.calledWith(event, context),
+    'createResource is called with (event,context) from updateResource',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.describeEventBus.notCalled,
+    'describeEventBus is not called for a replacement',
+  );
+});
+
+test('events-bus: updateResource => Replace with an unchanged Name => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-bus-name',
+    ResourceProperties: { Name: 'events-bus-name', EventSourceName: 'aws.partner/example.com/123/new' },
+    OldResourceProperties: { Name: 'events-bus-name', EventSourceName: 'aws.partner/example.com/123/old' },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.createEventBus.notCalled,
+    'no event bus is created with the name of the one it replaces',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: "Event bus 'events-bus-name' requires replacement, change its 'Name' or remove it." }],
+    'FAILED response asks for a new Name',
+  );
+});
+
+test('events-bus: Name defaults to the EventSourceName of a partner event bus', async (t) => {
+  const fm = createModule();
+
+  const createEvent = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'PartnerBus',
+    ResourceProperties: { EventSourceName: 'aws.partner/example.com/123/old' },
+  };
+  const updateEvent = Object.assign({}, createEvent, {
+    RequestType: 'Update',
+    PhysicalResourceId: 'aws.partner/example.com/123/old',
+    ResourceProperties: { EventSourceName: 'aws.partner/example.com/123/new' },
+    OldResourceProperties: createEvent.ResourceProperties,
+  });
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.createEventBus.yields(null, { EventBusArn: 'arn' });
+
+  await fm.module.handler(createEvent, context);
+  await fm.module.handler(updateEvent, context);
+
+  t.plan(3);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.createEventBus.firstCall.args[0],
+    { Name: 'aws.partner/example.com/123/old', EventSourceName: 'aws.partner/example.com/123/old' },
+    'the partner event bus is named like its event source',
+  );
+  t.deepEqual(fm.fake.CloudWatchEvents.createEventBus.secondCall.args[0],
+    { Name: 'aws.partner/example.com/123/new', EventSourceName: 'aws.partner/example.com/123/new' },
+    'a new event source replaces the event bus with a new name',
+  );
+  t.deepEqual(fm.fake.Response.send.secondCall.args.slice(2),
+    [Response.SUCCESS, { Arn: 'arn' }, 'aws.partner/example.com/123/new'],
+    'the replacement has the new name as physical id',
+  );
+});
+
+test('events-bus: updateResource => describeEventBus => success (NoOp)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-bus-name',
+    ResourceProperties: { Name: 'events-bus-name' },
+    OldResourceProperties: { Name: 'events-bus-name' },
+  };
+
+  const data = { Name: 'events-bus-name', Arn: 'arn:aws:events:us-east-1:012345678901:event-bus/events-bus-name' };
+  fm.fake.CloudWatchEvents.describeEventBus.yields(null, data);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.describeEventBus.firstCall.args[0],
+    { Name: event.PhysicalResourceId },
+    'describeEventBus should be called with the right params',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, { Arn: data.Arn }, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
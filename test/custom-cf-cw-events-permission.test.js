@@ -0,0 +1,326 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import pq from 'proxyquire';
+import * as Response from '../lib/core/response';
+import { CREATE_FAILED_ID } from '../lib/core/resource-handler';
+
+const createModule = () => {
+  // "./core/response"
+  const fakeResponse = sinon.stub();
+  fakeResponse.send = sinon.stub();
+
+  // CloudWatchEvents of "@aws-sdk/client-cloudwatch-events"
+  const fakeCloudWatchEvents = sinon.stub();
+  fakeCloudWatchEvents.prototype.putPermission = sinon.stub();
+  fakeCloudWatchEvents.prototype.removePermission = sinon.stub();
+
+  const module = pq('../lib/custom-cf-cw-events-permission.js', {
+    '@aws-sdk/client-cloudwatch-events': { CloudWatchEvents: fakeCloudWatchEvents },
+    './core/response': fakeResponse,
+  });
+
+  return {
+    module,
+    fake: {
+      CloudWatchEvents: {
+        putPermission: fakeCloudWatchEvents.prototype.putPermission,
+        removePermission: fakeCloudWatchEvents.prototype.removePermission,
+      },
+      Response: {
+        send: fakeResponse.send,
+      },
+      log: {
+        info: sinon.stub(module.log, 'info'),
+        error: sinon.stub(module.log, 'error'),
+      },
+      uniqueSuffix: sinon.stub(module, 'uniqueSuffix'),
+    },
+  };
+};
+
+const context = { done() { } }; // a fake context
+
+const organizationCondition = {
+  Type: 'StringEquals',
+  Key: 'aws:PrincipalOrgID',
+  Value: 'o-1234567890',
+};
+
+test('events-permission: handler => invalid event.RequestType sends a FAILED response', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Invalid',
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'ERROR: Unknown event.RequestType provided: Invalid',
+    'FAILED response is logged to console',
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent on invalid event.RequestType',
+  );
+});
+
+test('events-permission: createResource => putPermission => success (organization)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Permission123',
+    ResourceProperties: {
+      EventBusName: 'custom-bus',
+      Principal: '*',
+      Condition: organizationCondition,
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putPermission.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putPermission.firstCall.args[0], {
+    Action: 'events:PutEvents',
+    Principal: '*',
+    StatementId: 'Permission123-UT4QDIDSRK4IK',
+    Condition: organizationCondition,
+    EventBusName: 'custom-bus',
+  }, 'putPermission should be called with the statement');
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, 'Permission123-UT4QDIDSRK4IK'],
+    'Response.send SUCCESS with physicalResourceId of StatementId',
+  );
+});
+
+test('events-permission: createResource => any Principal without a Condition => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Permission123',
+    ResourceProperties: {
+      Principal: '*',
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.putPermission.notCalled,
+    'putPermission is not called',
+  );
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    "Invalid properties of Custom::Events::Permission: Principal '*' requires a Condition with the ID of an AWS Organization.",
+    'FAILED response is logged to console',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, CREATE_FAILED_ID,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-permission: createResource => putPermission => returns an error', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Permission123',
+    ResourceProperties: {
+      Principal: '012345678901',
+      StatementId: 'statement-id',
+    },
+  };
+
+  const err = new Error('test-error');
+  fm.fake.CloudWatchEvents.putPermission.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.log.error.firstCall.args,
+    [err],
+    'log.error should be called with err',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, 'statement-id',
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'the statement id is the physical id, the rollback removes a statement put before the error',
+  );
+});
+
+test('events-permission: deleteResource => removePermission => success', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'statement-id',
+    ResourceProperties: {
+      EventBusName: 'custom-bus',
+      Principal: '012345678901',
+    },
+  };
+
+  fm.fake.CloudWatchEvents.removePermission.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removePermission.firstCall.args[0],
+    { StatementId: 'statement-id', EventBusName: 'custom-bus' },
+    'removePermission should be called with the StatementId and EventBusName',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-permission: deleteResource => removePermission => statement already removed', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'statement-id',
+    ResourceProperties: {
+      Principal: '012345678901',
+    },
+  };
+
+  const err = new Error('Statement with the provided id does not exist.');
+  err.code = 'ResourceNotFoundException';
+  fm.fake.CloudWatchEvents.removePermission.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with SUCCESS',
+  );
+});
+
+test('events-permission: deleteResource => removePermission => failure', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'statement-id',
+    ResourceProperties: {
+      Principal: '012345678901',
+    },
+  };
+
+  const err = new Error('test-error');
+  fm.fake.CloudWatchEvents.removePermission.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with FAILED',
+  );
+});
+
+test('events-permission: updateResource => unchanged statement => NoOp', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    LogicalResourceId: 'Permission123',
+    PhysicalResourceId: 'Permission123-UT4QDIDSRK4IK',
+    ResourceProperties: { Principal: '012345678901', Action: 'events:PutEvents' },
+    OldResourceProperties: { Principal: '012345678901' },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putPermission.notCalled,
+    'putPermission is not called',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-permission: updateResource => changed statement => new statement first', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    LogicalResourceId: 'Permission123',
+    PhysicalResourceId: 'Permission123-UT4QDIDSRK4IK',
+    ResourceProperties: { Principal: '*', Condition: organizationCondition },
+    OldResourceProperties: { Principal: '012345678901' },
+  };
+
+  fm.fake.uniqueSuffix.returns('NEWSUFFIX1234');
+  fm.fake.CloudWatchEvents.putPermission.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.equal(fm.fake.CloudWatchEvents.putPermission.firstCall.args[0].StatementId, 'Permission123-NEWSUFFIX1234',
+    'putPermission should be called with a new StatementId',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.removePermission.notCalled,
+    'removePermission of the old statement is left to CloudFormation cleanup',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, 'Permission123-NEWSUFFIX1234'],
+    'Response.send should be called with the new physicalResourceId',
+  );
+});
+
+test('events-permission: updateResource => changed statement with the same StatementId => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    LogicalResourceId: 'Permission123',
+    PhysicalResourceId: 'statement-id',
+    ResourceProperties: { Principal: '210987654321', StatementId: 'statement-id' },
+    OldResourceProperties: { Principal: '012345678901', StatementId: 'statement-id' },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putPermission.notCalled,
+    'putPermission is not called',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
@@ -1,24 +1,34 @@
 import { test } from 'tape';
 import * as sinon from 'sinon';
 import pq from 'proxyquire';
-import * as Response from 'cfn-response';
+import * as Response from '../lib/core/response';
+import { CREATE_FAILED_ID } from '../lib/core/resource-handler';
 
 const createModule = () => {
-  // "cfn-response"
+  // "./core/response"
   const fakeResponse = sinon.stub();
   fakeResponse.send = sinon.stub();
 
-  // "aws-sdk/clients/cloudwatchevents"
+  // CloudWatchEvents of "@aws-sdk/client-cloudwatch-events"
   const fakeCloudWatchEvents = sinon.stub();
   fakeCloudWatchEvents.prototype.putRule = sinon.stub();
   fakeCloudWatchEvents.prototype.deleteRule = sinon.stub();
-  fakeCloudWatchEvents.prototype.enableRule = sinon.stub();
-  fakeCloudWatchEvents.prototype.disableRule = sinon.stub();
   fakeCloudWatchEvents.prototype.describeRule = sinon.stub();
+  fakeCloudWatchEvents.prototype.listTargetsByRule = sinon.stub();
+  fakeCloudWatchEvents.prototype.removeTargets = sinon.stub();
+  fakeCloudWatchEvents.prototype.tagResource = sinon.stub();
+  fakeCloudWatchEvents.prototype.untagResource = sinon.stub();
+  fakeCloudWatchEvents.prototype.listTagsForResource = sinon.stub();
+
+  // the rule does not exist until a test describes it, and is not owned by any stack
+  const notFound = new Error('Rule does not exist.');
+  notFound.code = 'ResourceNotFoundException';
+  fakeCloudWatchEvents.prototype.describeRule.yields(notFound);
+  fakeCloudWatchEvents.prototype.listTagsForResource.yields(null, { Tags: [] });
 
   const module = pq('../lib/custom-cf-cw-events-rule.js', {
-    'aws-sdk/clients/cloudwatchevents': fakeCloudWatchEvents,
-    'cfn-response': fakeResponse,
+    '@aws-sdk/client-cloudwatch-events': { CloudWatchEvents: fakeCloudWatchEvents },
+    './core/response': fakeResponse,
   });
 
   return {
@@ -27,15 +37,19 @@ const createModule = () => {
       CloudWatchEvents: {
         putRule: fakeCloudWatchEvents.prototype.putRule,
         deleteRule: fakeCloudWatchEvents.prototype.deleteRule,
-        enableRule: fakeCloudWatchEvents.prototype.enableRule,
-        disableRule: fakeCloudWatchEvents.prototype.disableRule,
         describeRule: fakeCloudWatchEvents.prototype.describeRule,
+        listTargetsByRule: fakeCloudWatchEvents.prototype.listTargetsByRule,
+        removeTargets: fakeCloudWatchEvents.prototype.removeTargets,
+        tagResource: fakeCloudWatchEvents.prototype.tagResource,
+        untagResource: fakeCloudWatchEvents.prototype.untagResource,
+        listTagsForResource: fakeCloudWatchEvents.prototype.listTagsForResource,
       },
       Response: {
         send: fakeResponse.send,
       },
       log: {
         info: sinon.stub(module.log, 'info'),
+        warn: sinon.stub(module.log, 'warn'),
         error: sinon.stub(module.log, 'error'),
       },
       uniqueSuffix: sinon.stub(module, 'uniqueSuffix'),
@@ -45,14 +59,19 @@ const createModule = () => {
 
 const context = { done() { } }; // a fake context
 
-test('events-rule: handler => invalid event.RequestType sends a FAILED response', (t) => {
+const STACK_ID = 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc';
+
+// the tag of rules owned by the stack
+const ownerTag = stackId => ({ Key: 'custom-cf-cw-events:stack-id', Value: stackId || STACK_ID });
+
+test('events-rule: handler => invalid event.RequestType sends a FAILED response', async (t) => {
   const fm = createModule();
 
   const event = {
     RequestType: 'Invalid',
   };
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -66,7 +85,7 @@ test('events-rule: handler => invalid event.RequestType sends a FAILED response'
   );
 });
 
-test('events-rule: createResource => putRule => returns an error', (t) => {
+test('events-rule: createResource => putRule => returns an error', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -75,7 +94,7 @@ test('events-rule: createResource => putRule => returns an error', (t) => {
     ResourceProperties: {
       Name: 'events-rule-name',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -84,7 +103,7 @@ test('events-rule: createResource => putRule => returns an error', (t) => {
 
   fm.fake.CloudWatchEvents.putRule.yields({ message: 'big problem!', stack: 'long stack' }, null);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -97,7 +116,7 @@ test('events-rule: createResource => putRule => returns an error', (t) => {
   );
 });
 
-test('events-rule: createResource => putRule => success (with Name)', (t) => {
+test('events-rule: createResource => putRule => success (with Name)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -107,7 +126,7 @@ test('events-rule: createResource => putRule => success (with Name)', (t) => {
     ResourceProperties: {
       Name: 'events-rule-name',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -118,22 +137,23 @@ test('events-rule: createResource => putRule => success (with Name)', (t) => {
 
   fm.fake.CloudWatchEvents.putRule.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
   t.deepEqual(
     fm.fake.Response.send.firstCall.args,
-    [event, context, Response.SUCCESS, { Arn: data.RuleArn }, 'events-rule-name'],
+    [event, context, Response.SUCCESS, { Arn: data.RuleArn, Tags: '{}' }, 'events-rule-name'],
     'Response.send SUCCESS with physicalResourceId of Name and RuleArn in data',
   );
 
-  t.deepEqual(fm.fake.CloudWatchEvents.putRule.args[0][0], event.ResourceProperties,
-    'putRule was passed all ResourceProperties',
+  t.deepEqual(fm.fake.CloudWatchEvents.putRule.args[0][0],
+    Object.assign({}, event.ResourceProperties, { Tags: [ownerTag()] }),
+    'putRule was passed all ResourceProperties and the ownership tag',
   );
 });
 
-test('events-rule: createResource => putRule => success (without Name)', (t) => {
+test('events-rule: createResource => putRule => success (without Name)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -142,7 +162,7 @@ test('events-rule: createResource => putRule => success (without Name)', (t) =>
     LogicalResourceId: 'LogicalResourceId123',
     ResourceProperties: {
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -154,7 +174,7 @@ test('events-rule: createResource => putRule => success (without Name)', (t) =>
   fm.fake.CloudWatchEvents.putRule.yields(null, data);
   fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -164,17 +184,102 @@ test('events-rule: createResource => putRule => success (without Name)', (t) =>
 
   t.deepEqual(
     fm.fake.Response.send.firstCall.args,
-    [event, context, Response.SUCCESS, { Arn: data.RuleArn }, expectedProperties.Name],
+    [event, context, Response.SUCCESS, { Arn: data.RuleArn, Tags: '{}' }, expectedProperties.Name],
     'Response.send SUCCESS with physicalResourceId of Name and RuleArn in data',
   );
 
-  t.deepEqual(fm.fake.CloudWatchEvents.putRule.args[0][0], expectedProperties,
+  t.deepEqual(fm.fake.CloudWatchEvents.putRule.args[0][0],
+    Object.assign({}, expectedProperties, { Tags: [ownerTag()] }),
     'putRule was passed all ResourceProperties and invented its own Name',
   );
 });
 
-test('events-rule: deleteResource => deleteRule => failure', (t) => {
+test('events-rule: createResource => putRule => long stack name (DeterministicName)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: `arn:aws:cloudformation:us-east-1:012345678901:stack/${'test-stack-name'.repeat(8)}/12345678-ab12-34cd-e56f-123456789abc`,
+    LogicalResourceId: 'LogicalResourceId123',
+    ResourceProperties: {
+      ScheduleExpression: 'rate(1 minute)',
+      DeterministicName: 'true',
+    },
+  };
+
+  fm.fake.CloudWatchEvents.putRule.yields(null, { RuleArn: 'arn' });
+
+  await fm.module.handler(event, context);
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  const name = fm.fake.CloudWatchEvents.putRule.args[0][0].Name;
+  t.ok(name.length <= 64, `the generated name fits 64 characters: ${name}`);
+  t.ok(/^test-stack-name.*-[0-9A-F]{13}$/.test(name), 'the name starts with the stack name');
+  t.equal(fm.fake.CloudWatchEvents.putRule.args[1][0].Name, name, 'a retry generates the same name');
+  t.ok(fm.fake.uniqueSuffix.notCalled, 'no random suffix');
+});
+
+test('events-rule: createResource => putRule => success (with Tags)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      ScheduleExpression: 'rate(1 minute)',
+      Tags: [{ Key: 'Owner', Value: 'team' }, { Key: 'CostCenter', Value: 42 }],
+    },
+  };
+
+  const data = { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/events-rule-name' };
+  fm.fake.CloudWatchEvents.putRule.yields(null, data);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putRule.args[0][0].Tags,
+    [{ Key: 'Owner', Value: 'team' }, { Key: 'CostCenter', Value: '42' }, ownerTag()],
+    'putRule is passed the Tags and the ownership tag',
+  );
+  t.deepEqual(fm.fake.Response.send.firstCall.args[3],
+    { Arn: data.RuleArn, Tags: '{"CostCenter":"42","Owner":"team"}' },
+    'the Tags attribute is JSON text of the tags map',
+  );
+});
+
+test('events-rule: createResource => invalid Tags => FAILED without putRule', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      ScheduleExpression: 'rate(1 minute)',
+      Tags: [{ Key: 'aws:reserved', Value: 'x' }, { Key: 'Owner' }, { Key: 'Owner' }],
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled, 'putRule is not called');
+  t.equal(fm.fake.Response.send.firstCall.args[5].reason,
+    "Invalid Tags: Tags[0].Key 'aws:reserved' must not start with 'aws:'; Tags[2].Key 'Owner' is a duplicate",
+    'FAILED response lists the invalid tags',
+  );
+});
+
+test('events-rule: deleteResource => deleteRule => failure', async (t) => {
   const fm = createModule();
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
 
   const event = {
     RequestType: 'Delete',
@@ -183,10 +288,13 @@ test('events-rule: deleteResource => deleteRule => failure', (t) => {
 
   const err = new Error('test-error');
 
+  // no targets associated with the rule
+  fm.fake.CloudWatchEvents.listTargetsByRule.yields(null, { Targets: [] });
+
   // fail to delete rule
   fm.fake.CloudWatchEvents.deleteRule.yields(err, null);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
@@ -196,30 +304,39 @@ test('events-rule: deleteResource => deleteRule => failure', (t) => {
   );
 
   t.deepEqual(fm.fake.log.error.firstCall.args,
-    [err, err.stack],
-    'log.error should be called with err and err.stack',
+    [err],
+    'log.error should be called with err',
   );
 
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.FAILED, {}],
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: deleteResource => deleteRule => success', (t) => {
+test('events-rule: deleteResource => deleteRule => success', async (t) => {
   const fm = createModule();
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
 
   const event = {
     RequestType: 'Delete',
     PhysicalResourceId: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
   };
 
+  // no targets associated with the rule
+  fm.fake.CloudWatchEvents.listTargetsByRule.yields(null, { Targets: [] });
+
   // doesn't actually return anything from delete callback when successful
   fm.fake.CloudWatchEvents.deleteRule.yields(null, {});
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
-  t.plan(2);
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.removeTargets.notCalled,
+    'removeTargets should not be called when the rule has no targets',
+  );
 
   t.deepEqual(fm.fake.CloudWatchEvents.deleteRule.firstCall.args[0],
     { Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK' },
@@ -232,7 +349,126 @@ test('events-rule: deleteResource => deleteRule => success', (t) => {
   );
 });
 
-test('events-rule: updateResource => describeRule => failure', (t) => {
+test('events-rule: deleteResource => removeTargets => pages and batches all targets', async (t) => {
+  const fm = createModule();
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
+  };
+
+  const targets = count => Array.from({ length: count }, (v, i) => ({ Id: `target-${i}`, Arn: 'arn' }));
+
+  fm.fake.CloudWatchEvents.listTargetsByRule.onFirstCall().yields(null, {
+    Targets: targets(8),
+    NextToken: 'next-page',
+  });
+  fm.fake.CloudWatchEvents.listTargetsByRule.onSecondCall().yields(null, {
+    Targets: targets(12).slice(8),
+  });
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+  fm.fake.CloudWatchEvents.deleteRule.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(5);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.listTargetsByRule.secondCall.args[0],
+    { Rule: event.PhysicalResourceId, NextToken: 'next-page' },
+    'listTargetsByRule should be called with the NextToken of the previous page',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0].Ids,
+    targets(10).map(target => target.Id),
+    'removeTargets should be called with the first batch of 10 targets',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.secondCall.args[0],
+    { Rule: event.PhysicalResourceId, Ids: ['target-10', 'target-11'] },
+    'removeTargets should be called with the remaining targets',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.deleteRule.calledAfter(fm.fake.CloudWatchEvents.removeTargets),
+    'deleteRule should be called after all targets are removed',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-rule: deleteResource => removeTargets => FailedEntries', async (t) => {
+  const fm = createModule();
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
+  };
+
+  fm.fake.CloudWatchEvents.listTargetsByRule.yields(null, { Targets: [{ Id: 'target-0' }] });
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, {
+    FailedEntryCount: 1,
+    FailedEntries: [
+      {
+        TargetId: 'target-0',
+        ErrorCode: 'SomeWeirdException',
+        ErrorMessage: 'Something wrong has happened',
+      },
+    ],
+  });
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'ERROR: SomeWeirdException: Something wrong has happened',
+    'FailedEntries are logged to console',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.deleteRule.notCalled,
+    'deleteRule should not be called when targets could not be removed',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-rule: deleteResource => RemoveTargetsOnDelete false => deleteRule only', async (t) => {
+  const fm = createModule();
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+
+  const event = {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
+    ResourceProperties: {
+      RemoveTargetsOnDelete: 'false',
+    },
+  };
+
+  fm.fake.CloudWatchEvents.deleteRule.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.listTargetsByRule.notCalled,
+    'listTargetsByRule should not be called when opted out',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.deleteRule.firstCall.args[0],
+    { Name: event.PhysicalResourceId },
+    'deleteRule should be called with the Name of the rule to delete',
+  );
+});
+
+test('events-rule: updateResource => describeRule => failure', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -243,7 +479,7 @@ test('events-rule: updateResource => describeRule => failure', (t) => {
   const err = new Error('test-error');
   fm.fake.CloudWatchEvents.describeRule.yields(err, {});
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
@@ -253,17 +489,18 @@ test('events-rule: updateResource => describeRule => failure', (t) => {
   );
 
   t.deepEqual(fm.fake.log.error.firstCall.args,
-    [err, err.stack],
-    'log.error should be called with err and err.stack',
+    [err],
+    'log.error should be called with err',
   );
 
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.FAILED, {}, event.PhysicalResourceId],
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: updateResource => describeRule => success (Replace)', (t) => {
+test('events-rule: updateResource => Replace on Name change', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -274,7 +511,7 @@ test('events-rule: updateResource => describeRule => success (Replace)', (t) =>
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -285,25 +522,124 @@ test('events-rule: updateResource => describeRule => success (Replace)', (t) =>
   const currentState = Object.assign({}, event.ResourceProperties);
   fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
-  // pass a changed resource different from the described one
-  event.ResourceProperties.Description = 'changed and needs replacement!';
+  // pass a changed name, the only property that requires replacement
+  event.ResourceProperties.Name = 'changed-and-needs-replacement';
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
-  t.plan(2);
+  t.plan(3);
 
-  t.deepEqual(fm.fake.CloudWatchEvents.describeRule.firstCall.args[0],
-    { Name: event.PhysicalResourceId },
-    'describeRule should be called with the right params',
+  t.ok(fm.fake.CloudWatchEvents.describeRule.notCalled,
+    'describeRule is not called for a replacement',
   );
 
   t.ok(fm.module.createResource.calledWith(event, context),
     'createResource is called with (event,context) from updateResource',
   );
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled,
+    'putRule is not called on the existing rule',
+  );
+});
+
+test('events-rule: updateResource => describeRule => success (in-place update)', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'LogicalResourceId123',
+    ResourceProperties: {
+      Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
+      Description: 'long description',
+      EventPattern: '{"source":["aws.ec2"]}',
+      RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
+      ScheduleExpression: 'rate(1 minute)',
+      State: 'DISABLED',
+    },
+  };
+
+  // copy resource properties by value, not reference
+  const currentState = Object.assign({}, event.ResourceProperties);
+  fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
+  fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
+
+  const data = { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule' };
+  fm.fake.CloudWatchEvents.putRule.yields(null, data);
+
+  // pass changed properties different from the described ones
+  event.ResourceProperties.Description = 'changed in place';
+  event.ResourceProperties.EventPattern = '{"source":["aws.s3"]}';
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.module.createResource.notCalled,
+    'createResource is not called from updateResource for in-place changes',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putRule.firstCall.args[0],
+    Object.assign({}, event.ResourceProperties, { Name: event.PhysicalResourceId }),
+    'putRule should be called on the existing rule with all ResourceProperties',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, { Arn: data.RuleArn, Tags: '{}' }, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
 });
 
-test('events-rule: updateResource => describeRule => success (state unchanged)', (t) => {
+test('events-rule: updateResource => Tags changed => tagResource and untagResource', async (t) => {
+  const fm = createModule();
+
+  const ruleArn = 'arn:aws:events:us-east-1:012345678901:rule/events-rule-name';
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-rule-name',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'LogicalResourceId123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      ScheduleExpression: 'rate(1 minute)',
+      Tags: [{ Key: 'Owner', Value: 'new-team' }, { Key: 'Project', Value: 'events' }],
+    },
+    OldResourceProperties: {
+      Name: 'events-rule-name',
+      ScheduleExpression: 'rate(1 minute)',
+      Tags: [{ Key: 'Owner', Value: 'team' }, { Key: 'CostCenter', Value: '42' }, { Key: 'Project', Value: 'events' }],
+    },
+  };
+
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: ruleArn });
+  fm.fake.CloudWatchEvents.untagResource.yields(null, {});
+  fm.fake.CloudWatchEvents.tagResource.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled, 'putRule is not called for a change of Tags only');
+  t.deepEqual(fm.fake.CloudWatchEvents.untagResource.firstCall.args[0],
+    { ResourceARN: ruleArn, TagKeys: ['CostCenter'] },
+    'removed tags are untagged',
+  );
+  t.deepEqual(fm.fake.CloudWatchEvents.tagResource.firstCall.args[0],
+    { ResourceARN: ruleArn, Tags: [{ Key: 'Owner', Value: 'new-team' }] },
+    'added and changed tags are tagged',
+  );
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, { Arn: ruleArn, Tags: '{"Owner":"new-team","Project":"events"}' },
+      event.PhysicalResourceId],
+    'SUCCESS response keeps the physical id, with the new Tags attribute',
+  );
+});
+
+test('events-rule: updateResource => describeRule => success (state unchanged)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -314,7 +650,7 @@ test('events-rule: updateResource => describeRule => success (state unchanged)',
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'ENABLED',
@@ -325,12 +661,14 @@ test('events-rule: updateResource => describeRule => success (state unchanged)',
   const currentState = Object.assign({}, event.ResourceProperties);
   currentState.State = 'ENABLED';
 
-  fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
+  const ruleArn = 'arn:aws:events:us-east-1:012345678901:rule/test-rule';
+  fm.fake.CloudWatchEvents.describeRule.yields(null, Object.assign({ Arn: ruleArn }, currentState));
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
-  t.plan(3);
+  t.plan(4);
 
   t.deepEqual(fm.fake.CloudWatchEvents.describeRule.firstCall.args[0],
     { Name: event.PhysicalResourceId },
@@ -341,13 +679,17 @@ test('events-rule: updateResource => describeRule => success (state unchanged)',
     'createResource is not called from updateResource for state changes',
   );
 
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled,
+    'putRule is not called when nothing was changed',
+  );
+
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    [event, context, Response.SUCCESS, { Arn: ruleArn, Tags: '{}' }, event.PhysicalResourceId],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: updateResource => describeRule => success (state change failed)', (t) => {
+test('events-rule: updateResource => describeRule => success (state change failed)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -358,7 +700,7 @@ test('events-rule: updateResource => describeRule => success (state change faile
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -371,26 +713,28 @@ test('events-rule: updateResource => describeRule => success (state change faile
 
   fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
   const err = new Error('test-error');
-  fm.fake.CloudWatchEvents.disableRule.yields(err, null);
+  fm.fake.CloudWatchEvents.putRule.yields(err, null);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
   t.deepEqual(fm.fake.log.error.firstCall.args,
-    [err, err.stack],
-    'log.error should be called with err and err.stack',
+    [err],
+    'log.error should be called with err',
   );
 
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.FAILED, {}, event.PhysicalResourceId],
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: updateResource => describeRule => success (state change to DISABLED)', (t) => {
+test('events-rule: updateResource => describeRule => success (state change to DISABLED)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -401,7 +745,7 @@ test('events-rule: updateResource => describeRule => success (state change to DI
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'DISABLED',
@@ -414,29 +758,30 @@ test('events-rule: updateResource => describeRule => success (state change to DI
 
   fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
-  fm.fake.CloudWatchEvents.disableRule.yields(null, {});
+  const data = { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule' };
+  fm.fake.CloudWatchEvents.putRule.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
-  t.deepEqual(fm.fake.CloudWatchEvents.describeRule.firstCall.args[0],
-    { Name: event.PhysicalResourceId },
-    'describeRule should be called with the right params',
-  );
-
   t.ok(fm.module.createResource.notCalled,
     'createResource is not called from updateResource for state changes',
   );
 
+  t.equal(fm.fake.CloudWatchEvents.putRule.firstCall.args[0].State, 'DISABLED',
+    'putRule should be called with the new State',
+  );
+
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.SUCCESS, event.ResourceProperties, event.PhysicalResourceId],
+    [event, context, Response.SUCCESS, { Arn: data.RuleArn, Tags: '{}' }, event.PhysicalResourceId],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: updateResource => describeRule => success (state change to ENABLED)', (t) => {
+test('events-rule: updateResource => describeRule => success (state change to ENABLED)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -447,7 +792,7 @@ test('events-rule: updateResource => describeRule => success (state change to EN
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'ENABLED',
@@ -460,29 +805,30 @@ test('events-rule: updateResource => describeRule => success (state change to EN
 
   fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
-  fm.fake.CloudWatchEvents.enableRule.yields(null, {});
+  const data = { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule' };
+  fm.fake.CloudWatchEvents.putRule.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
-  t.deepEqual(fm.fake.CloudWatchEvents.describeRule.firstCall.args[0],
-    { Name: event.PhysicalResourceId },
-    'describeRule should be called with the right params',
-  );
-
   t.ok(fm.module.createResource.notCalled,
     'createResource is not called from updateResource for state changes',
   );
 
+  t.equal(fm.fake.CloudWatchEvents.putRule.firstCall.args[0].State, 'ENABLED',
+    'putRule should be called with the new State',
+  );
+
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.SUCCESS, event.ResourceProperties, event.PhysicalResourceId],
+    [event, context, Response.SUCCESS, { Arn: data.RuleArn, Tags: '{}' }, event.PhysicalResourceId],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-rule: updateResource => describeRule => success (state change to UNKNOWN)', (t) => {
+test('events-rule: updateResource => describeRule => success (state change to UNKNOWN)', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -493,7 +839,7 @@ test('events-rule: updateResource => describeRule => success (state change to UN
     ResourceProperties: {
       Name: 'test-stack-name-LogicalResourceId123-UT4QDIDSRK4IK',
       Description: 'long description',
-      EventPattern: 'complex pattern',
+      EventPattern: '{"source":["aws.ec2"]}',
       RoleArn: 'arn:aws:iam::012345678901:role/test-rule-role',
       ScheduleExpression: 'rate(1 minute)',
       State: 'UNKNOWN',
@@ -506,18 +852,384 @@ test('events-rule: updateResource => describeRule => success (state change to UN
 
   fm.fake.CloudWatchEvents.describeRule.yields(null, currentState);
   fm.module.createResource = sinon.stub(module, 'createResource');
+  event.OldResourceProperties = currentState;
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
   t.equal(fm.fake.log.error.firstCall.args[0].message,
-    "Unknown 'State' value. Must be either 'ENABLED' or 'DISABLED', was 'UNKNOWN'.",
+    'Invalid properties of Custom::Events::Rule: State must be one of ENABLED, DISABLED',
     'FAILED response is logged to console',
   );
 
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.FAILED, {}, event.PhysicalResourceId],
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-rule: createResource => EventPattern object => putRule with JSON text', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      EventPattern: { source: ['aws.ec2'], 'detail-type': ['EC2 Instance State-change Notification'] },
+    },
+  };
+
+  fm.fake.CloudWatchEvents.putRule.yields(null, { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule' });
+
+  await fm.module.handler(event, context);
+
+  t.plan(1);
+
+  t.equal(fm.fake.CloudWatchEvents.putRule.firstCall.args[0].EventPattern,
+    '{"detail-type":["EC2 Instance State-change Notification"],"source":["aws.ec2"]}',
+    'putRule was passed the canonical JSON text of the EventPattern',
+  );
+});
+
+test('events-rule: createResource => invalid EventPattern => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      EventPattern: { detail: { state: 'running' } },
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled,
+    'putRule is not called with an invalid EventPattern',
+  );
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'Invalid EventPattern: $.detail.state: leaf value must be an array',
+    'validation error is logged with the JSON path of the bad field',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, CREATE_FAILED_ID,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-rule: createResource => SampleEvents match => putRule', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      EventPattern: { source: ['aws.ec2'] },
+      SampleEvents: [{ source: 'aws.ec2' }, '{"source":"aws.ec2","detail":{}}'],
+      NonMatchingEvents: [{ source: 'aws.s3' }],
+    },
+  };
+
+  fm.fake.CloudWatchEvents.putRule.yields(null, { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule' });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.calledOnce,
+    'putRule is called when all assertions hold',
+  );
+
+  t.notOk('SampleEvents' in fm.fake.CloudWatchEvents.putRule.firstCall.args[0],
+    'SampleEvents are not passed to putRule',
+  );
+});
+
+test('events-rule: createResource => SampleEvents violated => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      EventPattern: '{"source":["aws.ec2"]}',
+      SampleEvents: [{ source: 'aws.ec2' }, { source: 'aws.ec' }],
+      NonMatchingEvents: [{ source: 'aws.ec2' }, '{ not json'],
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled,
+    'putRule is not called when an assertion is violated',
+  );
+
+  t.ok(fm.fake.log.error.firstCall.args[0].message.startsWith(
+    'EventPattern assertions failed: SampleEvents[1] does not match the EventPattern; '
+    + 'NonMatchingEvents[0] matches the EventPattern; '
+    + 'NonMatchingEvents[1] is not a valid event: '),
+    `every violated assertion is reported: ${fm.fake.log.error.firstCall.args[0].message}`,
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, CREATE_FAILED_ID,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
     'Response.send should be called with the correct params',
   );
 });
+
+test('events-rule: EventBusName is passed to every API call', async (t) => {
+  const fm = createModule();
+
+  const createEvent = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: '123',
+    ResourceProperties: {
+      Name: 'events-rule-name',
+      EventBusName: 'custom-bus',
+      EventPattern: '{"source":["app"]}',
+    },
+  };
+
+  const updateEvent = Object.assign({}, createEvent, {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-rule-name',
+    ResourceProperties: Object.assign({}, createEvent.ResourceProperties, { Description: 'changed' }),
+    OldResourceProperties: createEvent.ResourceProperties,
+  });
+
+  const deleteEvent = Object.assign({}, createEvent, {
+    RequestType: 'Delete',
+    PhysicalResourceId: 'events-rule-name',
+  });
+
+  fm.fake.CloudWatchEvents.putRule.yields(null, { RuleArn: 'arn' });
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+  fm.fake.CloudWatchEvents.listTagsForResource.yields(null, { Tags: [ownerTag()] });
+  fm.fake.CloudWatchEvents.tagResource.yields(null, {});
+  fm.fake.CloudWatchEvents.listTargetsByRule.yields(null, { Targets: [{ Id: 'target' }] });
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+  fm.fake.CloudWatchEvents.deleteRule.yields(null, {});
+
+  await fm.module.handler(createEvent, context);
+  await fm.module.handler(updateEvent, context);
+  await fm.module.handler(deleteEvent, context);
+
+  t.plan(6);
+
+  ['putRule', 'describeRule', 'listTargetsByRule', 'removeTargets', 'deleteRule'].forEach((method) => {
+    t.equal(fm.fake.CloudWatchEvents[method].firstCall.args[0].EventBusName, 'custom-bus',
+      `${method} should be called with the EventBusName`,
+    );
+  });
+
+  t.equal(fm.fake.CloudWatchEvents.putRule.secondCall.args[0].EventBusName, 'custom-bus',
+    'putRule of an update should be called with the EventBusName',
+  );
+});
+
+test('events-rule: updateResource => EventBusName change with the same Name => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    PhysicalResourceId: 'events-rule-name',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'LogicalResourceId123',
+    ResourceProperties: { Name: 'events-rule-name', EventBusName: 'custom-bus' },
+    OldResourceProperties: { Name: 'events-rule-name' },
+  };
+
+  fm.module.createResource = sinon.stub(module, 'createResource');
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.module.createResource.notCalled,
+    'createResource is not called when the replacement keeps the same Name',
+  );
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    "Rule 'events-rule-name' requires replacement, change its 'Name' or remove it.",
+    'FAILED response is logged to console',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with the correct params',
+  );
+});
+
+const createEventFor = properties => ({
+  RequestType: 'Create',
+  StackId: STACK_ID,
+  LogicalResourceId: 'LogicalResourceId123',
+  ResourceProperties: Object.assign({ Name: 'events-rule-name', ScheduleExpression: 'rate(1 minute)' }, properties),
+});
+
+test('events-rule: createResource => rule owned by another stack => FAILED', async (t) => {
+  const fm = createModule();
+  const otherStackId = STACK_ID.replace('test-stack-name', 'other-stack-name');
+  const event = createEventFor({ AdoptExisting: 'true' });
+
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+  fm.fake.CloudWatchEvents.listTagsForResource.yields(null, { Tags: [ownerTag(otherStackId)] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.listTagsForResource.firstCall.args[0], { ResourceARN: 'arn' },
+    'the tags of the existing rule are listed',
+  );
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled, 'the rule is not overwritten, even with AdoptExisting');
+  t.equal(fm.fake.Response.send.firstCall.args[5].reason,
+    `Rule 'events-rule-name' already exists and is owned by stack ${otherStackId}.`,
+    'FAILED response names the owner',
+  );
+  t.equal(fm.fake.Response.send.firstCall.args[4], CREATE_FAILED_ID,
+    'the rollback does not delete the rule of the other stack',
+  );
+});
+
+test('events-rule: createResource => putRule of a new rule fails => FAILED with the rule name', async (t) => {
+  const fm = createModule();
+  const event = createEventFor({});
+
+  const err = new Error('putRule failed');
+  fm.fake.CloudWatchEvents.putRule.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(1);
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, 'events-rule-name', { reason: 'putRule failed' }],
+    'the rollback deletes a rule the failed putRule may have created',
+  );
+});
+
+test('events-rule: createResource => rule without owner => FAILED without AdoptExisting', async (t) => {
+  const fm = createModule();
+  const event = createEventFor({});
+
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled, 'the rule is not overwritten');
+  t.equal(fm.fake.Response.send.firstCall.args[5].reason,
+    "Rule 'events-rule-name' already exists, set 'AdoptExisting' to 'true' to adopt it.",
+    'FAILED response explains how to adopt the rule',
+  );
+});
+
+test('events-rule: createResource => rule without owner => AdoptExisting tags it', async (t) => {
+  const fm = createModule();
+  const event = createEventFor({ AdoptExisting: 'true', Tags: [{ Key: 'Owner', Value: 'team' }] });
+  const ruleArn = 'arn:aws:events:us-east-1:012345678901:rule/events-rule-name';
+
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: ruleArn });
+  fm.fake.CloudWatchEvents.putRule.yields(null, { RuleArn: ruleArn });
+  fm.fake.CloudWatchEvents.tagResource.yields(null, {});
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.equal(fm.fake.CloudWatchEvents.putRule.firstCall.args[0].Name, 'events-rule-name', 'the rule is updated');
+  t.deepEqual(fm.fake.CloudWatchEvents.tagResource.firstCall.args[0],
+    { ResourceARN: ruleArn, Tags: [{ Key: 'Owner', Value: 'team' }, ownerTag()] },
+    'the adopted rule is tagged with the Tags and the owning stack',
+  );
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, { Arn: ruleArn, Tags: '{"Owner":"team"}' }, 'events-rule-name'],
+    'SUCCESS response without the ownership tag in the Tags attribute',
+  );
+});
+
+test('events-rule: createResource => ownership tag in Tags => FAILED', async (t) => {
+  const fm = createModule();
+  const event = createEventFor({ Tags: [ownerTag('arn:aws:cloudformation:::stack/fake/id')] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putRule.notCalled, 'putRule is not called');
+  t.equal(fm.fake.Response.send.firstCall.args[5].reason,
+    "Invalid Tags: 'custom-cf-cw-events:stack-id' is reserved for the id of the stack that owns the rule",
+    'the ownership tag can not be set',
+  );
+});
+
+test('events-rule: deleteResource => rule owned by another stack => not deleted', async (t) => {
+  const fm = createModule();
+  const otherStackId = STACK_ID.replace('test-stack-name', 'other-stack-name');
+  const event = {
+    RequestType: 'Delete',
+    StackId: STACK_ID,
+    PhysicalResourceId: 'events-rule-name',
+  };
+
+  fm.fake.CloudWatchEvents.describeRule.yields(null, { Arn: 'arn' });
+  fm.fake.CloudWatchEvents.listTagsForResource.yields(null, { Tags: [ownerTag(otherStackId)] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.listTargetsByRule.notCalled
+    && fm.fake.CloudWatchEvents.deleteRule.notCalled,
+    'neither the targets nor the rule are removed',
+  );
+  t.equal(fm.fake.log.warn.firstCall.args[0],
+    `Rule 'events-rule-name' is owned by stack ${otherStackId}, it is not deleted`,
+    'the skipped delete is logged',
+  );
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'SUCCESS response, the stack can be deleted',
+  );
+});
+
+test('events-rule: deleteResource => rule does not exist => SUCCESS', async (t) => {
+  const fm = createModule();
+  const event = {
+    RequestType: 'Delete',
+    StackId: STACK_ID,
+    PhysicalResourceId: 'events-rule-name',
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.deleteRule.notCalled, 'deleteRule is not called');
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'SUCCESS response for a rule that is gone already',
+  );
+});
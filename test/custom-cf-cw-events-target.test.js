@@ -1,21 +1,25 @@
 import { test } from 'tape';
 import * as sinon from 'sinon';
 import pq from 'proxyquire';
-import * as Response from 'cfn-response';
+import * as Response from '../lib/core/response';
+import retry from '../lib/core/retry';
+
+// no waiting between attempts in tests
+retry.options.baseDelay = 0;
 
 const createModule = () => {
-  // "cfn-response"
+  // "./core/response"
   const fakeResponse = sinon.stub();
   fakeResponse.send = sinon.stub();
 
-  // "aws-sdk/clients/cloudwatchevents"
+  // CloudWatchEvents of "@aws-sdk/client-cloudwatch-events"
   const fakeCloudWatchEvents = sinon.stub();
   fakeCloudWatchEvents.prototype.putTargets = sinon.stub();
   fakeCloudWatchEvents.prototype.removeTargets = sinon.stub();
 
   const module = pq('../lib/custom-cf-cw-events-target.js', {
-    'aws-sdk/clients/cloudwatchevents': fakeCloudWatchEvents,
-    'cfn-response': fakeResponse,
+    '@aws-sdk/client-cloudwatch-events': { CloudWatchEvents: fakeCloudWatchEvents },
+    './core/response': fakeResponse,
   });
 
   return {
@@ -39,14 +43,18 @@ const createModule = () => {
 
 const context = { done() { } }; // a fake context
 
-test('events-targets: handler => invalid event.RequestType sends a FAILED response', (t) => {
+// Ids of the targets of a `putTargets` call, like 'firstCall'
+const putTargetIds = (fm, call) => fm.fake.CloudWatchEvents.putTargets[call].args[0].Targets
+  .map(target => target.Id);
+
+test('events-targets: handler => invalid event.RequestType sends a FAILED response', async (t) => {
   const fm = createModule();
 
   const event = {
     RequestType: 'Invalid',
   };
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -60,7 +68,7 @@ test('events-targets: handler => invalid event.RequestType sends a FAILED respon
   );
 });
 
-test('events-targets: createResource => putTargets (Create) => returns an error', (t) => {
+test('events-targets: createResource => putTargets (Create) => returns an error', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -68,12 +76,13 @@ test('events-targets: createResource => putTargets (Create) => returns an error'
     StackId: 'xxx-yyy-111-222',
     ResourceProperties: {
       Rule: 'events-rule-name',
+      Arn: 'arn:aws:sqs:us-east-1:012345678901:queue',
     },
   };
 
   fm.fake.CloudWatchEvents.putTargets.yields({ message: 'big problem!', stack: 'long stack' }, null);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -86,7 +95,7 @@ test('events-targets: createResource => putTargets (Create) => returns an error'
   );
 });
 
-test('events-targets: createResource => putTargets (Create) => success', (t) => {
+test('events-targets: createResource => putTargets (Create) => success', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -110,7 +119,7 @@ test('events-targets: createResource => putTargets (Create) => success', (t) =>
   fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
   fm.fake.CloudWatchEvents.putTargets.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(1);
 
@@ -123,7 +132,66 @@ test('events-targets: createResource => putTargets (Create) => success', (t) =>
   );
 });
 
-test('events-targets: createResource => putTargets (Create) => FailedEntries', (t) => {
+test('events-targets: createResource => EcsParameters.TaskCount is sent as a number', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'Target123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:ecs:us-east-1:012345678901:cluster/default',
+      RoleArn: 'arn:aws:iam::012345678901:role/test-target-role',
+      EcsParameters: {
+        TaskDefinitionArn: 'arn:aws:ecs:us-east-1:012345678901:task-definition/task:1',
+        TaskCount: '2', // CloudFormation sends every scalar as a string
+      },
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putTargets.firstCall.args[0].Targets[0].EcsParameters, {
+    TaskDefinitionArn: 'arn:aws:ecs:us-east-1:012345678901:task-definition/task:1',
+    TaskCount: 2,
+  }, 'TaskCount is converted to a number');
+  t.equal(fm.fake.Response.send.firstCall.args[2], Response.SUCCESS, 'SUCCESS response is sent');
+});
+
+test('events-targets: createResource => target Id fits the AWSEvents_<rule>_<target> limit', async (t) => {
+  const fm = createModule();
+
+  const ruleName = 'events-rule-name'.repeat(3);
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'LongTargetLogicalResourceId123',
+    ResourceProperties: {
+      Rule: ruleName,
+      Arn: 'arn:aws:::012345678901:whatever',
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  const targetId = fm.fake.CloudWatchEvents.putTargets.args[0][0].Targets[0].Id;
+  t.ok(`AWSEvents_${ruleName}_${targetId}`.length <= 100, `the composite fits 100 characters: ${targetId}`);
+  t.ok(/^LongTarget.*-UT4QDIDSRK4IK$/.test(targetId), 'the Id keeps the start of the logical id and the suffix');
+  t.equal(fm.fake.Response.send.firstCall.args[4], targetId, 'the target Id is the physical id');
+});
+
+test('events-targets: createResource => putTargets (Create) => FailedEntries', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -155,7 +223,7 @@ test('events-targets: createResource => putTargets (Create) => FailedEntries', (
   fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
   fm.fake.CloudWatchEvents.putTargets.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -169,7 +237,7 @@ test('events-targets: createResource => putTargets (Create) => FailedEntries', (
   );
 });
 
-test('events-targets: createResource => putTargets (Update) => success', (t) => {
+test('events-targets: createResource => putTargets (Update) => success', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -191,7 +259,7 @@ test('events-targets: createResource => putTargets (Update) => success', (t) =>
 
   fm.fake.CloudWatchEvents.putTargets.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(1);
 
@@ -202,7 +270,7 @@ test('events-targets: createResource => putTargets (Update) => success', (t) =>
   );
 });
 
-test('events-targets: deleteResource => removeTargets => failure', (t) => {
+test('events-targets: deleteResource => removeTargets => failure', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -220,7 +288,7 @@ test('events-targets: deleteResource => removeTargets => failure', (t) => {
   // fail to delete rule
   fm.fake.CloudWatchEvents.removeTargets.yields(err, null);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
@@ -230,17 +298,49 @@ test('events-targets: deleteResource => removeTargets => failure', (t) => {
   );
 
   t.deepEqual(fm.fake.log.error.firstCall.args,
-    [err, err.stack],
-    'log.error should be called with err and err.stack',
+    [err],
+    'log.error should be called with err',
   );
 
   t.deepEqual(fm.fake.Response.send.firstCall.args,
-    [event, context, Response.FAILED, {}],
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
     'Response.send should be called with the correct params',
   );
 });
 
-test('events-targets: deleteResource => removeTargets => success', (t) => {
+test('events-targets: deleteResource => removeTargets => ResourceNotFoundException', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'Target123',
+    PhysicalResourceId: 'test-stack-name-Target123-UT4QDIDSRK4IK',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+    },
+  };
+
+  const err = new Error('Rule events-rule-name does not exist on EventBus default.');
+  err.code = 'ResourceNotFoundException';
+
+  // the rule was deleted first
+  fm.fake.CloudWatchEvents.removeTargets.yields(err, null);
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.log.error.callCount, 0, 'no error is logged');
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'the targets of a deleted rule are deleted',
+  );
+});
+
+test('events-targets: deleteResource => removeTargets => success', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -259,7 +359,7 @@ test('events-targets: deleteResource => removeTargets => success', (t) => {
     FailedEntries: [],
   });
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(2);
 
@@ -274,7 +374,7 @@ test('events-targets: deleteResource => removeTargets => success', (t) => {
   );
 });
 
-test('events-targets: deleteResource => removeTargets => FailedEntries', (t) => {
+test('events-targets: deleteResource => removeTargets => FailedEntries', async (t) => {
   const fm = createModule();
 
   const event = {
@@ -302,7 +402,7 @@ test('events-targets: deleteResource => removeTargets => FailedEntries', (t) =>
 
   fm.fake.CloudWatchEvents.removeTargets.yields(null, data);
 
-  fm.module.handler(event, context);
+  await fm.module.handler(event, context);
 
   t.plan(3);
 
@@ -320,3 +420,641 @@ test('events-targets: deleteResource => removeTargets => FailedEntries', (t) =>
     'FAILED response is sent when removeTargets returns an error',
   );
 });
+
+test('events-targets: updateResource => unchanged properties => NoOp', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Update',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    PhysicalResourceId: 'test-stack-name-Target123-UT4QDIDSRK4IK',
+    LogicalResourceId: 'Target123',
+    ResourceProperties: {
+      ServiceToken: 'arn:aws:lambda:us-east-1:012345678901:function:new-token',
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:::012345678901:whatever',
+      Input: '{ "b": 2, "a": 1 }',
+    },
+    OldResourceProperties: {
+      ServiceToken: 'arn:aws:lambda:us-east-1:012345678901:function:old-token',
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:::012345678901:whatever',
+      Input: '{"a":1,"b":2}',
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.ok(fm.fake.CloudWatchEvents.putTargets.notCalled,
+    'putTargets should not be called when nothing was changed',
+  );
+
+  t.deepEqual(
+    fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-targets: EventBusName is passed to putTargets and removeTargets', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'Target123',
+    PhysicalResourceId: 'Target123-UT4QDIDSRK4IK',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      EventBusName: 'arn:aws:events:us-east-1:012345678901:event-bus/custom-bus',
+      Arn: 'arn:aws:::012345678901:whatever',
+    },
+  };
+
+  const data = { FailedEntryCount: 0, FailedEntries: [] };
+  fm.fake.CloudWatchEvents.putTargets.yields(null, data);
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, data);
+
+  await fm.module.handler(event, context);
+  await fm.module.handler(Object.assign({}, event, { RequestType: 'Delete' }), context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.CloudWatchEvents.putTargets.firstCall.args[0].EventBusName,
+    event.ResourceProperties.EventBusName,
+    'putTargets should be called with the EventBusName',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0],
+    { Rule: 'events-rule-name', Ids: [event.PhysicalResourceId], EventBusName: event.ResourceProperties.EventBusName },
+    'removeTargets should be called with the EventBusName',
+  );
+});
+
+const listTargets = count => Array.from({ length: count }, (v, i) => ({
+  Id: `target-${i}`,
+  Arn: `arn:aws:sqs:us-east-1:012345678901:queue-${i}`,
+}));
+
+test('events-targets: createResource => Targets list => putTargets in batches', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: listTargets(12),
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.equal(fm.fake.CloudWatchEvents.putTargets.callCount, 2,
+    'putTargets should be called twice',
+  );
+
+  t.deepEqual(putTargetIds(fm, 'firstCall'),
+    listTargets(10).map(target => target.Id),
+    'first batch should have 10 targets',
+  );
+
+  t.deepEqual(putTargetIds(fm, 'secondCall'),
+    ['target-10', 'target-11'],
+    'second batch should have the remaining targets',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, 'Targets123-UT4QDIDSRK4IK'],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-targets: createResource => Targets list => derived Ids are stable', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: [
+        { Arn: 'arn:aws:sqs:us-east-1:012345678901:queue' },
+        { Arn: 'arn:aws:sqs:us-east-1:012345678901:queue', Input: '{"second":true}' },
+        { Arn: 'arn:aws:sqs:us-east-1:012345678901:other' },
+      ],
+    },
+  };
+
+  const reordered = Object.assign({}, event, {
+    ResourceProperties: Object.assign({}, event.ResourceProperties, {
+      Targets: event.ResourceProperties.Targets.slice().reverse(),
+    }),
+  });
+  const single = Object.assign({}, event, {
+    ResourceProperties: Object.assign({}, event.ResourceProperties, {
+      Targets: event.ResourceProperties.Targets.slice(2),
+    }),
+  });
+
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+  await fm.module.handler(event, context);
+  await fm.module.handler(reordered, context);
+  await fm.module.handler(single, context);
+
+  t.plan(5);
+
+  const ids = putTargetIds(fm, 'firstCall');
+
+  t.deepEqual(putTargetIds(fm, 'secondCall'),
+    ids,
+    'the same Ids are derived every time',
+  );
+
+  t.ok(ids.every(id => /^Targets123-[0-9a-f]{12}$/.test(id)),
+    `Ids are derived from the logical id and a hash: ${ids.join(', ')}`,
+  );
+
+  t.ok(ids[0] !== ids[1] && ids.indexOf(ids[0]) === 0,
+    'targets with the same Arn get distinct Ids',
+  );
+
+  t.deepEqual(putTargetIds(fm, 'thirdCall'), ids.slice().reverse(),
+    'reordered targets keep their Ids',
+  );
+
+  t.deepEqual(putTargetIds(fm, 'lastCall'), [ids[2]],
+    'the Id of a target with its own Arn only depends on the Arn',
+  );
+});
+
+test('events-targets: createResource => Targets list => identical targets without Id => FAILED', async (t) => {
+  const fm = createModule();
+
+  const target = { Arn: 'arn:aws:sqs:us-east-1:012345678901:queue' };
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: { Rule: 'events-rule-name', Targets: [target, target] },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+  t.ok(fm.fake.CloudWatchEvents.putTargets.notCalled, 'putTargets is not called');
+  t.ok(/^Targets have duplicate Ids: Targets123-[0-9a-f]{12}$/.test(fm.fake.log.error.firstCall.args[0].message),
+    'identical targets need an explicit Id',
+  );
+});
+
+test('events-targets: createResource => Targets list => duplicate Ids => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: [{ Id: 'same', Arn: 'arn-1' }, { Id: 'same', Arn: 'arn-2' }],
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.putTargets.notCalled,
+    'putTargets is not called',
+  );
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'Targets have duplicate Ids: same',
+    'FAILED response is logged to console',
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent',
+  );
+});
+
+test('events-targets: createResource => Targets list => FailedEntries of every batch are reported', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: listTargets(12),
+    },
+  };
+
+  const failedEntry = id => ({ TargetId: id, ErrorCode: 'SomeWeirdException', ErrorMessage: `${id} failed` });
+
+  fm.fake.CloudWatchEvents.putTargets.onFirstCall().yields(null, {
+    FailedEntryCount: 1,
+    FailedEntries: [failedEntry('target-3')],
+  });
+  fm.fake.CloudWatchEvents.putTargets.onSecondCall().yields(null, {
+    FailedEntryCount: 1,
+    FailedEntries: [failedEntry('target-11')],
+  });
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.equal(fm.fake.CloudWatchEvents.putTargets.callCount, 2,
+    'all batches are attempted',
+  );
+
+  t.deepEqual(fm.fake.log.error.firstCall.args.map(arg => arg.message || arg),
+    ['ERROR: SomeWeirdException: target-3 failed', { TargetId: 'target-3' }],
+    'failed entry is logged with its TargetId',
+  );
+
+  t.equal(fm.fake.log.error.thirdCall.args[0].message,
+    'putTargets failed for 2 target(s): target-3, target-11',
+    'all failed entries are reported',
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent',
+  );
+});
+
+test('events-targets: updateResource => Targets list => put changed and remove unlisted targets', async (t) => {
+  const fm = createModule();
+
+  const oldTargets = listTargets(3);
+  const newTargets = [
+    oldTargets[0],
+    Object.assign({}, oldTargets[1], { Input: '{"changed":true}' }),
+    { Id: 'target-new', Arn: 'arn:aws:sqs:us-east-1:012345678901:queue-new' },
+  ];
+
+  const event = {
+    RequestType: 'Update',
+    LogicalResourceId: 'Targets123',
+    PhysicalResourceId: 'Targets123-UT4QDIDSRK4IK',
+    ResourceProperties: { Rule: 'events-rule-name', Targets: newTargets },
+    OldResourceProperties: { Rule: 'events-rule-name', Targets: oldTargets },
+  };
+
+  const data = { FailedEntryCount: 0, FailedEntries: [] };
+  fm.fake.CloudWatchEvents.putTargets.yields(null, data);
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, data);
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.deepEqual(putTargetIds(fm, 'firstCall'),
+    ['target-1', 'target-new'],
+    'only changed and new targets are put',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0],
+    { Rule: 'events-rule-name', Ids: ['target-2'] },
+    'targets no longer listed are removed',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.removeTargets.calledAfter(fm.fake.CloudWatchEvents.putTargets),
+    'targets are removed after new targets are put',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-targets: deleteResource => Targets list => removeTargets in batches', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    LogicalResourceId: 'Targets123',
+    PhysicalResourceId: 'Targets123-UT4QDIDSRK4IK',
+    ResourceProperties: { Rule: 'events-rule-name', Targets: listTargets(11) },
+  };
+
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.secondCall.args[0],
+    { Rule: 'events-rule-name', Ids: ['target-10'] },
+    'removeTargets should be called in batches of 10',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+const movedEvent = () => ({
+  RequestType: 'Update',
+  LogicalResourceId: 'Target123',
+  PhysicalResourceId: 'Target123-UT4QDIDSRK4IK',
+  ResourceProperties: {
+    Rule: 'new-rule-name',
+    EventBusName: 'custom-bus',
+    Arn: 'arn:aws:::012345678901:whatever',
+  },
+  OldResourceProperties: {
+    Rule: 'old-rule-name',
+    Arn: 'arn:aws:::012345678901:whatever',
+  },
+});
+
+test('events-targets: updateResource => Rule change => target moves to the new rule', async (t) => {
+  const fm = createModule();
+
+  const event = movedEvent();
+
+  const data = { FailedEntryCount: 0, FailedEntries: [] };
+  fm.fake.CloudWatchEvents.putTargets.yields(null, data);
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, data);
+
+  await fm.module.handler(event, context);
+
+  t.plan(4);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putTargets.firstCall.args[0],
+    {
+      Rule: 'new-rule-name',
+      EventBusName: 'custom-bus',
+      Targets: [{
+        Id: event.PhysicalResourceId,
+        Arn: 'arn:aws:::012345678901:whatever',
+      }],
+    },
+    'target is put on the new rule and event bus',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0],
+    { Rule: 'old-rule-name', Ids: [event.PhysicalResourceId] },
+    'target is removed from the old rule on the default event bus',
+  );
+
+  t.ok(fm.fake.CloudWatchEvents.removeTargets.calledAfter(fm.fake.CloudWatchEvents.putTargets),
+    'target is removed from the old rule after it is put on the new rule',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'Response.send should be called with the correct params',
+  );
+});
+
+test('events-targets: updateResource => Rule change => put fails => rollback', async (t) => {
+  const fm = createModule();
+
+  const event = movedEvent();
+
+  fm.fake.CloudWatchEvents.putTargets.yields(null, {
+    FailedEntryCount: 1,
+    FailedEntries: [{ TargetId: event.PhysicalResourceId, ErrorCode: 'SomeWeirdException', ErrorMessage: 'failed' }],
+  });
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.equal(fm.fake.CloudWatchEvents.removeTargets.callCount, 1,
+    'removeTargets is only called for the rollback',
+  );
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0],
+    { Rule: 'new-rule-name', EventBusName: 'custom-bus', Ids: [event.PhysicalResourceId] },
+    'target is removed from the new rule',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with FAILED',
+  );
+});
+
+test('events-targets: updateResource => Rule change => remove from old rule fails => rollback', async (t) => {
+  const fm = createModule();
+
+  const event = movedEvent();
+
+  const err = new Error('test-error');
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+  fm.fake.CloudWatchEvents.removeTargets.onFirstCall().yields(err, null);
+  fm.fake.CloudWatchEvents.removeTargets.onSecondCall()
+    .yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.secondCall.args[0],
+    { Rule: 'new-rule-name', EventBusName: 'custom-bus', Ids: [event.PhysicalResourceId] },
+    'target is removed from the new rule',
+  );
+
+  t.deepEqual(fm.fake.log.error.firstCall.args,
+    [err],
+    'log.error should be called with err',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.FAILED, {}, event.PhysicalResourceId,
+      { reason: fm.fake.log.error.lastCall.args[0].message }],
+    'Response.send should be called with FAILED',
+  );
+});
+
+test('events-targets: createResource => InputTransformer is only sent when configured', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: [
+        { Id: 'plain', Arn: 'arn-1' },
+        { Id: 'input', Arn: 'arn-2', Input: { key: 'value' } },
+        {
+          Id: 'transformed',
+          Arn: 'arn-3',
+          InputTransformer: { InputPathsMap: { id: '$.detail.id' }, InputTemplate: '"<id>"' },
+        },
+      ],
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putTargets.firstCall.args[0].Targets,
+    [
+      { Id: 'plain', Arn: 'arn-1' },
+      { Id: 'input', Arn: 'arn-2', Input: '{"key":"value"}' },
+      {
+        Id: 'transformed',
+        Arn: 'arn-3',
+        InputTransformer: { InputPathsMap: { id: '$.detail.id' }, InputTemplate: '"<id>"' },
+      },
+    ],
+    'only configured input properties are sent, an object Input is serialized',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, 'Targets123-UT4QDIDSRK4IK'],
+    'SUCCESS response is sent',
+  );
+});
+
+test('events-targets: createResource => invalid input => FAILED', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Target123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:::012345678901:whatever',
+      InputPath: '$.detail',
+      InputTransformer: { InputPathsMap: {}, InputTemplate: '"<missing>"' },
+    },
+  };
+
+  await fm.module.handler(event, context);
+
+  t.plan(3);
+
+  t.ok(fm.fake.CloudWatchEvents.putTargets.notCalled,
+    'putTargets is not called',
+  );
+
+  t.equal(fm.fake.log.error.firstCall.args[0].message,
+    'Invalid properties of Custom::Events::Target: at most one of Input, InputPath and InputTransformer may be set',
+    'FAILED response is logged to console',
+  );
+
+  t.ok(fm.fake.Response.send.calledWith(event, context, Response.FAILED, {}),
+    'FAILED response is sent',
+  );
+});
+
+test('events-targets: deleteResource => invalid input => target is still removed', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    LogicalResourceId: 'Target123',
+    PhysicalResourceId: 'Target123-UT4QDIDSRK4IK',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:::012345678901:whatever',
+      InputTransformer: { InputTemplate: '"<missing>"' },
+    },
+  };
+
+  fm.fake.CloudWatchEvents.removeTargets.yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.removeTargets.firstCall.args[0],
+    { Rule: 'events-rule-name', Ids: [event.PhysicalResourceId] },
+    'removeTargets is called for a target rolled back after a failed create',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'SUCCESS response is sent',
+  );
+});
+
+test('events-targets: createResource => retryable FailedEntries are put again', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Create',
+    LogicalResourceId: 'Targets123',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Targets: [{ Id: 'target-1', Arn: 'arn-1' }, { Id: 'target-2', Arn: 'arn-2' }],
+    },
+  };
+
+  fm.fake.uniqueSuffix.returns('UT4QDIDSRK4IK');
+  fm.fake.CloudWatchEvents.putTargets.onCall(0).yields(null, {
+    FailedEntryCount: 1,
+    FailedEntries: [{ TargetId: 'target-2', ErrorCode: 'ConcurrentModificationException', ErrorMessage: 'busy' }],
+  });
+  fm.fake.CloudWatchEvents.putTargets.onCall(1)
+    .yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.deepEqual(fm.fake.CloudWatchEvents.putTargets.secondCall.args[0],
+    { Rule: 'events-rule-name', Targets: [{ Id: 'target-2', Arn: 'arn-2' }] },
+    'only the failed target is put again',
+  );
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, 'Targets123-UT4QDIDSRK4IK'],
+    'SUCCESS response is sent',
+  );
+});
+
+test('events-targets: deleteResource => ThrottlingException is retried', async (t) => {
+  const fm = createModule();
+
+  const event = {
+    RequestType: 'Delete',
+    LogicalResourceId: 'Target123',
+    PhysicalResourceId: 'Target123-UT4QDIDSRK4IK',
+    ResourceProperties: {
+      Rule: 'events-rule-name',
+      Arn: 'arn:aws:::012345678901:whatever',
+    },
+  };
+
+  const err = new Error('Rate exceeded');
+  err.code = 'ThrottlingException';
+  fm.fake.CloudWatchEvents.removeTargets.onCall(0).yields(err);
+  fm.fake.CloudWatchEvents.removeTargets.onCall(1)
+    .yields(null, { FailedEntryCount: 0, FailedEntries: [] });
+
+  await fm.module.handler(event, context);
+
+  t.plan(2);
+
+  t.equal(fm.fake.CloudWatchEvents.removeTargets.callCount, 2, 'removeTargets is called again');
+
+  t.deepEqual(fm.fake.Response.send.firstCall.args,
+    [event, context, Response.SUCCESS, {}, event.PhysicalResourceId],
+    'SUCCESS response is sent',
+  );
+});
@@ -0,0 +1,160 @@
+import { test } from 'tape';
+import {
+  ChangeType, canonicalJson, comparableJson, diffProperties,
+} from '../lib/diff';
+
+const specs = {
+  Name: { replace: true },
+  EventPattern: { json: true },
+  State: { default: 'ENABLED' },
+};
+
+test('diff: canonicalJson', (t) => {
+  const cases = [
+    ['object with unsorted keys', { b: 1, a: [{ d: 2, c: 3 }] }, '{"a":[{"c":3,"d":2}],"b":1}'],
+    ['JSON text with whitespace', '{ "b" : 1,\n "a": 2 }', '{"a":2,"b":1}'],
+    ['text that is not JSON', 'not { json', 'not { json'],
+    ['undefined', undefined, undefined],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, value, expected]) => {
+    t.equal(canonicalJson(value), expected, description);
+  });
+});
+
+test('diff: comparableJson', (t) => {
+  const cases = [
+    ['numbers and booleans of an object as strings', { b: 2, a: [true] }, '{"a":["true"],"b":"2"}'],
+    ['the same object with strings', { a: ['true'], b: '2' }, '{"a":["true"],"b":"2"}'],
+    ['JSON text keeps its types', '{ "b": 2 }', '{"b":2}'],
+    ['undefined', undefined, undefined],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, value, expected]) => {
+    t.equal(comparableJson(value), expected, description);
+  });
+});
+
+test('diff: diffProperties', (t) => {
+  const cases = [
+    {
+      description: 'identical properties are a NoOp',
+      old: { Name: 'rule', State: 'ENABLED' },
+      new: { Name: 'rule', State: 'ENABLED' },
+      changeType: ChangeType.NoOp,
+      properties: { Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp },
+    },
+    {
+      description: 'EventPattern whitespace and key order are a NoOp',
+      old: { EventPattern: '{"source":["aws.ec2"],"detail-type":["x"]}' },
+      new: { EventPattern: '{ "detail-type": [ "x" ],\n  "source": [ "aws.ec2" ] }' },
+      changeType: ChangeType.NoOp,
+      properties: { Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp },
+    },
+    {
+      description: 'EventPattern object equal to JSON text is a NoOp',
+      old: { EventPattern: '{"source":["aws.ec2"]}' },
+      new: { EventPattern: { source: ['aws.ec2'] } },
+      changeType: ChangeType.NoOp,
+      properties: { Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp },
+    },
+    {
+      description: 'absent State is equal to its default',
+      old: { State: 'ENABLED' },
+      new: {},
+      changeType: ChangeType.NoOp,
+      properties: { Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp },
+    },
+    {
+      description: 'empty string is equal to absent',
+      old: { Description: '' },
+      new: {},
+      changeType: ChangeType.NoOp,
+      properties: {
+        Name: ChangeType.NoOp,
+        EventPattern: ChangeType.NoOp,
+        State: ChangeType.NoOp,
+        Description: ChangeType.NoOp,
+      },
+    },
+    {
+      description: 'numbers are equal to their string form',
+      old: { EcsParameters: { TaskCount: '1' } },
+      new: { EcsParameters: { TaskCount: 1 } },
+      changeType: ChangeType.NoOp,
+      properties: {
+        Name: ChangeType.NoOp,
+        EventPattern: ChangeType.NoOp,
+        State: ChangeType.NoOp,
+        EcsParameters: ChangeType.NoOp,
+      },
+    },
+    {
+      description: 'ServiceToken is ignored',
+      old: { ServiceToken: 'old' },
+      new: { ServiceToken: 'new' },
+      changeType: ChangeType.NoOp,
+      properties: { Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp },
+    },
+    {
+      description: 'State change is InPlace',
+      old: { State: 'ENABLED' },
+      new: { State: 'DISABLED' },
+      changeType: ChangeType.InPlace,
+      properties: {
+        Name: ChangeType.NoOp, EventPattern: ChangeType.NoOp, State: ChangeType.InPlace,
+      },
+    },
+    {
+      description: 'unknown property change is InPlace',
+      old: { Description: 'old' },
+      new: { Description: 'new' },
+      changeType: ChangeType.InPlace,
+      properties: {
+        Name: ChangeType.NoOp,
+        EventPattern: ChangeType.NoOp,
+        State: ChangeType.NoOp,
+        Description: ChangeType.InPlace,
+      },
+    },
+    {
+      description: 'EventPattern value change is InPlace',
+      old: { EventPattern: '{"source":["aws.ec2"]}' },
+      new: { EventPattern: '{"source":["aws.s3"]}' },
+      changeType: ChangeType.InPlace,
+      properties: {
+        Name: ChangeType.NoOp, EventPattern: ChangeType.InPlace, State: ChangeType.NoOp,
+      },
+    },
+    {
+      description: 'Name change is a Replace, even with other InPlace changes',
+      old: { Name: 'old', State: 'ENABLED' },
+      new: { Name: 'new', State: 'DISABLED' },
+      changeType: ChangeType.Replace,
+      properties: {
+        Name: ChangeType.Replace, EventPattern: ChangeType.NoOp, State: ChangeType.InPlace,
+      },
+    },
+    {
+      description: 'missing OldResourceProperties',
+      old: undefined,
+      new: { Name: 'new' },
+      changeType: ChangeType.Replace,
+      properties: {
+        Name: ChangeType.Replace, EventPattern: ChangeType.NoOp, State: ChangeType.NoOp,
+      },
+    },
+  ];
+
+  t.plan(cases.length * 2);
+
+  cases.forEach((testCase) => {
+    const diff = diffProperties(specs, testCase.old, testCase.new);
+    t.equal(diff.changeType, testCase.changeType, `${testCase.description} (changeType)`);
+    t.deepEqual(diff.properties, testCase.properties, `${testCase.description} (properties)`);
+  });
+});
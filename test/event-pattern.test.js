@@ -0,0 +1,176 @@
+import { test } from 'tape';
+import {
+  matchEventPattern,
+  normalizeEventPattern,
+  parseEventPattern,
+  validateEventPattern,
+} from '../lib/event-pattern';
+
+test('event-pattern: normalizeEventPattern', (t) => {
+  const cases = [
+    ['undefined', undefined, undefined],
+    ['JSON text', '{ "source": [ "aws.ec2" ] }', '{"source":["aws.ec2"]}'],
+    ['object with unsorted keys', { source: ['aws.ec2'], 'detail-type': ['x'] }, '{"detail-type":["x"],"source":["aws.ec2"]}'],
+    [
+      'stringified matcher values of an object',
+      { detail: { count: [{ numeric: ['>', '0', '<=', '5'] }], error: [{ exists: 'false' }] } },
+      '{"detail":{"count":[{"numeric":[">",0,"<=",5]}],"error":[{"exists":false}]}}',
+    ],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, value, expected]) => {
+    t.equal(normalizeEventPattern(value), expected, description);
+  });
+});
+
+test('event-pattern: normalizeEventPattern => invalid', (t) => {
+  t.plan(2);
+
+  t.throws(() => normalizeEventPattern('{ not json'),
+    /^Error: Invalid EventPattern: not valid JSON/,
+    'invalid JSON text throws',
+  );
+
+  t.throws(() => normalizeEventPattern({ source: 'aws.ec2', detail: { state: [{ prefix: 1 }] } }),
+    /^Error: Invalid EventPattern: \$\.source: leaf value must be an array; \$\.detail\.state\[0\]\.prefix: prefix must be a string$/,
+    'all validation errors are listed with their JSON path',
+  );
+});
+
+test('event-pattern: validateEventPattern', (t) => {
+  const cases = [
+    ['simple values', { source: ['aws.ec2'], detail: { code: [200, null, true] } }, []],
+    ['all matchers', {
+      detail: {
+        a: [{ prefix: 'prod-' }],
+        b: [{ 'anything-but': 'x' }],
+        c: [{ 'anything-but': [1, 2] }],
+        d: [{ 'anything-but': { prefix: 'test-' } }],
+        e: [{ numeric: ['>=', 0, '<', 10] }],
+        f: [{ numeric: ['=', 5] }],
+        g: [{ exists: true }],
+      },
+    }, []],
+    ['not an object', ['aws.ec2'], ['$: must be an object']],
+    ['empty pattern', {}, ['$: must not be empty']],
+    ['leaf is not an array', { detail: { state: 'running' } }, ['$.detail.state: leaf value must be an array']],
+    ['empty leaf array', { source: [] }, ['$.source: must not be an empty array']],
+    ['nested array', { source: [['aws.ec2']] }, ['$.source[0]: arrays cannot be nested']],
+    ['unknown matcher', { source: [{ suffix: 'x' }] }, ["$.source[0].suffix: unknown matcher 'suffix'"]],
+    ['two matchers', { source: [{ prefix: 'a', exists: true }] },
+      ['$.source[0]: matcher must have exactly one of prefix, anything-but, numeric, exists']],
+    ['prefix is not a string', { source: [{ prefix: ['a'] }] }, ['$.source[0].prefix: prefix must be a string']],
+    ['anything-but empty array', { source: [{ 'anything-but': [] }] },
+      ['$.source[0].anything-but: anything-but must not be an empty array']],
+    ['anything-but array of objects', { source: [{ 'anything-but': [{}] }] },
+      ['$.source[0].anything-but: anything-but array must contain only strings or numbers']],
+    ['anything-but unknown object', { source: [{ 'anything-but': { exists: true } }] },
+      ['$.source[0].anything-but: anything-but object must be { "prefix": "STRING" }']],
+    ['numeric bad length', { n: [{ numeric: ['>', 1, '<'] }] },
+      ['$.n[0].numeric: numeric must be an array of [operator, number] or [operator, number, operator, number]']],
+    ['numeric bad operator', { n: [{ numeric: ['!=', 1] }] },
+      ["$.n[0].numeric: numeric operator must be one of < <= = > >=, was '!='"]],
+    ['numeric string operand', { n: [{ numeric: ['>', '1'] }] },
+      ["$.n[0].numeric: numeric operator '>' must be followed by a number"]],
+    ['numeric range start', { n: [{ numeric: ['<', 1, '<', 2] }] },
+      ['$.n[0].numeric: numeric range must start with > or >=']],
+    ['numeric range end', { n: [{ numeric: ['>', 1, '>', 2] }] },
+      ['$.n[0].numeric: numeric range must end with < or <=']],
+    ['numeric range bounds', { n: [{ numeric: ['>', 2, '<', 1] }] },
+      ['$.n[0].numeric: numeric range lower bound must be less than its upper bound']],
+    ['exists is not a boolean', { n: [{ exists: 'true' }] }, ['$.n[0].exists: exists must be true or false']],
+    ['too long', { source: ['x'.repeat(4096)] }, ['$: must be at most 4096 characters long, was 4111']],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, pattern, expected]) => {
+    t.deepEqual(validateEventPattern(pattern), expected, description);
+  });
+});
+
+test('event-pattern: parseEventPattern keeps types of JSON text', (t) => {
+  t.plan(1);
+
+  t.deepEqual(parseEventPattern('{"n":[{"exists":"true"}]}'), { n: [{ exists: 'true' }] },
+    'JSON text values are not converted',
+  );
+});
+
+test('event-pattern: literal values of an object pattern stay strings', (t) => {
+  // CloudFormation passes `{ detail: { count: [5], enabled: [true] } }` as -
+  const fromTemplate = { detail: { count: ['5'], enabled: ['true'] } };
+  const event = { detail: { count: 5, enabled: true } };
+
+  t.plan(3);
+  t.equal(normalizeEventPattern(fromTemplate), '{"detail":{"count":["5"],"enabled":["true"]}}',
+    'literal values are not converted');
+  t.equal(matchEventPattern(fromTemplate, event), false, 'and do not match numbers or booleans');
+  t.equal(matchEventPattern('{"detail":{"count":[5],"enabled":[true]}}', event), true, 'JSON text does');
+});
+
+test('event-pattern: matchEventPattern', (t) => {
+  const event = {
+    source: 'aws.ec2',
+    'detail-type': 'EC2 Instance State-change Notification',
+    resources: ['arn:aws:ec2:us-east-1:012345678901:instance/i-1', 'arn:aws:ec2:us-east-1:012345678901:instance/i-2'],
+    detail: {
+      state: 'running',
+      count: 5,
+      empty: null,
+      tags: [],
+      nested: { flag: true },
+    },
+  };
+
+  const cases = [
+    ['exact value', { source: ['aws.ec2'] }, true],
+    ['one of values', { source: ['aws.s3', 'aws.ec2'] }, true],
+    ['different value', { source: ['aws.s3'] }, false],
+    ['values are type sensitive', { detail: { count: ['5'] } }, false],
+    ['null value', { detail: { empty: [null] } }, true],
+    ['boolean value', { detail: { nested: { flag: [true] } } }, true],
+    ['missing field', { detail: { missing: ['x'] } }, false],
+    ['missing parent object', { missing: { field: ['x'] } }, false],
+    ['all fields must match', { source: ['aws.ec2'], detail: { state: ['stopped'] } }, false],
+    ['any element of an event array', { resources: ['arn:aws:ec2:us-east-1:012345678901:instance/i-2'] }, true],
+    ['prefix', { detail: { state: [{ prefix: 'run' }] } }, true],
+    ['prefix on an array', { resources: [{ prefix: 'arn:aws:s3' }] }, false],
+    ['anything-but value', { detail: { state: [{ 'anything-but': 'stopped' }] } }, true],
+    ['anything-but same value', { detail: { state: [{ 'anything-but': 'running' }] } }, false],
+    ['anything-but list', { detail: { state: [{ 'anything-but': ['running', 'stopped'] }] } }, false],
+    ['anything-but prefix', { detail: { state: [{ 'anything-but': { prefix: 'stop' } }] } }, true],
+    ['anything-but on missing field', { detail: { missing: [{ 'anything-but': 'x' }] } }, false],
+    ['numeric', { detail: { count: [{ numeric: ['>', 4] }] } }, true],
+    ['numeric equal', { detail: { count: [{ numeric: ['=', 4] }] } }, false],
+    ['numeric range', { detail: { count: [{ numeric: ['>=', 5, '<', 10] }] } }, true],
+    ['numeric range outside', { detail: { count: [{ numeric: ['>', 5, '<', 10] }] } }, false],
+    ['numeric on a string', { detail: { state: [{ numeric: ['>', 0] }] } }, false],
+    ['exists true', { detail: { state: [{ exists: true }] } }, true],
+    ['exists false on a present field', { detail: { state: [{ exists: false }] } }, false],
+    ['exists false on a missing field', { detail: { missing: [{ exists: false }] } }, true],
+    ['exists false on an empty array', { detail: { tags: [{ exists: false }] } }, true],
+    ['exists false on a missing parent object', { missing: { field: [{ exists: false }] } }, true],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, pattern, expected]) => {
+    t.equal(matchEventPattern(pattern, event), expected, description);
+  });
+});
+
+test('event-pattern: matchEventPattern => JSON text and invalid patterns', (t) => {
+  t.plan(2);
+
+  t.ok(matchEventPattern('{"detail":{"count":[{"numeric":[">",1]}]}}', '{"detail":{"count":2}}'),
+    'pattern and event can be JSON text',
+  );
+
+  t.throws(() => matchEventPattern({ source: 'aws.ec2' }, {}),
+    /Invalid EventPattern: \$\.source: leaf value must be an array/,
+    'an invalid pattern throws',
+  );
+});
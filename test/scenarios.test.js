@@ -0,0 +1,243 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import retry from '../lib/core/retry';
+import { createEmulator } from '../tools/emulator';
+import { invoke } from '../tools/invoke';
+
+// Full lifecycles of the resources, run by the handlers against the in-memory
+// CloudWatch Events emulator, asserting the state left behind by each step.
+
+retry.options.baseDelay = 1;
+
+const QUEUE_ARN = 'arn:aws:sqs:us-east-1:012345678901:queue';
+const STACK_ID = 'arn:aws:cloudformation:us-east-1:012345678901:stack/local-stack/00000000-0000-0000-0000-000000000000';
+
+const rule = (requestType, properties, extra) => Object.assign({
+  RequestType: requestType,
+  ResourceType: 'Custom::Events::Rule',
+  LogicalResourceId: 'Rule',
+  ResourceProperties: properties,
+}, extra);
+
+const target = (requestType, properties, extra) => Object.assign({
+  RequestType: requestType,
+  ResourceType: 'Custom::Events::Target',
+  LogicalResourceId: 'Target',
+  ResourceProperties: Object.assign({ Rule: { Ref: 'Rule' } }, properties),
+}, extra);
+
+/**
+ * Run the events against an emulator, with the logs of the handlers captured.
+ *
+ * @returns promise of `{ emulator, statuses, responses }`.
+ */
+const run = async (events, emulator = createEmulator()) => {
+  const out = sinon.stub(console, 'log');
+  const err = sinon.stub(console, 'error');
+  let results;
+  try {
+    results = await invoke(events, { client: emulator });
+  } finally {
+    out.restore();
+    err.restore();
+  }
+  const responses = results.map(result => result.response);
+  return { emulator, responses, statuses: responses.map(response => response.Status) };
+};
+
+const targetIds = (emulator, ruleName) => emulator.state().rules
+  .find(entry => entry.Name === ruleName).Targets.map(entry => entry.Id);
+
+test('scenario: rule Create, Update of the pattern and Tags, Delete', async (t) => {
+  const created = await run([
+    rule('Create', { Name: 'orders', EventPattern: { source: ['app'] }, Tags: [{ Key: 'Owner', Value: 'team' }] }),
+  ]);
+  const afterCreate = created.emulator.state().rules;
+
+  const updated = await run([
+    rule('Update', { Name: 'orders', EventPattern: { source: ['app', 'other'] }, Tags: [{ Key: 'Owner', Value: 'ops' }] },
+      { PhysicalResourceId: 'orders', OldResourceProperties: { Name: 'orders', EventPattern: { source: ['app'] } } }),
+  ], created.emulator);
+  const afterUpdate = created.emulator.state().rules;
+
+  const deleted = await run([rule('Delete', { Name: 'orders' }, { PhysicalResourceId: 'orders' })], created.emulator);
+
+  t.plan(6);
+  t.deepEqual([created.statuses, updated.statuses, deleted.statuses], [['SUCCESS'], ['SUCCESS'], ['SUCCESS']],
+    'every request succeeds',
+  );
+  t.deepEqual(afterCreate[0].Tags, [
+    { Key: 'Owner', Value: 'team' },
+    { Key: 'custom-cf-cw-events:stack-id', Value: STACK_ID },
+  ], 'the rule is tagged with its owner');
+  t.deepEqual([afterUpdate.length, afterUpdate[0].EventPattern], [1, '{"source":["app","other"]}'],
+    'the pattern is updated in place',
+  );
+  t.deepEqual(afterUpdate[0].Tags.find(tag => tag.Key === 'Owner'), { Key: 'Owner', Value: 'ops' }, 'tags are updated');
+  t.equal(updated.responses[0].Data.Tags, '{"Owner":"ops"}', 'Tags attribute');
+  t.deepEqual(created.emulator.state().rules, [], 'the rule is deleted');
+});
+
+test('scenario: failed Create of a rule and a target, then their rollback', async (t) => {
+  const { emulator, statuses, responses } = await run([
+    rule('Create', { Name: 'orders', ScheduleExpression: 'rate(5 minutes)' }),
+    target('Create', { Arn: QUEUE_ARN, Input: '{}', InputPath: '$.detail' }),
+    rule('Create', { Name: 'orders-v2', EventPattern: { source: ['app'] }, State: 'enabled' }, { LogicalResourceId: 'Other' }),
+    target('Delete', { Arn: QUEUE_ARN, Input: '{}', InputPath: '$.detail' }),
+    rule('Delete', { Name: 'orders-v2', EventPattern: { source: ['app'] }, State: 'enabled' }, { LogicalResourceId: 'Other' }),
+  ]);
+  const logStream = await run([
+    rule('Delete', { Name: 'orders' }, { PhysicalResourceId: '2026/10/19/[$LATEST]0123456789abcdef' }),
+  ], emulator);
+
+  t.plan(4);
+  t.deepEqual(statuses, ['SUCCESS', 'FAILED', 'FAILED', 'SUCCESS', 'SUCCESS'], 'the rollback of the failed Creates succeeds');
+  t.deepEqual([responses[1].PhysicalResourceId, responses[2].PhysicalResourceId],
+    ['custom-cf-cw-events-create-failed', 'custom-cf-cw-events-create-failed'], 'with a placeholder physical id');
+  t.deepEqual(emulator.state().rules.map(entry => [entry.Name, entry.Targets.length]), [['orders', 0]],
+    'only the rule created before is left');
+  t.ok(/^1 validation error detected: Value '2026\/10\/19\/\[\$LATEST\]/.test(logStream.responses[0].Reason),
+    'a log stream name is not a valid rule name');
+});
+
+test('scenario: rule replacement moves its targets to the new rule', async (t) => {
+  const { emulator, statuses } = await run([
+    rule('Create', { Name: 'orders-v1', EventPattern: { source: ['app'] } }),
+    target('Create', { Arn: QUEUE_ARN }),
+    rule('Update', { Name: 'orders-v2', EventPattern: { source: ['app'] } }),
+    target('Update', { Arn: QUEUE_ARN }),
+    // cleanup of the replaced rule
+    rule('Delete', { Name: 'orders-v1', EventPattern: { source: ['app'] } }, { PhysicalResourceId: 'orders-v1' }),
+  ]);
+  const rules = emulator.state().rules;
+
+  t.plan(3);
+  t.deepEqual(statuses, ['SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS'], 'every request succeeds');
+  t.deepEqual(rules.map(entry => entry.Name), ['orders-v2'], 'only the new rule is left');
+  t.equal(rules[0].Targets.length, 1, 'the target is on the new rule');
+});
+
+test('scenario: targets left on a replaced rule', async (t) => {
+  const { emulator, statuses, responses } = await run([
+    rule('Create', { Name: 'orders-v1', EventPattern: { source: ['app'] }, RemoveTargetsOnDelete: 'false' }),
+    target('Create', { Arn: QUEUE_ARN }),
+    rule('Update', { Name: 'orders-v2', EventPattern: { source: ['app'] }, RemoveTargetsOnDelete: 'false' }),
+    rule('Delete', { Name: 'orders-v1', RemoveTargetsOnDelete: 'false' }, { PhysicalResourceId: 'orders-v1' }),
+  ]);
+
+  t.plan(3);
+  t.deepEqual(statuses, ['SUCCESS', 'SUCCESS', 'SUCCESS', 'FAILED'], 'the cleanup of the old rule fails');
+  t.ok(/^Rule can't be deleted since it has targets\./.test(responses[3].Reason), responses[3].Reason);
+  t.deepEqual(emulator.state().rules.map(entry => [entry.Name, entry.Targets.length]),
+    [['orders-v1', 1], ['orders-v2', 0]], 'the target is still on the old rule',
+  );
+});
+
+test('scenario: a list of targets is updated in place', async (t) => {
+  const queue = name => ({ Id: name, Arn: `${QUEUE_ARN}-${name}` });
+  const { emulator, statuses } = await run([
+    rule('Create', { Name: 'orders', ScheduleExpression: 'rate(5 minutes)' }),
+    target('Create', { Targets: [queue('a'), queue('b'), queue('c')] }),
+    target('Update', { Targets: [Object.assign(queue('a'), { Input: { changed: true } }), queue('c'), queue('d')] }),
+  ]);
+  const afterUpdate = emulator.state().rules[0].Targets;
+
+  const deleted = await run([
+    target('Delete', { Rule: 'orders', Targets: [queue('a'), queue('c'), queue('d')] }, { PhysicalResourceId: 'Target' }),
+  ], emulator);
+
+  t.plan(4);
+  t.deepEqual(statuses.concat(deleted.statuses), ['SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS'], 'every request succeeds');
+  t.deepEqual(afterUpdate.map(entry => entry.Id).sort(), ['a', 'c', 'd'], 'targets are put and removed');
+  t.equal(afterUpdate.find(entry => entry.Id === 'a').Input, '{"changed":true}', 'a changed target is put again');
+  t.deepEqual(targetIds(emulator, 'orders'), [], 'the targets are removed');
+});
+
+test('scenario: more than 5 targets on a rule', async (t) => {
+  const targets = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ Id: id, Arn: `${QUEUE_ARN}-${id}` }));
+  const { emulator, statuses, responses } = await run([
+    rule('Create', { Name: 'orders', ScheduleExpression: 'rate(5 minutes)' }),
+    target('Create', { Targets: targets }),
+  ]);
+
+  t.plan(3);
+  t.deepEqual(statuses, ['SUCCESS', 'FAILED'], 'the targets are not created');
+  t.ok(/^The requested resource exceeds the maximum number allowed\./.test(responses[1].Reason), responses[1].Reason);
+  t.deepEqual(targetIds(emulator, 'orders'), [], 'no target is put');
+});
+
+test('scenario: failed entries of putTargets', async (t) => {
+  const targets = ['a', 'b'].map(id => ({ Id: id, Arn: `${QUEUE_ARN}-${id}` }));
+  const emulator = createEmulator();
+  emulator.failEntry('putTargets', 'a', 'ConcurrentModificationException', 'try again', 2);
+  emulator.failEntry('putTargets', 'x', 'AccessDeniedException', 'denied');
+
+  const transient = await run([
+    rule('Create', { Name: 'orders', ScheduleExpression: 'rate(5 minutes)' }),
+    target('Create', { Targets: targets }),
+  ], emulator);
+  const permanent = await run([
+    rule('Create', { Name: 'orders', ScheduleExpression: 'rate(5 minutes)' }, { RequestId: 'other' }),
+    target('Create', { Rule: 'orders', Targets: [{ Id: 'x', Arn: QUEUE_ARN }] }, { LogicalResourceId: 'Other' }),
+  ], emulator);
+
+  t.plan(4);
+  t.deepEqual(transient.statuses, ['SUCCESS', 'SUCCESS'], 'transient failures are retried');
+  t.deepEqual(targetIds(emulator, 'orders'), ['b', 'a'], 'every target is put in the end');
+  t.equal(permanent.statuses[1], 'FAILED', 'other failures fail the request');
+  t.ok(/^putTargets failed for 1 target\(s\): x/.test(permanent.responses[1].Reason), permanent.responses[1].Reason);
+});
+
+test('scenario: event bus, permission replacement and a rule on the bus', async (t) => {
+  const permission = (requestType, principal, extra) => Object.assign({
+    RequestType: requestType,
+    ResourceType: 'Custom::Events::Permission',
+    LogicalResourceId: 'Permission',
+    ResourceProperties: { EventBusName: { Ref: 'Bus' }, Principal: principal },
+  }, extra);
+  const bus = requestType => ({
+    RequestType: requestType,
+    ResourceType: 'Custom::Events::EventBus',
+    LogicalResourceId: 'Bus',
+    ResourceProperties: { Name: 'orders-bus' },
+  });
+
+  const created = await run([
+    bus('Create'),
+    permission('Create', '111122223333'),
+    rule('Create', { Name: 'orders', EventBusName: { Ref: 'Bus' }, EventPattern: { source: ['app'] } }),
+    permission('Update', '444455556666'),
+  ]);
+  const oldStatement = created.responses[1].PhysicalResourceId;
+  const newStatement = created.responses[3].PhysicalResourceId;
+  const duringUpdate = JSON.parse(created.emulator.state().buses[1].Policy).Statement
+    .map(entry => entry.Sid);
+
+  const cleanup = await run([
+    permission('Delete', '111122223333', {
+      PhysicalResourceId: oldStatement,
+      ResourceProperties: { EventBusName: 'orders-bus', Principal: '111122223333' },
+    }),
+  ], created.emulator);
+  const afterCleanup = created.emulator.state().buses[1];
+
+  const deleted = await run([
+    rule('Delete', { Name: 'orders', EventBusName: 'orders-bus' }, { PhysicalResourceId: 'orders' }),
+    Object.assign(bus('Delete'), { PhysicalResourceId: 'orders-bus' }),
+  ], created.emulator);
+
+  t.plan(5);
+  t.deepEqual(created.statuses.concat(cleanup.statuses, deleted.statuses),
+    ['SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS', 'SUCCESS'], 'every request succeeds');
+  t.equal(created.responses[2].Data.Arn, 'arn:aws:events:us-east-1:012345678901:rule/orders-bus/orders',
+    'the rule is on the event bus',
+  );
+  t.deepEqual(duringUpdate, [oldStatement, newStatement], 'the new statement is put before the old one is removed');
+  t.deepEqual(JSON.parse(afterCleanup.Policy).Statement.map(entry => entry.Principal),
+    [{ AWS: 'arn:aws:iam::444455556666:root' }], 'only the new statement is left',
+  );
+  t.deepEqual(created.emulator.state(), {
+    buses: [{ Name: 'default', Arn: 'arn:aws:events:us-east-1:012345678901:event-bus/default', Tags: [] }],
+    rules: [],
+  }, 'everything is deleted');
+});
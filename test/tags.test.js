@@ -0,0 +1,47 @@
+import { test } from 'tape';
+import { diffTags, normalizeTags, tagsAttribute } from '../lib/tags';
+
+test('tags: normalizeTags', (t) => {
+  t.plan(4);
+  t.deepEqual(normalizeTags(undefined), [], 'no tags');
+  t.deepEqual(normalizeTags([{ Key: 'Count', Value: 3 }, { Key: 'Empty' }]),
+    [{ Key: 'Count', Value: '3' }, { Key: 'Empty', Value: '' }],
+    'values are strings, a missing value is empty',
+  );
+  t.throws(() => normalizeTags({ Owner: 'team' }), /^Error: Invalid Tags: must be a list of Key\/Value pairs$/,
+    'a map is not a list of tags',
+  );
+  t.throws(() => normalizeTags([{ Value: 'x' }, { Key: 'k'.repeat(129) }, { Key: 'v', Value: 'v'.repeat(257) }]),
+    new RegExp('^Error: Invalid Tags: Tags\\[0\\].Key is required; Tags\\[1\\].Key must be 1 to 128 characters long; '
+      + 'Tags\\[2\\].Value must be at most 256 characters long$'),
+    'every invalid tag is listed',
+  );
+});
+
+test('tags: normalizeTags => at most 50 tags', (t) => {
+  const tags = Array.from({ length: 51 }, (_, i) => ({ Key: `key-${i}`, Value: 'value' }));
+
+  t.plan(1);
+  t.throws(() => normalizeTags(tags), /at most 50 tags are allowed, 51 are set/, 'too many tags');
+});
+
+test('tags: diffTags', (t) => {
+  const oldTags = [{ Key: 'a', Value: '1' }, { Key: 'b', Value: '2' }, { Key: 'c', Value: '3' }];
+  const newTags = [{ Key: 'a', Value: '1' }, { Key: 'b', Value: '20' }, { Key: 'd', Value: '4' }];
+
+  t.plan(3);
+  t.deepEqual(diffTags(oldTags, newTags), {
+    tag: [{ Key: 'b', Value: '20' }, { Key: 'd', Value: '4' }],
+    untag: ['c'],
+  }, 'changed and added tags are tagged, removed keys are untagged');
+  t.deepEqual(diffTags([], newTags), { tag: newTags, untag: [] }, 'all tags are new');
+  t.deepEqual(diffTags(oldTags, oldTags.slice().reverse()), { tag: [], untag: [] }, 'order does not matter');
+});
+
+test('tags: tagsAttribute', (t) => {
+  t.plan(2);
+  t.equal(tagsAttribute([{ Key: 'b', Value: '2' }, { Key: 'a', Value: '1' }]), '{"a":"1","b":"2"}',
+    'JSON text of the tags map with sorted keys',
+  );
+  t.equal(tagsAttribute([]), '{}', 'no tags');
+});
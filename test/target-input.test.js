@@ -0,0 +1,85 @@
+import { test } from 'tape';
+import { normalizeTargetInput } from '../lib/target-input';
+
+test('target-input: normalizeTargetInput', (t) => {
+  const cases = [
+    ['no input', {}, {}],
+    ['Input as JSON text', { Input: '{ "a": 1 }' }, { Input: '{ "a": 1 }' }],
+    ['Input as an object', { Input: { b: '2', a: '1' } }, { Input: '{"a":"1","b":"2"}' }],
+    ['InputPath', { InputPath: '$.detail.items[0].instance-id' }, { InputPath: '$.detail.items[0].instance-id' }],
+    ['InputPath of the whole event', { InputPath: '$' }, { InputPath: '$' }],
+    [
+      'InputTransformer',
+      { InputTransformer: { InputPathsMap: { instance: '$.detail.instance-id' }, InputTemplate: '"<instance> in <aws.events.rule-name>"' } },
+      { InputTransformer: { InputPathsMap: { instance: '$.detail.instance-id' }, InputTemplate: '"<instance> in <aws.events.rule-name>"' } },
+    ],
+    [
+      'InputTransformer without InputPathsMap',
+      { InputTransformer: { InputTemplate: '"static"' } },
+      { InputTransformer: { InputPathsMap: undefined, InputTemplate: '"static"' } },
+    ],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, properties, expected]) => {
+    t.deepEqual(normalizeTargetInput(properties), expected, description);
+  });
+});
+
+test('target-input: normalizeTargetInput => invalid', (t) => {
+  const cases = [
+    [
+      'Input and InputTransformer',
+      { Input: '{}', InputTransformer: { InputTemplate: '"x"' } },
+      'Targets[1].',
+      'Invalid target input: at most one of Input, InputPath and InputTransformer may be set, Targets[1].Input and Targets[1].InputTransformer are set',
+    ],
+    [
+      'Input is not JSON',
+      { Input: 'not json' },
+      '',
+      /^Invalid target input: Input must be valid JSON text: /,
+    ],
+    [
+      'InputPath in bracket notation',
+      { InputPath: "$['detail']" },
+      '',
+      "Invalid target input: InputPath '$['detail']' is not a JSONPath in dot notation",
+    ],
+    [
+      'undefined placeholder and bad path',
+      { InputTransformer: { InputPathsMap: { state: 'detail.state' }, InputTemplate: '"<instance> is <state>"' } },
+      '',
+      "Invalid target input: InputTransformer.InputPathsMap.state 'detail.state' is not a JSONPath in dot notation; "
+        + 'InputTransformer.InputTemplate placeholder <instance> is not defined in InputPathsMap',
+    ],
+    [
+      'reserved InputPathsMap key',
+      { InputTransformer: { InputPathsMap: { AWSKey: '$.id' }, InputTemplate: '"<AWSKey>"' } },
+      '',
+      "Invalid target input: InputTransformer.InputPathsMap key 'AWSKey' must contain only letters, digits, '-' and '_' and not start with 'AWS'",
+    ],
+    [
+      'missing InputTemplate',
+      { InputTransformer: { InputPathsMap: { id: '$.id' } } },
+      '',
+      'Invalid target input: InputTransformer.InputTemplate is required',
+    ],
+  ];
+
+  t.plan(cases.length);
+
+  cases.forEach(([description, properties, prefix, expected]) => {
+    try {
+      normalizeTargetInput(properties, prefix);
+      t.fail(description);
+    } catch (err) {
+      if (expected instanceof RegExp) {
+        t.ok(expected.test(err.message), description);
+      } else {
+        t.equal(err.message, expected, description);
+      }
+    }
+  });
+});
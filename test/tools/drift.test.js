@@ -0,0 +1,307 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  detectDrift,
+  formatTable,
+  main,
+  parseArgs,
+  templateResources,
+} from '../../tools/drift';
+import { parseDocument } from '../../tools/template';
+
+const STACK_ID = 'arn:aws:cloudformation:us-east-1:012345678901:stack/test-stack-name/12345678-ab12-34cd-e56f-123456789abc';
+
+const TEMPLATE = `
+Parameters:
+  Environment:
+    Type: String
+    Default: test
+
+Resources:
+  Rule:
+    Type: Custom::Events::Rule
+    Properties:
+      ServiceToken: !ImportValue CustomResource-CloudWatchEventsRuleLambdaArn
+      Name: !Sub \${Environment}-rule
+      EventPattern:
+        source: [app]
+        detail-type: [created]
+      State: ENABLED
+      Tags:
+      - Key: Owner
+        Value: team
+
+  Target:
+    Type: Custom::Events::Target
+    Properties:
+      ServiceToken: !ImportValue CustomResource-CloudWatchEventsTargetLambdaArn
+      Rule: !Ref Rule
+      Arn: !GetAtt Function.Arn
+      Input:
+        environment: !Ref Environment
+
+  Targets:
+    Type: Custom::Events::Target
+    Properties:
+      Rule: !Ref Rule
+      Targets:
+      - Id: queue
+        Arn: arn:aws:sqs:us-east-1:012345678901:queue
+      - Id: topic
+        Arn: arn:aws:sns:us-east-1:012345678901:topic
+
+  Function:
+    Type: AWS::Lambda::Function
+`;
+
+const physicalIds = {
+  Rule: 'test-rule',
+  Target: 'Target-UT4QDIDSRK4IK',
+  Targets: 'Targets-UT4QDIDSRK4IK',
+};
+
+const createClient = () => ({
+  describeRule: sinon.stub(),
+  listTagsForResource: sinon.stub(),
+  listTargetsByRule: sinon.stub(),
+});
+
+const errorWithCode = (code) => {
+  const err = new Error(`${code} happened`);
+  err.code = code;
+  return err;
+};
+
+// the deployed rule and targets, exactly as declared
+const inSyncClient = () => {
+  const client = createClient();
+  client.describeRule.yields(null, {
+    Name: 'test-rule',
+    Arn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule',
+    EventPattern: '{"detail-type":["created"],"source":["app"]}',
+    State: 'ENABLED',
+    EventBusName: 'default',
+  });
+  client.listTagsForResource.yields(null, {
+    Tags: [{ Key: 'Owner', Value: 'team' }, { Key: 'custom-cf-cw-events:stack-id', Value: STACK_ID }],
+  });
+  client.listTargetsByRule.onFirstCall().yields(null, {
+    Targets: [{ Id: 'Target-UT4QDIDSRK4IK', Arn: 'arn:aws:lambda:us-east-1:012345678901:function:f', Input: '{"environment":"test"}' }],
+    NextToken: 'page-2',
+  });
+  client.listTargetsByRule.yields(null, {
+    Targets: [
+      { Id: 'queue', Arn: 'arn:aws:sqs:us-east-1:012345678901:queue' },
+      { Id: 'topic', Arn: 'arn:aws:sns:us-east-1:012345678901:topic' },
+    ],
+  });
+  return client;
+};
+
+const resources = () => templateResources(parseDocument(TEMPLATE), { parameters: {}, physicalIds });
+
+test('tools/drift: templateResources resolves Ref, Fn::Sub and parameters', (t) => {
+  const [rule, target, targets] = resources();
+
+  t.plan(5);
+  t.deepEqual(resources().map(resource => resource.LogicalResourceId), ['Rule', 'Target', 'Targets'],
+    'only the custom resources of CloudWatch Events',
+  );
+  t.equal(rule.Properties.Name, 'test-rule', 'Fn::Sub with the default of a parameter');
+  t.notOk(Object.prototype.hasOwnProperty.call(rule.Properties, 'ServiceToken'), 'ServiceToken is not a property');
+  t.deepEqual([target.Properties.Rule, target.Properties.Input, target.Unresolved],
+    ['test-rule', { environment: 'test' }, ['Arn']],
+    'Ref to a resource is its physical id, Fn::GetAtt of an unknown attribute is unresolved',
+  );
+  t.equal(targets.PhysicalResourceId, 'Targets-UT4QDIDSRK4IK', 'physical id');
+});
+
+test('tools/drift: detectDrift => IN_SYNC', async (t) => {
+  const client = inSyncClient();
+
+  const report = await detectDrift(resources(), client);
+
+  t.plan(3);
+  t.deepEqual(report.map(entry => entry.StackResourceDriftStatus), ['IN_SYNC', 'IN_SYNC', 'IN_SYNC'],
+    'declared and deployed properties are equal after normalization',
+  );
+  t.equal(report[1].Reason, 'not checked: Arn', 'unresolved properties are not checked');
+  t.equal(client.listTargetsByRule.secondCall.args[0].NextToken, 'page-2', 'all pages of targets are listed');
+});
+
+test('tools/drift: detectDrift => MODIFIED', async (t) => {
+  const client = inSyncClient();
+  client.describeRule.yields(null, {
+    Arn: 'arn:aws:events:us-east-1:012345678901:rule/test-rule',
+    EventPattern: '{"source":["app"]}',
+    State: 'DISABLED',
+    Description: 'changed in the console',
+  });
+  client.listTagsForResource.yields(null, { Tags: [] });
+  client.listTargetsByRule.onFirstCall().yields(null, {
+    Targets: [{ Id: 'Target-UT4QDIDSRK4IK', Arn: 'arn:aws:lambda:us-east-1:012345678901:function:f', Input: '{"environment":"prod"}' }],
+  });
+  client.listTargetsByRule.yields(null, {
+    Targets: [{ Id: 'queue', Arn: 'arn:aws:sqs:us-east-1:012345678901:other-queue' }],
+  });
+
+  const report = await detectDrift(resources(), client);
+
+  t.plan(4);
+  t.deepEqual(report.map(entry => entry.StackResourceDriftStatus), ['MODIFIED', 'MODIFIED', 'MODIFIED'],
+    'every resource drifted',
+  );
+  t.deepEqual(report[0].PropertyDifferences, [
+    { PropertyPath: '/Description', ExpectedValue: undefined, ActualValue: 'changed in the console', DifferenceType: 'ADD' },
+    {
+      PropertyPath: '/EventPattern',
+      ExpectedValue: '{"detail-type":["created"],"source":["app"]}',
+      ActualValue: '{"source":["app"]}',
+      DifferenceType: 'NOT_EQUAL',
+    },
+    { PropertyPath: '/State', ExpectedValue: 'ENABLED', ActualValue: 'DISABLED', DifferenceType: 'NOT_EQUAL' },
+    { PropertyPath: '/Tags', ExpectedValue: '{"Owner":"team"}', ActualValue: '{}', DifferenceType: 'NOT_EQUAL' },
+  ], 'rule differences');
+  t.deepEqual(report[1].PropertyDifferences, [{
+    PropertyPath: '/Input',
+    ExpectedValue: '{"environment":"test"}',
+    ActualValue: '{"environment":"prod"}',
+    DifferenceType: 'NOT_EQUAL',
+  }], 'target differences');
+  t.deepEqual(report[2].PropertyDifferences.map(diff => [diff.PropertyPath, diff.DifferenceType]),
+    [['/Targets/queue/Arn', 'NOT_EQUAL'], ['/Targets/topic', 'REMOVE']],
+    'differences of a list of targets',
+  );
+});
+
+test('tools/drift: detectDrift => scalars of a different type are not a drift', async (t) => {
+  const client = inSyncClient();
+  client.listTargetsByRule.yields(null, {
+    Targets: [{
+      Id: 'task',
+      Arn: 'arn:aws:ecs:us-east-1:012345678901:cluster/cluster',
+      EcsParameters: { TaskDefinitionArn: 'arn:aws:ecs:us-east-1:012345678901:task-definition/task', TaskCount: 2 },
+      RunCommandParameters: { RunCommandTargets: [{ Key: 'tag:version', Values: ['1'] }] },
+      Input: '{"count":2}',
+    }],
+  });
+  const template = parseDocument(TEMPLATE.replace(/ {6}- Id: queue[\s\S]*?(?=\n\n {2}Function:)/, [
+    '      - Id: task',
+    '        Arn: arn:aws:ecs:us-east-1:012345678901:cluster/cluster',
+    '        EcsParameters:',
+    '          TaskDefinitionArn: arn:aws:ecs:us-east-1:012345678901:task-definition/task',
+    "          TaskCount: '2'",
+    '        RunCommandParameters:',
+    '          RunCommandTargets:',
+    '          - Key: tag:version',
+    '            Values: [1]',
+    '        Input: \'{"count":"2"}\'',
+  ].join('\n')));
+
+  const [targets] = templateResources(template, { parameters: {}, physicalIds }).slice(2);
+  const report = await detectDrift([targets], client);
+
+  t.plan(1);
+  t.deepEqual(report[0].PropertyDifferences, [{
+    PropertyPath: '/Targets/task/Input',
+    ExpectedValue: '{"count":"2"}',
+    ActualValue: '{"count":2}',
+    DifferenceType: 'NOT_EQUAL',
+  }], 'TaskCount and Values compare as strings, the JSON of Input keeps its types');
+});
+
+test('tools/drift: detectDrift => DELETED and NOT_CHECKED', async (t) => {
+  const client = createClient();
+  client.describeRule.yields(errorWithCode('ResourceNotFoundException'));
+  client.listTargetsByRule.yields(errorWithCode('ResourceNotFoundException'));
+
+  const unknown = templateResources(parseDocument(TEMPLATE), { parameters: {}, physicalIds: { Rule: 'test-rule' } });
+  const report = await detectDrift(resources().slice(0, 2).concat(unknown.slice(2)), client);
+
+  t.plan(2);
+  t.deepEqual(report.map(entry => entry.StackResourceDriftStatus), ['DELETED', 'DELETED', 'NOT_CHECKED'],
+    'missing rule and targets are deleted, a resource without physical id is not checked',
+  );
+  t.equal(report[2].Reason, 'unknown PhysicalResourceId', 'the reason is reported');
+});
+
+test('tools/drift: formatTable', (t) => {
+  const table = formatTable([
+    {
+      LogicalResourceId: 'Rule',
+      ResourceType: 'Custom::Events::Rule',
+      PhysicalResourceId: 'test-rule',
+      StackResourceDriftStatus: 'MODIFIED',
+      PropertyDifferences: [
+        { PropertyPath: '/State', ExpectedValue: 'ENABLED', ActualValue: 'DISABLED', DifferenceType: 'NOT_EQUAL' },
+      ],
+    },
+    {
+      LogicalResourceId: 'Target',
+      ResourceType: 'Custom::Events::Target',
+      PhysicalResourceId: 'Target-UT4QDIDSRK4IK',
+      StackResourceDriftStatus: 'IN_SYNC',
+      PropertyDifferences: [],
+    },
+  ]);
+
+  t.plan(1);
+  t.equal(table, [
+    'LogicalResourceId  ResourceType            PhysicalResourceId    Status    Property  Expected  Actual',
+    '-----------------  ----------------------  --------------------  --------  --------  --------  --------',
+    'Rule               Custom::Events::Rule    test-rule             MODIFIED  /State    ENABLED   DISABLED',
+    'Target             Custom::Events::Target  Target-UT4QDIDSRK4IK  IN_SYNC',
+  ].join('\n'), 'one row per property difference');
+});
+
+test('tools/drift: parseArgs', (t) => {
+  t.plan(3);
+  t.deepEqual(parseArgs(['--template', 't.yaml', '--parameter', 'Environment=prod', '--physical-id', 'Rule=r',
+    '--format', 'json']), {
+      template: 't.yaml',
+      format: 'json',
+      parameters: { Environment: 'prod' },
+      physicalIds: { Rule: 'r' },
+    }, 'options');
+  t.throws(() => parseArgs(['--stack', 'my-stack']), /--template is required/, 'template is required');
+  t.throws(() => parseArgs(['--template', 't.yaml', '--parameter', 'Environment']),
+    /--parameter must be Name=value/, 'parameters are Name=value pairs',
+  );
+});
+
+test('tools/drift: main => JSON report and exit code of a stack', async (t) => {
+  const file = path.join(os.tmpdir(), `drift-${process.pid}.yaml`);
+  fs.writeFileSync(file, TEMPLATE);
+
+  const client = inSyncClient();
+  client.describeRule.yields(null, { Arn: 'arn', State: 'DISABLED', EventPattern: '{"source":["app"],"detail-type":["created"]}' });
+  const describeStackResources = sinon.stub().resolves({
+    StackResources: Object.keys(physicalIds)
+      .map(logicalId => ({
+        LogicalResourceId: logicalId,
+        PhysicalResourceId: physicalIds[logicalId],
+      })),
+  });
+  const stdout = { write: sinon.stub() };
+
+  const code = await main(['--template', file, '--stack', 'test-stack-name', '--format', 'json'], {
+    cloudWatchEvents: client,
+    cloudFormation: { describeStackResources },
+    stdout,
+  });
+  fs.unlinkSync(file);
+
+  const report = JSON.parse(stdout.write.firstCall.args[0]);
+
+  t.plan(3);
+  t.deepEqual(describeStackResources.firstCall.args[0], { StackName: 'test-stack-name' },
+    'physical ids are read from the stack',
+  );
+  t.deepEqual(report.map(entry => entry.StackResourceDriftStatus), ['MODIFIED', 'IN_SYNC', 'IN_SYNC'],
+    'the report is JSON',
+  );
+  t.equal(code, 2, 'exit code 2 on drift');
+});
@@ -0,0 +1,207 @@
+import { test } from 'tape';
+import { createEmulator } from '../../tools/emulator';
+
+const RULE_ARN = 'arn:aws:events:us-east-1:012345678901:rule/rule';
+
+/**
+ * Call a method of the emulator.
+ *
+ * @returns promise of `{ err, data }`.
+ */
+const call = (emulator, method, params) => new Promise((resolve) => {
+  emulator[method](params, (err, data) => resolve({ err, data }));
+});
+
+const target = id => ({ Id: id, Arn: `arn:aws:sqs:us-east-1:012345678901:${id}` });
+
+test('tools/emulator: rules', async (t) => {
+  const emulator = createEmulator();
+
+  const put = await call(emulator, 'putRule', {
+    Name: 'rule',
+    EventPattern: '{"source":["app"]}',
+    Tags: [{ Key: 'Owner', Value: 'team' }],
+  });
+  const updated = await call(emulator, 'putRule', {
+    Name: 'rule',
+    ScheduleExpression: 'rate(5 minutes)',
+    State: 'DISABLED',
+    Tags: [{ Key: 'Owner', Value: 'other' }],
+  });
+  const described = await call(emulator, 'describeRule', { Name: 'rule' });
+  const tags = await call(emulator, 'listTagsForResource', { ResourceARN: RULE_ARN });
+  const deleted = await call(emulator, 'deleteRule', { Name: 'rule' });
+  const deletedAgain = await call(emulator, 'deleteRule', { Name: 'rule' });
+  const notFound = await call(emulator, 'describeRule', { Name: 'rule' });
+
+  t.plan(7);
+  t.deepEqual(put.data, { RuleArn: RULE_ARN }, 'putRule returns the ARN');
+  t.deepEqual(described.data, {
+    Name: 'rule',
+    Arn: RULE_ARN,
+    EventBusName: 'default',
+    State: 'DISABLED',
+    ScheduleExpression: 'rate(5 minutes)',
+  }, 'putRule of an existing rule replaces its settings');
+  t.deepEqual(tags.data.Tags, [{ Key: 'Owner', Value: 'team' }], 'putRule only tags new rules');
+  t.equal(updated.err, null, 'putRule updates');
+  t.equal(deleted.err, null, 'deleteRule');
+  t.equal(deletedAgain.err, null, 'deleteRule of an unknown rule succeeds');
+  t.deepEqual([notFound.err.code, notFound.err.message],
+    ['ResourceNotFoundException', 'Rule rule does not exist on EventBus default.'],
+    'describeRule of an unknown rule',
+  );
+});
+
+test('tools/emulator: rule validation', async (t) => {
+  const emulator = createEmulator();
+
+  const longName = await call(emulator, 'putRule', { Name: 'r'.repeat(65), ScheduleExpression: 'rate(1 day)' });
+  const badName = await call(emulator, 'putRule', { Name: 'rule:1', ScheduleExpression: 'rate(1 day)' });
+  const nothing = await call(emulator, 'putRule', { Name: 'rule' });
+  const pattern = await call(emulator, 'putRule', { Name: 'rule', EventPattern: '{"source":"app"}' });
+  const unknownBus = await call(emulator, 'putRule', { Name: 'rule', EventPattern: '{}', EventBusName: 'bus' });
+  await call(emulator, 'createEventBus', { Name: 'bus' });
+  const schedule = await call(emulator, 'putRule', { Name: 'rule', ScheduleExpression: 'rate(1 day)', EventBusName: 'bus' });
+
+  t.plan(6);
+  t.deepEqual([longName.err.code, longName.err.message], ['ValidationException',
+    `1 validation error detected: Value '${'r'.repeat(65)}' at 'name' failed to satisfy constraint: `
+    + 'Member must have length less than or equal to 64'], 'rule names are at most 64 characters');
+  t.equal(badName.err.code, 'ValidationException', 'rule names are [.-_A-Za-z0-9]');
+  t.ok(/EventPattern or ScheduleExpression/.test(nothing.err.message), 'a pattern or schedule is required');
+  t.equal(pattern.err.code, 'InvalidEventPatternException', 'the event pattern is validated');
+  t.deepEqual([unknownBus.err.code, unknownBus.err.message],
+    ['ResourceNotFoundException', 'Event bus bus does not exist.'], 'the event bus must exist');
+  t.ok(/only on the default event bus/.test(schedule.err.message), 'schedules are only on the default event bus');
+});
+
+test('tools/emulator: names and Ids are validated by every method', async (t) => {
+  const emulator = createEmulator();
+  const logStream = '2026/10/19/[$LATEST]0123456789abcdef';
+  await call(emulator, 'putRule', { Name: 'rule', ScheduleExpression: 'rate(1 day)' });
+
+  const results = await Promise.all([
+    call(emulator, 'describeRule', { Name: logStream }),
+    call(emulator, 'deleteRule', { Name: logStream }),
+    call(emulator, 'listTargetsByRule', { Rule: logStream }),
+    call(emulator, 'removeTargets', { Rule: logStream, Ids: ['target'] }),
+    call(emulator, 'removeTargets', { Rule: 'rule', Ids: ['target', logStream] }),
+    call(emulator, 'deleteEventBus', { Name: 'bus:1' }),
+    call(emulator, 'removePermission', { StatementId: logStream }),
+  ]);
+  const unknown = await Promise.all([
+    call(emulator, 'deleteRule', { Name: 'unknown' }),
+    call(emulator, 'describeRule', { Name: 'unknown' }),
+  ]);
+
+  t.plan(3);
+  t.deepEqual(results.map(result => result.err && result.err.code), new Array(results.length).fill('ValidationException'),
+    'invalid names are rejected, also of rules that do not exist');
+  t.ok(/at 'ids.2.member' failed to satisfy constraint: Member must satisfy regular expression pattern/
+    .test(results[4].err.message), results[4].err.message);
+  t.deepEqual(unknown.map(result => (result.err ? result.err.code : undefined)), [undefined, 'ResourceNotFoundException'],
+    'valid names of unknown rules are not');
+});
+
+test('tools/emulator: targets', async (t) => {
+  const emulator = createEmulator();
+  await call(emulator, 'putRule', { Name: 'rule', ScheduleExpression: 'rate(1 day)' });
+
+  const put = await call(emulator, 'putTargets', { Rule: 'rule', Targets: ['a', 'b', 'c', 'd', 'e'].map(target) });
+  const limit = await call(emulator, 'putTargets', { Rule: 'rule', Targets: [target('f')] });
+  const replaced = await call(emulator, 'putTargets', { Rule: 'rule', Targets: [Object.assign(target('a'), { Input: '{}' })] });
+  const hasTargets = await call(emulator, 'deleteRule', { Name: 'rule' });
+  const removed = await call(emulator, 'removeTargets', { Rule: 'rule', Ids: ['b', 'unknown'] });
+  const unknownRule = await call(emulator, 'putTargets', { Rule: 'other', Targets: [target('a')] });
+  const badId = await call(emulator, 'putTargets', { Rule: 'rule', Targets: [target('i'.repeat(65))] });
+
+  t.plan(8);
+  t.deepEqual(put.data, { FailedEntryCount: 0, FailedEntries: [] }, 'putTargets');
+  t.deepEqual([limit.err.code, limit.err.message],
+    ['LimitExceededException', 'The requested resource exceeds the maximum number allowed.'],
+    'at most 5 targets per rule',
+  );
+  t.equal(replaced.err, null, 'a target with a known Id is replaced, within the limit');
+  t.deepEqual([hasTargets.err.code, hasTargets.err.message],
+    ['ValidationException', "Rule can't be deleted since it has targets."], 'a rule with targets is not deleted');
+  t.deepEqual(removed.data, { FailedEntryCount: 0, FailedEntries: [] }, 'unknown Ids are ignored');
+  t.deepEqual(emulator.state().rules[0].Targets.map(entry => entry.Id), ['a', 'c', 'd', 'e'], 'the targets of the rule');
+  t.equal(unknownRule.err.code, 'ResourceNotFoundException', 'the rule must exist');
+  t.equal(badId.err.code, 'ValidationException', 'target Ids are at most 64 characters');
+});
+
+test('tools/emulator: FailedEntries and pagination', async (t) => {
+  const emulator = createEmulator({ pageSize: 2 });
+  await call(emulator, 'putRule', { Name: 'rule', ScheduleExpression: 'rate(1 day)' });
+  emulator.failEntry('putTargets', 'b', 'ConcurrentModificationException', 'try again');
+
+  const put = await call(emulator, 'putTargets', { Rule: 'rule', Targets: ['a', 'b', 'c'].map(target) });
+  const retried = await call(emulator, 'putTargets', { Rule: 'rule', Targets: [target('b')] });
+  const first = await call(emulator, 'listTargetsByRule', { Rule: 'rule' });
+  const second = await call(emulator, 'listTargetsByRule', { Rule: 'rule', NextToken: first.data.NextToken });
+  const limited = await call(emulator, 'listTargetsByRule', { Rule: 'rule', Limit: 1 });
+
+  t.plan(5);
+  t.deepEqual(put.data, {
+    FailedEntryCount: 1,
+    FailedEntries: [{ TargetId: 'b', ErrorCode: 'ConcurrentModificationException', ErrorMessage: 'try again' }],
+  }, 'a failed entry is reported');
+  t.deepEqual(retried.data.FailedEntryCount, 0, 'and applied when it is put again');
+  t.deepEqual(first.data.Targets.map(entry => entry.Id), ['a', 'c'], 'first page');
+  t.deepEqual([second.data.Targets.map(entry => entry.Id), second.data.NextToken], [['b'], undefined], 'last page');
+  t.equal(limited.data.Targets.length, 1, 'Limit of a page');
+});
+
+test('tools/emulator: event buses, permissions and tags', async (t) => {
+  const emulator = createEmulator();
+  const busArn = 'arn:aws:events:us-east-1:012345678901:event-bus/bus';
+
+  const created = await call(emulator, 'createEventBus', { Name: 'bus', Tags: [{ Key: 'a', Value: '1' }] });
+  const exists = await call(emulator, 'createEventBus', { Name: 'bus' });
+  await call(emulator, 'putPermission', {
+    EventBusName: 'bus', Action: 'events:PutEvents', Principal: '111122223333', StatementId: 'account',
+  });
+  const anyone = await call(emulator, 'putPermission', {
+    EventBusName: 'bus', Action: 'events:PutEvents', Principal: '*', StatementId: 'anyone',
+  });
+  const described = await call(emulator, 'describeEventBus', { Name: busArn });
+  const unknownStatement = await call(emulator, 'removePermission', { EventBusName: 'bus', StatementId: 'other' });
+  await call(emulator, 'putRule', { Name: 'rule', EventPattern: '{"source":["app"]}', EventBusName: busArn });
+  await call(emulator, 'tagResource', { ResourceARN: busArn, Tags: [{ Key: 'b', Value: '2' }] });
+  await call(emulator, 'untagResource', { ResourceARN: busArn, TagKeys: ['a'] });
+  const tags = await call(emulator, 'listTagsForResource', { ResourceARN: busArn });
+  const hasRules = await call(emulator, 'deleteEventBus', { Name: 'bus' });
+
+  t.plan(7);
+  t.deepEqual(created.data, { EventBusArn: busArn }, 'createEventBus');
+  t.equal(exists.err.code, 'ResourceAlreadyExistsException', 'event bus names are unique');
+  t.ok(/Condition is required/.test(anyone.err.message), "Principal '*' requires a Condition");
+  t.deepEqual(JSON.parse(described.data.Policy).Statement, [{
+    Sid: 'account',
+    Effect: 'Allow',
+    Principal: { AWS: 'arn:aws:iam::111122223333:root' },
+    Action: 'events:PutEvents',
+    Resource: busArn,
+  }], 'the policy has the statements of the permissions');
+  t.deepEqual([unknownStatement.err.code, unknownStatement.err.message],
+    ['ResourceNotFoundException', 'Statement with the provided id does not exist.'], 'unknown statement');
+  t.deepEqual(tags.data.Tags, [{ Key: 'b', Value: '2' }], 'tags of an event bus');
+  t.equal(hasRules.err.code, 'ValidationException', 'an event bus with rules is not deleted');
+});
+
+test('tools/emulator: failCall and promise()', async (t) => {
+  const emulator = createEmulator();
+  emulator.failCall('describeEventBus', 'ThrottlingException', 'Rate exceeded');
+
+  const throttled = await call(emulator, 'describeEventBus', {});
+  const data = await emulator.describeEventBus({}).promise();
+
+  t.plan(2);
+  t.deepEqual([throttled.err.code, throttled.err.message], ['ThrottlingException', 'Rate exceeded'],
+    'the next call fails with the injected error',
+  );
+  t.deepEqual(data, { Name: 'default', Arn: 'arn:aws:events:us-east-1:012345678901:event-bus/default' },
+    'requests have promise()',
+  );
+});
@@ -0,0 +1,208 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  createRecordingClient,
+  invoke,
+  main,
+  parseArgs,
+  prepareEvent,
+} from '../../tools/invoke';
+
+const createRule = {
+  RequestType: 'Create',
+  ResourceType: 'Custom::Events::Rule',
+  LogicalResourceId: 'Rule',
+  ResourceProperties: { EventPattern: { source: ['app'] } },
+};
+
+const updateRule = {
+  RequestType: 'Update',
+  ResourceType: 'Custom::Events::Rule',
+  LogicalResourceId: 'Rule',
+  ResourceProperties: { EventPattern: { source: ['app', 'other'] } },
+};
+
+const createTarget = {
+  ResourceType: 'Custom::Events::Target',
+  LogicalResourceId: 'Target',
+  ResourceProperties: { Rule: { Ref: 'Rule' }, Arn: 'arn:aws:sqs:us-east-1:012345678901:queue' },
+};
+
+/**
+ * Run `run()` with the logs of the handlers captured.
+ *
+ * @returns promise of the result of `run()`.
+ */
+const quietly = async (run) => {
+  const out = sinon.stub(console, 'log');
+  const err = sinon.stub(console, 'error');
+  try {
+    return await run();
+  } finally {
+    out.restore();
+    err.restore();
+  }
+};
+
+test('tools/invoke: prepareEvent => defaults', (t) => {
+  const event = prepareEvent({ ResourceProperties: { Name: 'rule' } }, 0, { resources: {}, refs: {} }, 'rule');
+
+  t.plan(1);
+  t.deepEqual(event, {
+    RequestType: 'Create',
+    ServiceToken: 'local-invoke',
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/local-stack/00000000-0000-0000-0000-000000000000',
+    RequestId: 'local-invoke-1',
+    LogicalResourceId: 'Resource',
+    ResourceType: 'Custom::Events::Rule',
+    ResourceProperties: { Name: 'rule' },
+  }, 'missing fields of the event get defaults');
+});
+
+test('tools/invoke: prepareEvent => chained to earlier responses', (t) => {
+  const state = {
+    resources: { Rule: { PhysicalResourceId: 'rule-name', ResourceProperties: createRule.ResourceProperties } },
+    refs: { Rule: 'rule-name', 'Rule.Arn': 'arn:aws:events:us-east-1:012345678901:rule/rule-name' },
+  };
+
+  const update = prepareEvent(updateRule, 2, state);
+  const target = prepareEvent({
+    LogicalResourceId: 'Target',
+    ResourceProperties: { Rule: { 'Fn::GetAtt': ['Rule', 'Arn'] }, Input: { 'Fn::Sub': '${Rule}' } }, // eslint-disable-line no-template-curly-in-string
+  }, 3, state, 'target');
+
+  t.plan(4);
+  t.equal(update.PhysicalResourceId, 'rule-name', 'physical id of the last response');
+  t.deepEqual(update.OldResourceProperties, createRule.ResourceProperties, 'previous properties');
+  t.deepEqual(target.ResourceProperties, {
+    Rule: 'arn:aws:events:us-east-1:012345678901:rule/rule-name',
+    Input: 'rule-name',
+  }, 'Fn::GetAtt and Fn::Sub of earlier responses');
+  t.throws(() => prepareEvent(createTarget, 0, { resources: {}, refs: {} }),
+    /^Error: Event 1 \(Target\): unresolved Ref Rule in ResourceProperties$/,
+    'a Ref to an unknown resource is an error',
+  );
+});
+
+test('tools/invoke: createRecordingClient', async (t) => {
+  const client = createRecordingClient({
+    putTargets: { FailedEntryCount: 1, FailedEntries: [{ TargetId: 't' }] },
+    deleteRule: { error: { code: 'AccessDeniedException', message: 'denied' } },
+  });
+  const call = (method, params) => new Promise((resolve) => {
+    client[method](params, (err, data) => resolve({ err, data }));
+  });
+
+  const notFound = await call('describeRule', { Name: 'rule' });
+  const put = await call('putRule', { Name: 'rule', EventBusName: 'bus' });
+  const found = await call('describeRule', { Name: 'rule' });
+  const targets = await call('putTargets', { Rule: 'rule', Targets: [] });
+  const denied = await call('deleteRule', { Name: 'rule' });
+
+  t.plan(6);
+  t.equal(notFound.err.code, 'ResourceNotFoundException', 'unknown rules are not found');
+  t.deepEqual(put.data, { RuleArn: 'arn:aws:events:us-east-1:012345678901:rule/bus/rule' }, 'canned response');
+  t.equal(found.data.Arn, put.data.RuleArn, 'a rule put before is found');
+  t.equal(targets.data.FailedEntryCount, 1, 'response data replaces the canned one');
+  t.deepEqual([denied.err.code, denied.err.message], ['AccessDeniedException', 'denied'], 'error response');
+  t.deepEqual(client.calls.map(entry => entry.method),
+    ['describeRule', 'putRule', 'describeRule', 'putTargets', 'deleteRule'],
+    'every call is recorded',
+  );
+});
+
+test('tools/invoke: invoke => Create then Update of the pattern', async (t) => {
+  const client = createRecordingClient();
+
+  const results = await quietly(() => invoke([createRule, createTarget, updateRule], { client }));
+  const [create, target, update] = results.map(result => result.response);
+  const puts = client.calls.filter(entry => entry.method === 'putRule');
+
+  t.plan(6);
+  t.deepEqual(results.map(result => result.response.Status), ['SUCCESS', 'SUCCESS', 'SUCCESS'], 'every request succeeds');
+  t.deepEqual(JSON.parse(results[0].body), create, 'the body is the exact text sent to the ResponseURL');
+  t.equal(update.PhysicalResourceId, create.PhysicalResourceId, 'the update keeps the rule');
+  t.equal(results[1].event.ResourceProperties.Rule, create.PhysicalResourceId, 'the target refers to the rule');
+  t.ok(target.PhysicalResourceId, 'the target is created');
+  t.deepEqual(puts.map(entry => entry.params.EventPattern),
+    ['{"source":["app"]}', '{"source":["app","other"]}'],
+    'the pattern is updated',
+  );
+});
+
+test('tools/invoke: main => response bodies and exit code', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'invoke-'));
+  const events = path.join(directory, 'events.yaml');
+  const responses = path.join(directory, 'responses.json');
+  fs.writeFileSync(events, [
+    '- ResourceType: Custom::Events::Rule',
+    '  ResourceProperties:',
+    '    ScheduleExpression: rate(5 minutes)',
+  ].join('\n'));
+  fs.writeFileSync(responses, '{"putRule": {"error": {"code": "LimitExceededException", "message": "too many rules"}}}');
+  const stdout = { write: sinon.stub() };
+
+  const code = await quietly(() => main(['--event', events, '--responses', responses], { stdout }));
+  fs.unlinkSync(events);
+  fs.unlinkSync(responses);
+  fs.rmdirSync(directory);
+
+  const response = JSON.parse(stdout.write.firstCall.args[0]);
+
+  t.plan(4);
+  t.equal(stdout.write.callCount, 1, 'one line per event');
+  t.equal(response.Status, 'FAILED', 'the response of the handler');
+  t.ok(/^too many rules/.test(response.Reason), 'the error is the reason');
+  t.equal(code, 2, 'exit code 2 on a FAILED response');
+});
+
+test('tools/invoke: invoke => rollback Delete of a failed Create', async (t) => {
+  const client = createRecordingClient({ putRule: { error: { code: 'LimitExceededException', message: 'too many rules' } } });
+
+  const results = await quietly(() => invoke([createRule, Object.assign({}, createRule, { RequestType: 'Delete' })],
+    { client }));
+
+  t.plan(2);
+  t.deepEqual(results.map(result => result.response.Status), ['FAILED', 'SUCCESS'], 'the rollback succeeds');
+  t.equal(results[1].event.PhysicalResourceId, results[0].response.PhysicalResourceId,
+    'the Delete has the physical id of the FAILED response');
+});
+
+test('tools/invoke: main => a handler without response', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'invoke-'));
+  const events = path.join(directory, 'events.yaml');
+  const handler = path.join(directory, 'handler.js');
+  fs.writeFileSync(events, '- LogicalResourceId: Silent\n');
+  fs.writeFileSync(handler, 'exports.handler = async () => {};\n');
+  const stdout = { write: sinon.stub() };
+
+  let error;
+  try {
+    await quietly(() => main(['--event', events, '--handler', handler], { stdout }));
+  } catch (err) {
+    error = err;
+  }
+  fs.unlinkSync(events);
+  fs.unlinkSync(handler);
+  fs.rmdirSync(directory);
+
+  t.plan(2);
+  t.equal(error && error.message, 'Event 1 (Silent): the handler sent no response', 'the missing response is reported');
+  t.equal(stdout.write.callCount, 0, 'nothing is printed');
+});
+
+test('tools/invoke: parseArgs', (t) => {
+  t.plan(4);
+  t.deepEqual(parseArgs(['--event', 'create.yaml', '--event', 'update.json', '--handler', 'rule', '--timeout', '5000']), {
+    events: ['create.yaml', 'update.json'],
+    client: 'stub',
+    handler: 'rule',
+    timeout: 5000,
+  }, 'options');
+  t.throws(() => parseArgs(['--handler', 'rule']), /--event is required/, 'an event is required');
+  t.throws(() => parseArgs(['--event', 'e.yaml', '--client', 'aws']), /--client must be stub/, 'known clients');
+  t.throws(() => parseArgs(['--event', 'e.yaml', '--timeout', 'soon']), /--timeout must be a number/, 'timeout');
+});
@@ -0,0 +1,112 @@
+import { test } from 'tape';
+import * as sinon from 'sinon';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  SCHEMAS,
+  isIntrinsic,
+  lintTemplate,
+  main,
+  parseArgs,
+} from '../../tools/lint';
+import { parseDocument } from '../../tools/template';
+
+const TEMPLATE = `
+Resources:
+  Bus:
+    Type: Custom::Events::EventBus
+    Properties:
+      ServiceToken: !ImportValue CustomResource-CloudWatchEventBusLambdaArn
+      Name: !Sub \${AWS::StackName}-bus
+  Rule:
+    Type: Custom::Events::Rule
+    Properties:
+      ServiceToken: !ImportValue CustomResource-CloudWatchEventsRuleLambdaArn
+      EventBusName: !Ref Bus
+      EventPattern:
+        source: [app]
+      State: enabled
+      RemoveTargetsOnDelete: false
+  Target:
+    Type: Custom::Events::Target
+    Properties:
+      ServiceToken: !ImportValue CustomResource-CloudWatchEventsTargetLambdaArn
+      Rule: !Ref Rule
+      Arn: !GetAtt Queue.Arn
+      Input: '{}'
+      InputPath: $.detail
+      RuleArn: !GetAtt Rule.Arn
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      Unknown: true
+`;
+
+test('tools/lint: SCHEMAS and isIntrinsic', (t) => {
+  t.plan(3);
+  t.deepEqual(Object.keys(SCHEMAS).sort(), [
+    'Custom::Events::EventBus', 'Custom::Events::Permission', 'Custom::Events::Rule', 'Custom::Events::Target',
+  ], 'the schemas of the handlers');
+  t.deepEqual([{ Ref: 'Bus' }, { 'Fn::Sub': 'x' }, { 'Fn::GetAtt': ['Rule', 'Arn'] }].map(isIntrinsic), [true, true, true],
+    'intrinsic functions',
+  );
+  t.deepEqual([{ source: ['app'] }, { Ref: 'Bus', Other: 1 }, ['Ref'], 'Ref', null].map(isIntrinsic),
+    [false, false, false, false, false], 'other values');
+});
+
+test('tools/lint: lintTemplate', (t) => {
+  t.plan(2);
+  t.deepEqual(lintTemplate(parseDocument(TEMPLATE)), [{
+    LogicalResourceId: 'Rule',
+    ResourceType: 'Custom::Events::Rule',
+    Errors: ['State must be one of ENABLED, DISABLED'],
+  }, {
+    LogicalResourceId: 'Target',
+    ResourceType: 'Custom::Events::Target',
+    Errors: [
+      'RuleArn is not a supported property',
+      'at most one of Input, InputPath and InputTransformer may be set',
+    ],
+  }], 'only the invalid custom resources, other resources and intrinsic functions are not validated');
+  t.deepEqual(lintTemplate(parseDocument('Resources:\n  Permission:\n    Type: Custom::Events::Permission\n')), [{
+    LogicalResourceId: 'Permission',
+    ResourceType: 'Custom::Events::Permission',
+    Errors: ['Principal is required'],
+  }], 'a resource without Properties');
+});
+
+test('tools/lint: parseArgs', (t) => {
+  t.plan(4);
+  t.deepEqual(parseArgs(['--template', 'a.yaml', '--template', 'b.json', '--format', 'json']),
+    { format: 'json', templates: ['a.yaml', 'b.json'] }, 'templates and format');
+  t.throws(() => parseArgs([]), /--template is required/, 'a template is required');
+  t.throws(() => parseArgs(['--format', 'xml', '--template', 'a.yaml']), /--format must be text or json/, 'format');
+  t.throws(() => parseArgs(['--template']), /--template requires a value/, 'missing value');
+});
+
+test('tools/lint: main => errors and exit code', async (t) => {
+  const invalid = path.join(os.tmpdir(), `lint-${process.pid}.yaml`);
+  const valid = path.join(os.tmpdir(), `lint-${process.pid}-valid.yaml`);
+  fs.writeFileSync(invalid, TEMPLATE);
+  fs.writeFileSync(valid, TEMPLATE.replace('State: enabled', 'State: ENABLED').replace(/\n.*(InputPath|RuleArn):.*/g, ''));
+
+  const text = { write: sinon.stub() };
+  const json = { write: sinon.stub() };
+  const codes = [
+    await main(['--template', invalid, '--template', valid], { stdout: text }),
+    await main(['--template', valid, '--format', 'json'], { stdout: json }),
+  ];
+  fs.unlinkSync(invalid);
+  fs.unlinkSync(valid);
+
+  t.plan(3);
+  t.deepEqual(codes, [2, 0], 'exit codes');
+  t.equal(text.write.firstCall.args[0], [
+    `${invalid}: Rule (Custom::Events::Rule) State must be one of ENABLED, DISABLED`,
+    `${invalid}: Target (Custom::Events::Target) RuleArn is not a supported property`,
+    `${invalid}: Target (Custom::Events::Target) at most one of Input, InputPath and InputTransformer may be set`,
+    '',
+  ].join('\n'), 'a line per error');
+  t.deepEqual(JSON.parse(json.write.firstCall.args[0]), [{ Template: valid, Resources: [] }], 'JSON report');
+});
@@ -0,0 +1,192 @@
+import { test } from 'tape';
+import * as fs from 'fs';
+import * as path from 'path';
+import { discoverHandlers, injectPolicies } from '../../build';
+import { generateBusName, generateRuleName } from '../../lib/core/naming';
+import { HANDLER_PERMISSIONS, generatePolicies } from '../../tools/policy';
+import { parseDocument, resolveValue } from '../../tools/template';
+
+// operations of the client, like 'PutRule' for `PutRuleCommand`
+const OPERATIONS = Object.keys(require('@aws-sdk/client-cloudwatch-events'))
+  .filter(name => /^[A-Z]\w*Command$/.test(name))
+  .map(name => name.replace(/Command$/, ''));
+
+const LOCAL_REQUIRE = /require\((['"])(\.{1,2}\/[^'"]+)\1\)/g;
+
+/**
+ * The code of a module and of all the local modules it requires, without comments.
+ *
+ * @returns list of the code of the modules.
+ */
+const moduleSources = (file, visited = {}) => {
+  if (visited[file]) {
+    return [];
+  }
+  visited[file] = true; // eslint-disable-line no-param-reassign
+  const code = fs.readFileSync(file).toString()
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/.*$/gm, '');
+
+  const sources = [code];
+  let match = LOCAL_REQUIRE.exec(code);
+  while (match !== null) {
+    const resolved = path.resolve(path.dirname(file), match[2]);
+    const local = fs.existsSync(`${resolved}.js`) ? `${resolved}.js` : path.join(resolved, 'index.js');
+    sources.push(...moduleSources(local, visited));
+    match = LOCAL_REQUIRE.exec(code);
+  }
+  return sources;
+};
+
+/**
+ * The SDK operations a handler calls, like 'PutRule' for `api.call('putRule', ...)`.
+ */
+const calledOperations = (name) => {
+  const code = moduleSources(path.resolve('lib', `${name}.js`)).join('\n');
+  return OPERATIONS
+    .filter(operation => new RegExp(`'${operation.charAt(0).toLowerCase()}${operation.slice(1)}'`).test(code))
+    .sort();
+};
+
+const statementsOf = (template) => {
+  const { Policies } = template.Resources.LambdaExecutionRole.Properties;
+  return [].concat(...Policies.map(policy => policy.PolicyDocument.Statement));
+};
+
+test('tools/policy: every SDK operation of a handler is allowed, and only those', (t) => {
+  const handlers = discoverHandlers();
+  t.plan(handlers.length * 2);
+
+  handlers.forEach(({ name, template }) => {
+    const rendered = parseDocument(
+      injectPolicies(fs.readFileSync(template).toString(), generatePolicies(name)),
+    );
+    const allowed = statementsOf(rendered)
+      .map(statement => [].concat(statement.Action))
+      .reduce((all, actions) => all.concat(actions), [])
+      .filter(action => /^events:/.test(action))
+      .map(action => action.replace(/^events:/, ''))
+      .sort();
+
+    t.deepEqual(allowed, calledOperations(name), `${name}: the actions of the SDK operations`);
+    t.ok(statementsOf(rendered).every(statement => /^logs:/.test([].concat(statement.Action)[0])
+      || statement.Resource !== '*'), `${name}: only the logs are on any resource`);
+  });
+});
+
+test('tools/policy: the policies use parameters and conditions of their template', (t) => {
+  const handlers = discoverHandlers();
+  t.plan(handlers.length);
+
+  handlers.forEach(({ name, template }) => {
+    const rendered = parseDocument(
+      injectPolicies(fs.readFileSync(template).toString(), generatePolicies(name)),
+    );
+    const json = JSON.stringify(generatePolicies(name));
+    const names = pattern => (json.match(new RegExp(pattern, 'g')) || [])
+      .map(ref => new RegExp(pattern).exec(ref)[1]);
+    const parameters = names('\\$\\{([A-Za-z]+)\\}');
+    const conditions = names('"Fn::If":\\["([A-Za-z]+)"');
+
+    t.deepEqual([
+      parameters.filter(parameter => !(parameter in rendered.Parameters)),
+      conditions.filter(condition => !(condition in (rendered.Conditions || {}))),
+    ], [[], []], `${name}: no unknown parameter or condition`);
+  });
+});
+
+test('tools/policy: the generated names are in the scope of the policies', (t) => {
+  const refs = {
+    'AWS::Partition': 'aws',
+    'AWS::Region': 'us-east-1',
+    'AWS::AccountId': '012345678901',
+    EventBusName: 'default',
+    NamePrefix: 'app-',
+  };
+  const event = {
+    StackId: 'arn:aws:cloudformation:us-east-1:012345678901:stack/stack/12345678-ab12-34cd-e56f-123456789abc',
+    LogicalResourceId: 'LogicalResourceId'.repeat(4),
+    ResourceProperties: {},
+  };
+  // the ARN pattern of the first statement, on the default event bus
+  const scopeOf = (name) => {
+    const { Resource } = generatePolicies(name)[0].PolicyDocument.Statement[0];
+    const pattern = resolveValue(Resource['Fn::If'] ? Resource['Fn::If'][1] : Resource, refs);
+    return new RegExp(`^${pattern.replace(/[.*]/g, match => (match === '*' ? '.*' : '\\.'))}$`);
+  };
+  const variablesOf = name => parseDocument(fs.readFileSync(path.resolve('lib', `${name}.yaml`)).toString())
+    .Resources.LambdaFunction.Properties.Environment.Variables;
+
+  const saved = process.env.NAME_PREFIX;
+  process.env.NAME_PREFIX = refs.NamePrefix;
+  const ruleName = generateRuleName(event, () => 'UT4QDIDSRK4IK');
+  const busName = generateBusName(event, () => 'UT4QDIDSRK4IK');
+  if (saved === undefined) {
+    delete process.env.NAME_PREFIX;
+  } else {
+    process.env.NAME_PREFIX = saved;
+  }
+
+  t.plan(6);
+  ['custom-cf-cw-events-rule', 'custom-cf-cw-events-bus'].forEach((name) => {
+    t.deepEqual(variablesOf(name).NAME_PREFIX, { Ref: 'NamePrefix' }, `${name}: NamePrefix is passed to the function`);
+  });
+  t.ok(scopeOf('custom-cf-cw-events-rule').test(`arn:aws:events:us-east-1:012345678901:rule/${ruleName}`),
+    `the rule name is allowed: ${ruleName}`);
+  t.ok(scopeOf('custom-cf-cw-events-bus').test(`arn:aws:events:us-east-1:012345678901:event-bus/${busName}`),
+    `the event bus name is allowed: ${busName}`);
+  t.deepEqual([ruleName.length, busName.length], [64, 64], 'the prefixed names still fit their limits');
+  t.ok(/^app-stack-LogicalResourceId/.test(ruleName), 'the prefix is not truncated');
+});
+
+test('tools/policy: generatePolicies', (t) => {
+  const policies = generatePolicies('custom-cf-cw-events-target');
+
+  t.plan(4);
+  t.deepEqual(policies[0].PolicyDocument.Statement[0], {
+    Effect: 'Allow',
+    Action: ['events:PutTargets', 'events:RemoveTargets'],
+    Resource: {
+      'Fn::If': ['IsDefaultEventBus',
+        { 'Fn::Sub': 'arn:${AWS::Partition}:events:${AWS::Region}:${AWS::AccountId}:rule/${NamePrefix}*' }, // eslint-disable-line no-template-curly-in-string
+        { 'Fn::Sub': 'arn:${AWS::Partition}:events:${AWS::Region}:${AWS::AccountId}:rule/${EventBusName}/${NamePrefix}*' }, // eslint-disable-line no-template-curly-in-string
+      ],
+    },
+  }, 'the actions on the rules of the event bus with the name prefix');
+  t.deepEqual(policies[1], {
+    PolicyName: 'IamPassRole',
+    PolicyDocument: {
+      Statement: [{
+        Effect: 'Allow',
+        Action: ['iam:PassRole'],
+        Resource: { 'Fn::Sub': 'arn:${AWS::Partition}:iam::${AWS::AccountId}:role${PassRolePath}*' }, // eslint-disable-line no-template-curly-in-string
+        Condition: { StringEquals: { 'iam:PassedToService': 'events.amazonaws.com' } },
+      }],
+    },
+  }, 'roles under the path are passed to CloudWatch Events only');
+  t.deepEqual(generatePolicies('custom-cf-cw-events-bus').map(policy => policy.PolicyName), ['AllowCloudWatchEvents'],
+    'no PassRole for handlers without roles',
+  );
+  t.throws(() => generatePolicies('unknown'), /Handler unknown has no permissions/, 'unknown handler');
+});
+
+test('tools/policy: injectPolicies', (t) => {
+  const template = [
+    'Resources:',
+    '  Role:',
+    '    Properties:',
+    '      Policies: # generated-policies',
+    '      - PolicyName: CloudWatchLogging',
+    '',
+  ].join('\n');
+
+  const rendered = parseDocument(injectPolicies(template, [{ PolicyName: 'Generated', PolicyDocument: {} }]));
+
+  t.plan(3);
+  t.deepEqual(rendered.Resources.Role.Properties.Policies.map(policy => policy.PolicyName),
+    ['Generated', 'CloudWatchLogging'], 'the generated policies come first');
+  t.throws(() => injectPolicies(template.replace(' # generated-policies', ''), [], { template: 'lib/handler.yaml' }),
+    /lib\/handler\.yaml has no 'Policies: # generated-policies' marker/, 'a template without marker');
+  t.deepEqual(Object.keys(HANDLER_PERMISSIONS), discoverHandlers().map(handler => handler.name),
+    'every handler has permissions');
+});
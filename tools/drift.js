@@ -0,0 +1,448 @@
+/**
+ *  Drift detection of the custom resources of a stack. CloudFormation drift
+ *  detection can not see inside custom resources, so this compares the declared
+ *  properties of every `Custom::Events::Rule` and `Custom::Events::Target` with
+ *  what `describeRule` and `listTargetsByRule` return -
+ *
+ *    node tools/drift.js --template stack.yaml --stack my-stack [--format json]
+ *
+ *  The template is JSON or YAML. `Ref` to parameters (`--parameter Name=value`)
+ *  and to resources of the stack is resolved, as well as `Fn::GetAtt` given
+ *  with `--parameter Logical.Attribute=value`. The physical ids come from the
+ *  stack (`--stack`), from `--physical-id Logical=physical` or from a
+ *  `PhysicalResourceId` next to the `Properties` of a resource. Properties with
+ *  other intrinsic functions are reported as not checked.
+ *
+ *  The report follows CloudFormation drift detection - every resource is
+ *  IN_SYNC, MODIFIED, DELETED or NOT_CHECKED, with a list of property
+ *  differences (ADD, REMOVE or NOT_EQUAL). Properties are normalized like
+ *  the update handlers do, see `lib/diff.js`.
+ *
+ *  Exits with 0 when all resources are in sync, 2 on drift and 1 on errors.
+ */
+
+const { CloudFormation } = require('@aws-sdk/client-cloudformation');
+const { CloudWatchEvents } = require('@aws-sdk/client-cloudwatch-events');
+const { createApi } = require('../lib/core');
+const { ChangeType, comparableJson, diffProperties } = require('../lib/diff');
+const { normalizeEventPattern } = require('../lib/event-pattern');
+const { normalizeTags, tagsAttribute } = require('../lib/tags');
+const rule = require('../lib/custom-cf-cw-events-rule');
+const target = require('../lib/custom-cf-cw-events-target');
+const { UnresolvedError, loadDocument, resolveValue } = require('./template');
+
+const RULE_TYPE = 'Custom::Events::Rule';
+const TARGET_TYPE = 'Custom::Events::Target';
+
+// properties of a rule returned by `describeRule`
+const RULE_PROPERTIES = ['Description', 'EventBusName', 'EventPattern', 'RoleArn', 'ScheduleExpression', 'State'];
+
+const Status = {
+  InSync: 'IN_SYNC',
+  Modified: 'MODIFIED',
+  Deleted: 'DELETED',
+  NotChecked: 'NOT_CHECKED',
+};
+
+// API calls of the tool are not logged, the report is the output
+const quietLog = { info() { }, warn() { }, error() { } };
+
+/**
+ * Custom resources of a template, with resolved properties.
+ *
+ * @param {object} template - parsed template.
+ * @param {object} options  - `{ parameters, physicalIds }` by name.
+ * @returns list of `{ LogicalResourceId, ResourceType, PhysicalResourceId, Properties, Unresolved }`,
+ *          `Unresolved` lists the names of the properties that could not be resolved.
+ */
+const templateResources = exports.templateResources = function templateResources(
+  template, options,
+) {
+  const resources = template.Resources || {};
+  const physicalIds = Object.assign({}, options.physicalIds);
+  Object.keys(resources).forEach((logicalId) => {
+    if (physicalIds[logicalId] === undefined
+      && resources[logicalId].PhysicalResourceId !== undefined) {
+      physicalIds[logicalId] = resources[logicalId].PhysicalResourceId;
+    }
+  });
+
+  const defaults = {};
+  Object.keys(template.Parameters || {}).forEach((name) => {
+    if (template.Parameters[name].Default !== undefined) {
+      defaults[name] = template.Parameters[name].Default;
+    }
+  });
+  const refs = Object.assign(defaults, options.parameters, physicalIds);
+
+  return Object.keys(resources)
+    .filter(logicalId => [RULE_TYPE, TARGET_TYPE].indexOf(resources[logicalId].Type) !== -1)
+    .map((logicalId) => {
+      const declared = resources[logicalId].Properties || {};
+      const properties = {};
+      const unresolved = [];
+      Object.keys(declared)
+        .filter(name => name !== 'ServiceToken')
+        .forEach((name) => {
+          try {
+            properties[name] = resolveValue(declared[name], refs);
+          } catch (err) {
+            if (!(err instanceof UnresolvedError)) {
+              throw err;
+            }
+            unresolved.push(name);
+          }
+        });
+
+      return {
+        LogicalResourceId: logicalId,
+        ResourceType: resources[logicalId].Type,
+        PhysicalResourceId: physicalIds[logicalId],
+        Properties: properties,
+        Unresolved: unresolved,
+      };
+    });
+};
+
+/**
+ * Property difference in the format of CloudFormation drift detection.
+ */
+function difference(path, expected, actual) {
+  let type = 'NOT_EQUAL';
+  if (expected === undefined) {
+    type = 'ADD';
+  } else if (actual === undefined) {
+    type = 'REMOVE';
+  }
+  return {
+    PropertyPath: path,
+    ExpectedValue: expected,
+    ActualValue: actual,
+    DifferenceType: type,
+  };
+}
+
+/**
+ * Pick the properties of a rule that `describeRule` returns, normalized for comparison.
+ */
+function ruleProperties(properties) {
+  const picked = {};
+  RULE_PROPERTIES
+    .filter(name => properties[name] !== undefined)
+    .forEach((name) => { picked[name] = properties[name]; });
+
+  if (picked.EventBusName !== undefined) {
+    // the name of an event bus given as ARN
+    picked.EventBusName = `${picked.EventBusName}`.replace(/^arn:.*:event-bus\//, '');
+  }
+  if (picked.EventPattern !== undefined) {
+    picked.EventPattern = normalizeEventPattern(picked.EventPattern);
+  }
+  return picked;
+}
+
+/**
+ * Call `describeRule`, or resolve with `undefined` when the rule does not exist.
+ */
+async function describeRule(api, name, eventBusName) {
+  const params = eventBusName === undefined
+    ? { Name: name }
+    : { Name: name, EventBusName: eventBusName };
+  try {
+    return await api.call('describeRule', params);
+  } catch (err) {
+    if (err.code === 'ResourceNotFoundException') {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Differences between a declared rule and the deployed rule.
+ *
+ * @returns `{ status, differences }`.
+ */
+async function ruleDrift(api, resource) {
+  const expected = ruleProperties(resource.Properties);
+  const deployed = await describeRule(api, resource.PhysicalResourceId,
+    resource.Properties.EventBusName);
+  if (deployed === undefined) {
+    return { status: Status.Deleted, differences: [] };
+  }
+  const actual = ruleProperties(deployed);
+
+  const specs = {};
+  RULE_PROPERTIES.forEach((name) => { specs[name] = rule.PROPERTY_SPECS[name] || {}; });
+  const diff = diffProperties(specs, actual, expected);
+  const differences = RULE_PROPERTIES
+    .filter(name => diff.properties[name] !== undefined)
+    .filter(name => diff.properties[name] !== ChangeType.NoOp)
+    .filter(name => resource.Unresolved.indexOf(name) === -1)
+    .map(name => difference(`/${name}`, expected[name], actual[name]));
+
+  if (resource.Unresolved.indexOf('Tags') === -1) {
+    const data = await api.call('listTagsForResource', { ResourceARN: deployed.Arn });
+    const expectedTags = tagsAttribute(normalizeTags(resource.Properties.Tags));
+    const actualTags = tagsAttribute((data.Tags || [])
+      .filter(tag => tag.Key !== rule.OWNER_TAG_KEY));
+    if (expectedTags !== actualTags) {
+      differences.push(difference('/Tags', expectedTags, actualTags));
+    }
+  }
+
+  return { status: differences.length > 0 ? Status.Modified : Status.InSync, differences };
+}
+
+/**
+ * Differences between the declared targets of a resource and the targets of the deployed rule.
+ *
+ * @returns `{ status, differences }`.
+ */
+async function targetDrift(api, resource) {
+  const properties = resource.Properties;
+  const expected = target.targetsOf(properties, resource.PhysicalResourceId,
+    resource.LogicalResourceId);
+
+  const deployed = {};
+  let nextToken;
+  do {
+    const params = { Rule: properties.Rule };
+    if (properties.EventBusName !== undefined) {
+      params.EventBusName = properties.EventBusName;
+    }
+    if (nextToken) {
+      params.NextToken = nextToken;
+    }
+    let data;
+    try {
+      data = await api.call('listTargetsByRule', params); // eslint-disable-line no-await-in-loop
+    } catch (err) {
+      if (err.code === 'ResourceNotFoundException') {
+        return { status: Status.Deleted, differences: [] };
+      }
+      throw err;
+    }
+    (data.Targets || []).forEach((deployedTarget) => {
+      deployed[deployedTarget.Id] = deployedTarget;
+    });
+    nextToken = data.NextToken;
+  } while (nextToken);
+
+  const differences = [];
+  let missing = 0;
+  expected.forEach((expectedTarget) => {
+    const path = properties.Targets === undefined ? '' : `/Targets/${expectedTarget.Id}`;
+    const actualTarget = deployed[expectedTarget.Id];
+    if (actualTarget === undefined) {
+      missing += 1;
+      differences.push(difference(path || '/Id', expectedTarget.Id, undefined));
+      return;
+    }
+    Object.keys(Object.assign({}, expectedTarget, actualTarget))
+      .filter(name => name !== 'Id')
+      .filter(name => path !== '' || resource.Unresolved.indexOf(name) === -1)
+      .filter(name => comparableJson(expectedTarget[name]) !== comparableJson(actualTarget[name]))
+      .forEach(name => differences.push(difference(`${path}/${name}`, expectedTarget[name], actualTarget[name])));
+  });
+
+  if (missing === expected.length) {
+    return { status: Status.Deleted, differences };
+  }
+  return { status: differences.length > 0 ? Status.Modified : Status.InSync, differences };
+}
+
+/**
+ * Detect the drift of custom resources.
+ *
+ * @param {Array}  resources - resources with resolved properties, see `templateResources`.
+ * @param {object} client    - CloudWatch Events client, like `new CloudWatchEvents()`.
+ * @returns promise of the drift report, a list of
+ *          `{ LogicalResourceId, ResourceType, PhysicalResourceId, StackResourceDriftStatus, PropertyDifferences }`.
+ */
+const detectDrift = exports.detectDrift = async function detectDrift(resources, client) {
+  const api = createApi(client, quietLog);
+  const report = [];
+
+  for (let i = 0; i < resources.length; i += 1) {
+    const resource = resources[i];
+    const entry = {
+      LogicalResourceId: resource.LogicalResourceId,
+      ResourceType: resource.ResourceType,
+      PhysicalResourceId: resource.PhysicalResourceId,
+    };
+
+    let result;
+    if (resource.PhysicalResourceId === undefined) {
+      result = { status: Status.NotChecked, reason: 'unknown PhysicalResourceId' };
+    } else if (resource.Unresolved.some(name => ['EventBusName', 'Rule', 'Targets'].indexOf(name) !== -1)) {
+      result = { status: Status.NotChecked, reason: `unresolved ${resource.Unresolved.join(', ')}` };
+    } else {
+      try {
+        result = resource.ResourceType === RULE_TYPE
+          ? await ruleDrift(api, resource) // eslint-disable-line no-await-in-loop
+          : await targetDrift(api, resource); // eslint-disable-line no-await-in-loop
+      } catch (err) {
+        result = { status: Status.NotChecked, reason: err.message };
+      }
+    }
+
+    entry.StackResourceDriftStatus = result.status;
+    entry.PropertyDifferences = result.differences || [];
+    if (result.reason !== undefined) {
+      entry.Reason = result.reason;
+    } else if (resource.Unresolved.length > 0) {
+      entry.Reason = `not checked: ${resource.Unresolved.join(', ')}`;
+    }
+    report.push(entry);
+  }
+
+  return report;
+};
+
+/**
+ * Text of a value in a table cell.
+ */
+function cell(value, width) {
+  let text = value === undefined ? '-' : value;
+  if (typeof text !== 'string') {
+    text = JSON.stringify(text);
+  }
+  return text.length > width ? `${text.slice(0, width - 3)}...` : text;
+}
+
+/**
+ * Format a drift report as a table, one row per property difference.
+ *
+ * @param {Array} report - drift report, see `detectDrift`.
+ * @returns text of the table.
+ */
+const formatTable = exports.formatTable = function formatTable(report) {
+  const header = ['LogicalResourceId', 'ResourceType', 'PhysicalResourceId', 'Status', 'Property', 'Expected', 'Actual'];
+  const rows = [];
+  report.forEach((entry) => {
+    const resource = [entry.LogicalResourceId, entry.ResourceType,
+      cell(entry.PhysicalResourceId, 40), entry.StackResourceDriftStatus];
+    if (entry.PropertyDifferences.length === 0) {
+      rows.push(resource.concat([entry.Reason || '', '', '']));
+    }
+    entry.PropertyDifferences.forEach((diff) => {
+      rows.push(resource.concat([diff.PropertyPath, cell(diff.ExpectedValue, 40),
+        cell(diff.ActualValue, 40)]));
+    });
+  });
+
+  const widths = header.map((title, column) => Math.max(title.length,
+    ...rows.map(row => row[column].length)));
+  const line = row => row.map((text, column) => text.padEnd(widths[column])).join('  ').trimRight();
+
+  return [line(header), line(widths.map(width => '-'.repeat(width)))]
+    .concat(rows.map(line))
+    .join('\n');
+};
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {Array} argv - arguments, without node and the script.
+ * @returns `{ template, stack, region, format, parameters, physicalIds }`.
+ * @throws {Error} on unknown or incomplete arguments.
+ */
+const parseArgs = exports.parseArgs = function parseArgs(argv) {
+  const options = {
+    format: 'table',
+    parameters: {},
+    physicalIds: {},
+  };
+  const pair = (arg, name) => {
+    const match = /^([^=]+)=(.*)$/.exec(arg || '');
+    if (!match) {
+      throw new Error(`${name} must be Name=value`);
+    }
+    return match.slice(1);
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    i += 1;
+    if (arg === '--template' || arg === '--stack' || arg === '--region' || arg === '--format') {
+      if (value === undefined) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg === '--parameter') {
+      const [name, parameterValue] = pair(value, arg);
+      options.parameters[name] = parameterValue;
+    } else if (arg === '--physical-id') {
+      const [name, physicalId] = pair(value, arg);
+      options.physicalIds[name] = physicalId;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  if (options.template === undefined) {
+    throw new Error('--template is required');
+  }
+  if (['table', 'json'].indexOf(options.format) === -1) {
+    throw new Error('--format must be table or json');
+  }
+  return options;
+};
+
+/**
+ * Physical ids of the resources of a stack.
+ *
+ * @param {object} cloudFormation - CloudFormation client.
+ * @param {string} stackName      - name or id of the stack.
+ * @returns promise of the physical ids by logical id.
+ */
+async function stackPhysicalIds(cloudFormation, stackName) {
+  const data = await cloudFormation.describeStackResources({ StackName: stackName });
+  const physicalIds = {};
+  data.StackResources.forEach((resource) => {
+    physicalIds[resource.LogicalResourceId] = resource.PhysicalResourceId;
+  });
+  return physicalIds;
+}
+
+/**
+ * Run the drift detection.
+ *
+ * @param {Array}  argv    - command line arguments.
+ * @param {object} clients - `{ cloudWatchEvents, cloudFormation, stdout }`, AWS SDK v3 clients by default.
+ * @returns promise of the exit code.
+ */
+exports.main = async function main(argv, clients) {
+  const io = Object.assign({ stdout: process.stdout }, clients);
+  const options = parseArgs(argv);
+
+  const awsOptions = options.region ? { region: options.region } : {};
+  const cloudWatchEvents = io.cloudWatchEvents || new CloudWatchEvents(awsOptions);
+
+  let physicalIds = {};
+  if (options.stack !== undefined) {
+    const cloudFormation = io.cloudFormation || new CloudFormation(awsOptions);
+    physicalIds = await stackPhysicalIds(cloudFormation, options.stack);
+  }
+
+  const resources = templateResources(loadDocument(options.template), {
+    parameters: options.parameters,
+    physicalIds: Object.assign(physicalIds, options.physicalIds),
+  });
+  const report = await detectDrift(resources, cloudWatchEvents);
+
+  io.stdout.write(`${options.format === 'json' ? JSON.stringify(report, null, 2) : formatTable(report)}\n`);
+  return report.every(entry => entry.StackResourceDriftStatus === Status.InSync
+    || entry.StackResourceDriftStatus === Status.NotChecked) ? 0 : 2;
+};
+
+if (require.main === module) {
+  exports.main(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,541 @@
+/**
+ *  In-memory CloudWatch Events, a stateful fake of the `CloudWatchEvents`
+ *  client of the AWS SDK for tests and local invokes -
+ *
+ *    const emulator = createEmulator();
+ *    emulator.putRule({ Name: 'rule', ScheduleExpression: 'rate(5 minutes)' }, callback);
+ *    emulator.state(); // { buses: [...], rules: [...] }
+ *
+ *  Methods take `(params, callback)` like the SDK, or return a request with
+ *  `promise()` without a callback. It keeps event buses (with the policy of
+ *  their permissions), rules, targets and tags, and fails like the service -
+ *
+ *    - ResourceNotFoundException for unknown rules, event buses, statements and ARNs.
+ *    - ResourceAlreadyExistsException for an event bus that exists.
+ *    - LimitExceededException for more than 5 targets on a rule.
+ *    - ValidationException for invalid names, Ids and parameters, like a rule
+ *      name over 64 characters or a rule deleted while it has targets. Names
+ *      and Ids are validated by every method, also of rules that do not exist.
+ *    - InvalidEventPatternException for an invalid `EventPattern`.
+ *
+ *  `putRule` only tags new rules, `deleteRule`, `deleteEventBus` and
+ *  `removeTargets` of unknown names or Ids succeed, and the list methods
+ *  return pages of `options.pageSize` with a `NextToken`.
+ *
+ *  Transient failures are injected - `failCall(method, code)` fails the next
+ *  call of a method, `failEntry(method, targetId, code)` reports a target in
+ *  the `FailedEntries` of the next `putTargets` or `removeTargets` that has it,
+ *  without applying it.
+ */
+
+const { parseEventPattern, validateEventPattern } = require('../lib/event-pattern');
+
+const DEFAULT_BUS = 'default';
+
+const NAME_PATTERN = /^[.\-_A-Za-z0-9]+$/;
+const BUS_NAME_PATTERN = /^[/.\-_A-Za-z0-9]+$/;
+const STATEMENT_ID_PATTERN = /^[a-zA-Z0-9-_]+$/;
+
+const DEFAULT_OPTIONS = {
+  region: 'us-east-1',
+  accountId: '012345678901',
+  pageSize: 100, // Limit of the list methods
+  limits: {
+    targetsPerRule: 5,
+    targetsPerCall: 10,
+    ruleName: 64,
+    targetId: 64,
+    busName: 256,
+    statementId: 64,
+    description: 512,
+  },
+};
+
+function awsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function validationError(value, member, constraint) {
+  return awsError('ValidationException',
+    `1 validation error detected: Value '${value}' at '${member}' failed to satisfy constraint: ${constraint}`);
+}
+
+// params and results are copied, like they are serialized by the SDK
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create an emulator.
+ *
+ * @param {object} options - `{ region, accountId, pageSize, limits }`, see `DEFAULT_OPTIONS`.
+ * @returns a client with the CloudWatch Events methods, `failCall`, `failEntry` and `state`.
+ */
+exports.createEmulator = function createEmulator(options) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const limits = Object.assign({}, DEFAULT_OPTIONS.limits, settings.limits);
+  const arnPrefix = `arn:aws:events:${settings.region}:${settings.accountId}`;
+
+  const buses = {}; // by name - `{ Name, Arn, EventSourceName, statements }`
+  const rules = {}; // by `<bus>/<name>` - `{ Name, EventBusName, Arn, ..., targets }`
+  const tags = {}; // by ARN - list of `{ Key, Value }`
+  const callFailures = [];
+  const entryFailures = [];
+
+  buses[DEFAULT_BUS] = { Name: DEFAULT_BUS, Arn: `${arnPrefix}:event-bus/${DEFAULT_BUS}`, statements: [] };
+
+  // the name of an event bus given by name or ARN
+  const busNameOf = (nameOrArn) => {
+    if (nameOrArn === undefined || nameOrArn === null || nameOrArn === '') {
+      return DEFAULT_BUS;
+    }
+    const match = /^arn:aws[\w-]*:events:[^:]*:[^:]*:event-bus\/(.+)$/.exec(nameOrArn);
+    return match ? match[1] : `${nameOrArn}`;
+  };
+
+  const findBus = (nameOrArn) => {
+    const name = busNameOf(nameOrArn);
+    if (!Object.prototype.hasOwnProperty.call(buses, name)) {
+      throw awsError('ResourceNotFoundException', `Event bus ${name} does not exist.`);
+    }
+    return buses[name];
+  };
+
+  const findRule = (name, busNameOrArn) => {
+    const bus = findBus(busNameOrArn);
+    const rule = rules[`${bus.Name}/${name}`];
+    if (rule === undefined) {
+      throw awsError('ResourceNotFoundException', `Rule ${name} does not exist on EventBus ${bus.Name}.`);
+    }
+    return rule;
+  };
+
+  // the rule or event bus of an ARN
+  const findResource = (arn) => {
+    const ruleMatch = /:rule\/(?:(.+)\/)?([^/]+)$/.exec(arn || '');
+    if (ruleMatch) {
+      return findRule(ruleMatch[2], ruleMatch[1]);
+    }
+    const bus = Object.keys(buses).map(name => buses[name])
+      .find(candidate => candidate.Arn === arn);
+    if (bus === undefined) {
+      throw awsError('ResourceNotFoundException', `Resource ${arn} does not exist.`);
+    }
+    return bus;
+  };
+
+  const validateName = (value, member, max, pattern) => {
+    if (typeof value !== 'string' || value.length < 1) {
+      throw validationError(value, member, 'Member must have length greater than or equal to 1');
+    }
+    if (value.length > max) {
+      throw validationError(value, member, `Member must have length less than or equal to ${max}`);
+    }
+    if (!pattern.test(value)) {
+      throw validationError(value, member, `Member must satisfy regular expression pattern: ${pattern.source}`);
+    }
+  };
+
+  const validateRuleName = (value, member) =>
+    validateName(value, member, limits.ruleName, NAME_PATTERN);
+
+  // an event bus given by name or ARN, the default event bus when undefined
+  const validateBusName = (value, member) => {
+    if (value !== undefined) {
+      validateName(busNameOf(value), member, limits.busName, BUS_NAME_PATTERN);
+    }
+  };
+
+  const applyTags = (arn, newTags) => {
+    const current = (tags[arn] || [])
+      .filter(tag => !(newTags || []).some(newTag => newTag.Key === tag.Key));
+    tags[arn] = current.concat(copy(newTags || []));
+  };
+
+  /**
+   * A page of items.
+   *
+   * @param {Array}  items  - all the items.
+   * @param {object} params - `{ Limit, NextToken }` of the call.
+   * @param {string} key    - key of the items in the result, like 'Targets'.
+   * @returns `{ [key], NextToken }`.
+   */
+  const page = (items, params, key) => {
+    const limit = Math.min(params.Limit || settings.pageSize, settings.pageSize);
+    let offset = 0;
+    if (params.NextToken !== undefined) {
+      offset = Number(Buffer.from(`${params.NextToken}`, 'base64').toString());
+      if (!(offset > 0)) {
+        throw awsError('ValidationException', 'The NextToken is invalid.');
+      }
+    }
+    const result = { [key]: copy(items.slice(offset, offset + limit)) };
+    if (offset + limit < items.length) {
+      result.NextToken = Buffer.from(`${offset + limit}`).toString('base64');
+    }
+    return result;
+  };
+
+  /**
+   * Apply a batch of targets, with the injected entry failures.
+   *
+   * @param {string} method - 'putTargets' or 'removeTargets'.
+   * @param {Array}  ids    - Ids of the entries.
+   * @param {function} apply - apply the entry of an Id.
+   * @returns `{ FailedEntryCount, FailedEntries }`.
+   */
+  const batch = (method, ids, apply) => {
+    const failedEntries = [];
+    ids.forEach((id) => {
+      const index = entryFailures
+        .findIndex(failure => failure.method === method && failure.targetId === id);
+      if (index === -1) {
+        apply(id);
+        return;
+      }
+      const failure = entryFailures[index];
+      failure.times -= 1;
+      if (failure.times <= 0) {
+        entryFailures.splice(index, 1);
+      }
+      failedEntries.push({ TargetId: id, ErrorCode: failure.code, ErrorMessage: failure.message });
+    });
+    return { FailedEntryCount: failedEntries.length, FailedEntries: failedEntries };
+  };
+
+  const policyOf = bus => (bus.statements.length === 0 ? undefined : JSON.stringify({
+    Version: '2012-10-17',
+    Statement: bus.statements.map(statement => Object.assign({
+      Sid: statement.StatementId,
+      Effect: 'Allow',
+      Principal: statement.Principal === '*' ? '*' : { AWS: `arn:aws:iam::${statement.Principal}:root` },
+      Action: statement.Action,
+      Resource: bus.Arn,
+    }, statement.Condition ? {
+      Condition: {
+        [statement.Condition.Type]: { [statement.Condition.Key]: statement.Condition.Value },
+      },
+    } : {})),
+  }));
+
+  const operations = {
+    createEventBus(params) {
+      validateName(params.Name, 'name', limits.busName, BUS_NAME_PATTERN);
+      if (params.Name === DEFAULT_BUS || Object.prototype.hasOwnProperty.call(buses, params.Name)) {
+        throw awsError('ResourceAlreadyExistsException', `Event bus ${params.Name} already exists.`);
+      }
+      if (params.EventSourceName !== undefined && params.EventSourceName !== params.Name) {
+        throw awsError('ValidationException', 'Event bus name must be the same as the event source name.');
+      }
+      const bus = { Name: params.Name, Arn: `${arnPrefix}:event-bus/${params.Name}`, statements: [] };
+      if (params.EventSourceName !== undefined) {
+        bus.EventSourceName = params.EventSourceName;
+      }
+      buses[params.Name] = bus;
+      applyTags(bus.Arn, params.Tags);
+      return { EventBusArn: bus.Arn };
+    },
+
+    deleteEventBus(params) {
+      validateBusName(params.Name, 'name');
+      const name = busNameOf(params.Name);
+      if (name === DEFAULT_BUS) {
+        throw awsError('ValidationException', 'Cannot delete event bus default.');
+      }
+      if (!Object.prototype.hasOwnProperty.call(buses, name)) {
+        return {};
+      }
+      if (Object.keys(rules).some(key => rules[key].EventBusName === name)) {
+        throw awsError('ValidationException', `Event bus ${name} can't be deleted since it has rules.`);
+      }
+      delete tags[buses[name].Arn];
+      delete buses[name];
+      return {};
+    },
+
+    describeEventBus(params) {
+      validateBusName(params.Name, 'name');
+      const bus = findBus(params.Name);
+      const result = { Name: bus.Name, Arn: bus.Arn };
+      const policy = policyOf(bus);
+      if (policy !== undefined) {
+        result.Policy = policy;
+      }
+      return result;
+    },
+
+    putPermission(params) {
+      const bus = findBus(params.EventBusName);
+      validateName(params.StatementId, 'statementId', limits.statementId, STATEMENT_ID_PATTERN);
+      if (params.Action !== 'events:PutEvents') {
+        throw validationError(params.Action, 'action', 'Member must satisfy enum value set: [events:PutEvents]');
+      }
+      if (!/^(\d{12}|\*)$/.test(`${params.Principal}`)) {
+        throw validationError(params.Principal, 'principal', 'Member must satisfy regular expression pattern: (\\d{12}|\\*)');
+      }
+      if (params.Principal === '*' && params.Condition === undefined) {
+        throw awsError('ValidationException', 'A Condition is required when Principal is "*".');
+      }
+      bus.statements = bus.statements
+        .filter(statement => statement.StatementId !== params.StatementId)
+        .concat([copy({
+          StatementId: params.StatementId,
+          Action: params.Action,
+          Principal: params.Principal,
+          Condition: params.Condition,
+        })]);
+      return {};
+    },
+
+    removePermission(params) {
+      validateName(params.StatementId, 'statementId', limits.statementId, STATEMENT_ID_PATTERN);
+      const bus = findBus(params.EventBusName);
+      if (!bus.statements.some(statement => statement.StatementId === params.StatementId)) {
+        throw awsError('ResourceNotFoundException', 'Statement with the provided id does not exist.');
+      }
+      bus.statements = bus.statements
+        .filter(statement => statement.StatementId !== params.StatementId);
+      return {};
+    },
+
+    putRule(params) {
+      validateRuleName(params.Name, 'name');
+      const bus = findBus(params.EventBusName);
+      if (params.EventPattern === undefined && params.ScheduleExpression === undefined) {
+        throw awsError('ValidationException', 'Parameter(s) EventPattern or ScheduleExpression must be specified.');
+      }
+      if (params.ScheduleExpression !== undefined && bus.Name !== DEFAULT_BUS) {
+        throw awsError('ValidationException', 'ScheduleExpression is supported only on the default event bus.');
+      }
+      if (params.EventPattern !== undefined) {
+        let errors;
+        try {
+          errors = validateEventPattern(parseEventPattern(params.EventPattern));
+        } catch (err) {
+          errors = [err.message];
+        }
+        if (errors.length > 0) {
+          throw awsError('InvalidEventPatternException', `Event pattern is not valid. Reason: ${errors.join('; ')}`);
+        }
+      }
+      if (params.State !== undefined && ['ENABLED', 'DISABLED'].indexOf(params.State) === -1) {
+        throw validationError(params.State, 'state', 'Member must satisfy enum value set: [ENABLED, DISABLED]');
+      }
+      if (params.Description !== undefined && params.Description.length > limits.description) {
+        throw validationError(params.Description, 'description',
+          `Member must have length less than or equal to ${limits.description}`);
+      }
+
+      const key = `${bus.Name}/${params.Name}`;
+      const existing = rules[key];
+      const rule = {
+        Name: params.Name,
+        Arn: bus.Name === DEFAULT_BUS
+          ? `${arnPrefix}:rule/${params.Name}`
+          : `${arnPrefix}:rule/${bus.Name}/${params.Name}`,
+        EventBusName: bus.Name,
+        State: params.State || 'ENABLED',
+        targets: existing ? existing.targets : [],
+      };
+      ['Description', 'EventPattern', 'RoleArn', 'ScheduleExpression']
+        .filter(name => params[name] !== undefined)
+        .forEach((name) => { rule[name] = params[name]; });
+      rules[key] = rule;
+      if (!existing) {
+        tags[rule.Arn] = [];
+        applyTags(rule.Arn, params.Tags);
+      }
+      return { RuleArn: rule.Arn };
+    },
+
+    describeRule(params) {
+      validateRuleName(params.Name, 'name');
+      const rule = findRule(params.Name, params.EventBusName);
+      const result = Object.assign({}, rule);
+      delete result.targets;
+      return result;
+    },
+
+    deleteRule(params) {
+      validateRuleName(params.Name, 'name');
+      const bus = findBus(params.EventBusName);
+      const key = `${bus.Name}/${params.Name}`;
+      if (rules[key] === undefined) {
+        return {};
+      }
+      if (rules[key].targets.length > 0 && params.Force !== true) {
+        throw awsError('ValidationException', "Rule can't be deleted since it has targets.");
+      }
+      delete tags[rules[key].Arn];
+      delete rules[key];
+      return {};
+    },
+
+    listRules(params) {
+      const bus = findBus(params.EventBusName);
+      const matching = Object.keys(rules)
+        .map(key => rules[key])
+        .filter(rule => rule.EventBusName === bus.Name && rule.Name.indexOf(params.NamePrefix || '') === 0)
+        .sort((a, b) => (a.Name < b.Name ? -1 : 1))
+        .map((rule) => {
+          const result = Object.assign({}, rule);
+          delete result.targets;
+          return result;
+        });
+      return page(matching, params, 'Rules');
+    },
+
+    putTargets(params) {
+      validateRuleName(params.Rule, 'rule');
+      const rule = findRule(params.Rule, params.EventBusName);
+      const targets = params.Targets || [];
+      if (targets.length < 1 || targets.length > limits.targetsPerCall) {
+        throw validationError('[...]', 'targets',
+          `Member must have length less than or equal to ${limits.targetsPerCall} and greater than or equal to 1`);
+      }
+      targets.forEach((target, i) => {
+        validateName(target.Id, `targets.${i + 1}.member.id`, limits.targetId, NAME_PATTERN);
+        if (typeof target.Arn !== 'string' || !/^arn:/.test(target.Arn)) {
+          throw awsError('ValidationException', `Parameter ${target.Arn} is not valid. Reason: Provided Arn is not in correct format.`);
+        }
+      });
+
+      const ids = rule.targets.map(target => target.Id);
+      const added = targets.filter(target => ids.indexOf(target.Id) === -1).length;
+      if (ids.length + added > limits.targetsPerRule) {
+        throw awsError('LimitExceededException', 'The requested resource exceeds the maximum number allowed.');
+      }
+
+      return batch('putTargets', targets.map(target => target.Id), (id) => {
+        const target = copy(targets.find(candidate => candidate.Id === id));
+        const index = rule.targets.findIndex(candidate => candidate.Id === id);
+        if (index === -1) {
+          rule.targets.push(target);
+        } else {
+          rule.targets[index] = target;
+        }
+      });
+    },
+
+    removeTargets(params) {
+      validateRuleName(params.Rule, 'rule');
+      const ids = params.Ids || [];
+      if (ids.length < 1 || ids.length > 100) {
+        throw validationError('[...]', 'ids',
+          'Member must have length less than or equal to 100 and greater than or equal to 1');
+      }
+      ids.forEach((id, i) => validateName(id, `ids.${i + 1}.member`, limits.targetId, NAME_PATTERN));
+      const rule = findRule(params.Rule, params.EventBusName);
+      return batch('removeTargets', ids, (id) => {
+        rule.targets = rule.targets.filter(target => target.Id !== id);
+      });
+    },
+
+    listTargetsByRule(params) {
+      validateRuleName(params.Rule, 'rule');
+      const rule = findRule(params.Rule, params.EventBusName);
+      return page(rule.targets, params, 'Targets');
+    },
+
+    tagResource(params) {
+      const resource = findResource(params.ResourceARN);
+      applyTags(resource.Arn, params.Tags);
+      return {};
+    },
+
+    untagResource(params) {
+      const resource = findResource(params.ResourceARN);
+      tags[resource.Arn] = (tags[resource.Arn] || [])
+        .filter(tag => (params.TagKeys || []).indexOf(tag.Key) === -1);
+      return {};
+    },
+
+    listTagsForResource(params) {
+      const resource = findResource(params.ResourceARN);
+      return { Tags: copy(tags[resource.Arn] || []) };
+    },
+  };
+
+  const emulator = {
+    /**
+     * Fail the next calls of a method.
+     *
+     * @param {string} method  - name of the method, like 'putRule'.
+     * @param {string} code    - error code, like 'ThrottlingException'.
+     * @param {string} message - error message.
+     * @param {number} times   - number of calls to fail, 1 by default.
+     */
+    failCall(method, code, message, times) {
+      callFailures.push({ method, code, message: message || code, times: times || 1 });
+    },
+
+    /**
+     * Report a target in the `FailedEntries` of the next calls that have it.
+     *
+     * @param {string} method   - 'putTargets' or 'removeTargets'.
+     * @param {string} targetId - Id of the target.
+     * @param {string} code     - `ErrorCode` of the entry.
+     * @param {string} message  - `ErrorMessage` of the entry.
+     * @param {number} times    - number of calls to fail, 1 by default.
+     */
+    failEntry(method, targetId, code, message, times) {
+      entryFailures.push({ method, targetId, code, message: message || code, times: times || 1 });
+    },
+
+    /**
+     * Everything in the emulator, for assertions.
+     *
+     * @returns `{ buses, rules }` - event buses with `Policy` and `Tags`,
+     *          rules with `Targets` and `Tags`, sorted by name.
+     */
+    state() {
+      const byName = (a, b) => (a.Name < b.Name ? -1 : 1);
+      return copy({
+        buses: Object.keys(buses)
+          .map(name => Object.assign(operations.describeEventBus({ Name: name }),
+            { Tags: tags[buses[name].Arn] || [] }))
+          .sort(byName),
+        rules: Object.keys(rules).map((key) => {
+          const rule = Object.assign({}, rules[key],
+            { Targets: rules[key].targets, Tags: tags[rules[key].Arn] });
+          delete rule.targets;
+          return rule;
+        }).sort(byName),
+      });
+    },
+  };
+
+  Object.keys(operations).forEach((method) => {
+    emulator[method] = (params, callback) => {
+      const result = new Promise((resolve, reject) => {
+        setImmediate(() => {
+          const index = callFailures.findIndex(failure => failure.method === method);
+          if (index !== -1) {
+            const failure = callFailures[index];
+            failure.times -= 1;
+            if (failure.times <= 0) {
+              callFailures.splice(index, 1);
+            }
+            reject(awsError(failure.code, failure.message));
+            return;
+          }
+          try {
+            resolve(copy(operations[method](copy(params || {}))));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+
+      if (typeof callback === 'function') {
+        result.then(data => callback(null, data), err => callback(err));
+        return undefined;
+      }
+      return { promise: () => result };
+    };
+  });
+
+  return emulator;
+};
@@ -0,0 +1,393 @@
+/**
+ *  Local invoke of the handlers with CloudFormation lifecycle events, without
+ *  deploying a stack -
+ *
+ *    node tools/invoke.js --event create.yaml [--event update.yaml ...] [--handler rule]
+ *
+ *  Every event file is JSON or YAML, with one event or a list of events, and
+ *  the events run in order. The handler of an event is chosen by its
+ *  `ResourceType` (`Custom::Events::Rule`, ...) or by `--handler` (rule, target,
+ *  bus, permission or the path of a module). Missing fields of an event get
+ *  defaults, and the events of a resource are chained like CloudFormation does -
+ *
+ *    - `PhysicalResourceId` of an Update or Delete is the one of the last response,
+ *      a Delete with another `PhysicalResourceId` is the cleanup of a replaced resource.
+ *    - a Delete after a failed Create is its rollback, with the physical id of
+ *      the FAILED response.
+ *    - `OldResourceProperties` of an Update are the previous `ResourceProperties`.
+ *    - `Ref` and `Fn::GetAtt` in properties resolve to the physical ids and
+ *      `Data` of earlier responses, so a target can `Ref` the rule it belongs to.
+ *
+ *  `ResponseURL` points to a local HTTP listener, and the exact response body
+ *  the handler sends is printed, one line per event. The handlers log to the
+ *  same output, set `LOG_LEVEL=ERROR` to keep only the responses.
+ *
+ *  CloudWatch Events calls go to an injected client, `--client stub` records
+ *  the calls and returns canned responses (see `createRecordingClient`), that
+ *  can be changed with `--responses responses.yaml`, a map of method names to
+ *  data or `{ error: { code, message } }`. `--client emulator` keeps rules,
+ *  targets and event buses in memory across the events, see `emulator.js`.
+ *
+ *  Exits with 0 when every response is SUCCESS, 2 when one is FAILED and 1 on errors,
+ *  like a handler that sent no response.
+ */
+
+const http = require('http');
+const path = require('path');
+const proxyquire = require('proxyquire').noCallThru();
+const { createEmulator } = require('./emulator');
+const { UnresolvedError, loadDocument, resolveValue } = require('./template');
+
+const HANDLERS = {
+  rule: { module: 'custom-cf-cw-events-rule', type: 'Custom::Events::Rule' },
+  target: { module: 'custom-cf-cw-events-target', type: 'Custom::Events::Target' },
+  bus: { module: 'custom-cf-cw-events-bus', type: 'Custom::Events::EventBus' },
+  permission: { module: 'custom-cf-cw-events-permission', type: 'Custom::Events::Permission' },
+};
+
+const DEFAULT_STACK_ID = 'arn:aws:cloudformation:us-east-1:012345678901:stack/local-stack/00000000-0000-0000-0000-000000000000';
+const DEFAULT_TIMEOUT = 30000; // Timeout of the Lambda functions in the templates
+
+// the CloudWatch Events methods called by the handlers
+const METHODS = [
+  'createEventBus', 'deleteEventBus', 'deleteRule', 'describeEventBus', 'describeRule',
+  'listTagsForResource', 'listTargetsByRule', 'putPermission', 'putRule', 'putTargets',
+  'removePermission', 'removeTargets', 'tagResource', 'untagResource',
+];
+
+function awsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function eventsArn(resource) {
+  return `arn:aws:events:us-east-1:012345678901:${resource}`;
+}
+
+// responses of the recording client by method, functions of the params and earlier calls
+const CANNED_RESPONSES = {
+  describeRule: (params, calls) => {
+    const last = calls
+      .filter(call => ['putRule', 'deleteRule'].indexOf(call.method) !== -1 && call.params.Name === params.Name)
+      .pop();
+    if (!last || last.method === 'deleteRule') {
+      throw awsError('ResourceNotFoundException', `Rule ${params.Name} does not exist.`);
+    }
+    return Object.assign({ Arn: CANNED_RESPONSES.putRule(last.params).RuleArn }, last.params);
+  },
+  describeEventBus: params => ({
+    Name: params.Name || 'default',
+    Arn: eventsArn(`event-bus/${params.Name || 'default'}`),
+  }),
+  createEventBus: params => ({ EventBusArn: eventsArn(`event-bus/${params.Name}`) }),
+  putRule: params => ({
+    RuleArn: eventsArn(params.EventBusName && params.EventBusName !== 'default'
+      ? `rule/${params.EventBusName}/${params.Name}`
+      : `rule/${params.Name}`),
+  }),
+  putTargets: () => ({ FailedEntryCount: 0, FailedEntries: [] }),
+  removeTargets: () => ({ FailedEntryCount: 0, FailedEntries: [] }),
+  listTargetsByRule: () => ({ Targets: [] }),
+  listTagsForResource: () => ({ Tags: [] }),
+};
+
+/**
+ * A CloudWatch Events client that records every call and answers with canned responses.
+ *
+ * @param {object} responses - data, `{ error: { code, message } }` or a function of the
+ *                             params and earlier calls by method name, replacing the
+ *                             canned responses.
+ * @returns the client, with the list of `{ method, params }` of its calls in `calls`.
+ */
+const createRecordingClient = exports.createRecordingClient = function createRecordingClient(
+  responses,
+) {
+  const client = { calls: [] };
+  METHODS.forEach((method) => {
+    client[method] = (params, callback) => {
+      client.calls.push({ method, params });
+      const response = responses && Object.prototype.hasOwnProperty.call(responses, method)
+        ? responses[method]
+        : CANNED_RESPONSES[method] || {};
+
+      let data;
+      try {
+        if (typeof response === 'function') {
+          data = response(params, client.calls.slice(0, -1));
+        } else if (response && response.error) {
+          throw awsError(response.error.code, response.error.message);
+        } else {
+          data = response;
+        }
+      } catch (err) {
+        setImmediate(callback, err);
+        return;
+      }
+      setImmediate(callback, null, data);
+    };
+  });
+  return client;
+};
+
+const CLIENTS = {
+  stub: options => createRecordingClient(options.responses),
+  emulator: () => createEmulator(),
+};
+
+/**
+ * Load a handler module with an injected CloudWatch Events client.
+ *
+ * @param {string} name   - rule, target, bus, permission or the path of a module.
+ * @param {object} client - CloudWatch Events client.
+ * @returns the `handler` of the module.
+ */
+const loadHandler = exports.loadHandler = function loadHandler(name, client) {
+  const file = HANDLERS[name]
+    ? path.join(__dirname, '..', 'lib', HANDLERS[name].module)
+    : path.resolve(name);
+  return proxyquire(file, {
+    '@aws-sdk/client-cloudwatch-events': { CloudWatchEvents: function CloudWatchEvents() { return client; } },
+  }).handler;
+};
+
+/**
+ * Start the local HTTP listener of the responses.
+ *
+ * @returns promise of `{ url, bodies, close }`, `bodies` are the PUT bodies by path.
+ */
+function startListener() {
+  const bodies = {};
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      bodies[request.url.split('?')[0]] = Buffer.concat(chunks).toString();
+      response.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      bodies,
+      close: () => new Promise(closed => server.close(closed)),
+    }));
+  });
+}
+
+/**
+ * Lambda context of a local invoke.
+ *
+ * @param {object} event   - the event.
+ * @param {number} timeout - milliseconds until the function times out.
+ * @returns the context.
+ */
+function lambdaContext(event, timeout) {
+  const deadline = Date.now() + timeout;
+  return {
+    functionName: 'local-invoke',
+    awsRequestId: event.RequestId,
+    logGroupName: '/aws/lambda/local-invoke',
+    logStreamName: `local-invoke/${event.RequestId}`,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+  };
+}
+
+/**
+ * Complete an event with defaults and the results of earlier events.
+ *
+ * @param {object} source  - the event as given.
+ * @param {number} index   - position of the event in the scenario.
+ * @param {object} state   - `{ resources, refs }` of earlier responses.
+ * @param {string} handler - default handler name.
+ * @returns the event.
+ * @throws {Error} when a property refers to an unknown resource.
+ */
+const prepareEvent = exports.prepareEvent = function prepareEvent(source, index, state, handler) {
+  const event = Object.assign({
+    RequestType: 'Create',
+    ServiceToken: 'local-invoke',
+    StackId: DEFAULT_STACK_ID,
+    RequestId: `local-invoke-${index + 1}`,
+    LogicalResourceId: 'Resource',
+    ResourceProperties: {},
+  }, source);
+  if (event.ResourceType === undefined && HANDLERS[handler]) {
+    event.ResourceType = HANDLERS[handler].type;
+  }
+
+  const previous = state.resources[event.LogicalResourceId];
+  if (event.RequestType !== 'Create' && event.PhysicalResourceId === undefined && previous) {
+    event.PhysicalResourceId = previous.PhysicalResourceId;
+  }
+  if (event.RequestType === 'Update' && event.OldResourceProperties === undefined && previous) {
+    event.OldResourceProperties = previous.ResourceProperties;
+  }
+
+  ['ResourceProperties', 'OldResourceProperties']
+    .filter(key => event[key] !== undefined)
+    .forEach((key) => {
+      try {
+        event[key] = resolveValue(event[key], state.refs);
+      } catch (err) {
+        if (!(err instanceof UnresolvedError)) {
+          throw err;
+        }
+        throw new Error(`Event ${index + 1} (${event.LogicalResourceId}): unresolved ${err.message} in ${key}`);
+      }
+    });
+  return event;
+};
+
+/**
+ * Handler name of an event.
+ *
+ * @param {object} event   - the event.
+ * @param {string} handler - the `--handler` option.
+ * @returns the handler name or module path.
+ * @throws {Error} when no handler matches.
+ */
+function handlerOf(event, handler) {
+  if (handler !== undefined) {
+    return handler;
+  }
+  const name = Object.keys(HANDLERS).find(key => HANDLERS[key].type === event.ResourceType);
+  if (name === undefined) {
+    throw new Error(`No handler for ResourceType ${event.ResourceType}, use --handler`);
+  }
+  return name;
+}
+
+/**
+ * Run events through the handlers, in order.
+ *
+ * @param {Array}  events  - the events, see `prepareEvent`.
+ * @param {object} options - `{ client, handler, timeout }`.
+ * @returns promise of the list of `{ event, body, response }`, `body` is the
+ *          exact text sent to the `ResponseURL`.
+ * @throws {Error} when a handler sent no response.
+ */
+const invoke = exports.invoke = async function invoke(events, options) {
+  const listener = await startListener();
+  const handlers = {};
+  const state = { resources: {}, refs: {} };
+  const results = [];
+
+  try {
+    for (let index = 0; index < events.length; index += 1) {
+      const event = prepareEvent(events[index], index, state, options.handler);
+      const name = handlerOf(event, options.handler);
+      handlers[name] = handlers[name] || loadHandler(name, options.client);
+
+      const responsePath = `/${encodeURIComponent(event.RequestId)}`;
+      event.ResponseURL = `${listener.url}${responsePath}?X-Amz-Signature=local`;
+      // eslint-disable-next-line no-await-in-loop
+      await handlers[name](event, lambdaContext(event, options.timeout || DEFAULT_TIMEOUT));
+
+      const body = listener.bodies[responsePath];
+      if (body === undefined) {
+        throw new Error(`Event ${index + 1} (${event.LogicalResourceId}): the handler sent no response`);
+      }
+      const response = JSON.parse(body);
+      if (response.Status === 'FAILED' && event.RequestType === 'Create') {
+        // CloudFormation deletes the resource of a failed Create on rollback
+        state.resources[event.LogicalResourceId] = {
+          PhysicalResourceId: response.PhysicalResourceId,
+          ResourceProperties: event.ResourceProperties,
+        };
+      } else if (response.Status === 'SUCCESS' && event.RequestType === 'Delete') {
+        // the cleanup of a replaced resource leaves its replacement as-is
+        const current = state.resources[event.LogicalResourceId];
+        if (current && current.PhysicalResourceId === event.PhysicalResourceId) {
+          delete state.resources[event.LogicalResourceId];
+        }
+      } else if (response.Status === 'SUCCESS') {
+        state.resources[event.LogicalResourceId] = {
+          PhysicalResourceId: response.PhysicalResourceId,
+          ResourceProperties: event.ResourceProperties,
+        };
+        state.refs[event.LogicalResourceId] = response.PhysicalResourceId;
+        Object.keys(response.Data || {}).forEach((key) => {
+          state.refs[`${event.LogicalResourceId}.${key}`] = response.Data[key];
+        });
+      }
+      results.push({ event, body, response });
+    }
+  } finally {
+    await listener.close();
+  }
+  return results;
+};
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {Array} argv - arguments, without node and the script.
+ * @returns `{ events, handler, client, responses, timeout }`, `events` are file paths.
+ * @throws {Error} on unknown or incomplete arguments.
+ */
+const parseArgs = exports.parseArgs = function parseArgs(argv) {
+  const options = { events: [], client: 'stub' };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    i += 1;
+    if (value === undefined) {
+      throw new Error(`${arg} requires a value`);
+    }
+    if (arg === '--event') {
+      options.events.push(value);
+    } else if (arg === '--handler' || arg === '--client' || arg === '--responses') {
+      options[arg.slice(2)] = value;
+    } else if (arg === '--timeout') {
+      options.timeout = Number(value);
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  if (options.events.length === 0) {
+    throw new Error('--event is required');
+  }
+  if (!CLIENTS[options.client]) {
+    throw new Error(`--client must be ${Object.keys(CLIENTS).join(' or ')}`);
+  }
+  if (options.timeout !== undefined && !(options.timeout > 0)) {
+    throw new Error('--timeout must be a number of milliseconds');
+  }
+  return options;
+};
+
+/**
+ * Run the local invoke.
+ *
+ * @param {Array}  argv    - command line arguments.
+ * @param {object} clients - `{ cloudWatchEvents, stdout }`, the `--client` and process.stdout by default.
+ * @returns promise of the exit code.
+ */
+exports.main = async function main(argv, clients) {
+  const io = Object.assign({ stdout: process.stdout }, clients);
+  const options = parseArgs(argv);
+
+  const events = [].concat(...options.events.map(loadDocument));
+  const client = io.cloudWatchEvents || CLIENTS[options.client]({
+    responses: options.responses !== undefined ? loadDocument(options.responses) : undefined,
+  });
+
+  const results = await invoke(events,
+    { client, handler: options.handler, timeout: options.timeout });
+  results.forEach(result => io.stdout.write(`${result.body}\n`));
+  return results.every(result => result.response.Status === 'SUCCESS') ? 0 : 2;
+};
+
+if (require.main === module) {
+  exports.main(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ *  Lint the custom resources of application templates against the schemas of
+ *  the handlers, before deploy -
+ *
+ *    node tools/lint.js --template stack.yaml [--template other.yaml] [--format json]
+ *
+ *  Every `Custom::Events::EventBus`, `Permission`, `Rule` and `Target` of the
+ *  templates is validated like the handler validates its `ResourceProperties`,
+ *  see `lib/core/schema.js`. Values of intrinsic functions, like `!Ref` or
+ *  `!Sub`, are only known at deploy and are not validated.
+ *
+ *  Exits with 0 when all resources are valid, 2 on errors in the templates and
+ *  1 when a template can not be read.
+ */
+
+const { validateProperties } = require('../lib/core/schema');
+const bus = require('../lib/custom-cf-cw-events-bus');
+const permission = require('../lib/custom-cf-cw-events-permission');
+const rule = require('../lib/custom-cf-cw-events-rule');
+const target = require('../lib/custom-cf-cw-events-target');
+const { loadDocument } = require('./template');
+
+// schemas by resource type
+const SCHEMAS = exports.SCHEMAS = [bus, permission, rule, target]
+  .reduce((schemas, handler) =>
+    Object.assign(schemas, { [handler.SCHEMA.typeName]: handler.SCHEMA }), {});
+
+/**
+ * Whether a value is an intrinsic function, like `{ Ref: 'Bus' }` or `{ 'Fn::Sub': '...' }`.
+ */
+const isIntrinsic = exports.isIntrinsic = function isIntrinsic(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length === 1 && (keys[0] === 'Ref' || /^Fn::/.test(keys[0]));
+};
+
+/**
+ * Lint the custom resources of a template.
+ *
+ * @param {object} template - parsed template.
+ * @returns list of `{ LogicalResourceId, ResourceType, Errors }` of the invalid resources.
+ */
+const lintTemplate = exports.lintTemplate = function lintTemplate(template) {
+  const resources = (template && template.Resources) || {};
+  return Object.keys(resources)
+    .filter(logicalId => SCHEMAS[resources[logicalId].Type] !== undefined)
+    .map((logicalId) => {
+      const { Type, Properties } = resources[logicalId];
+      return {
+        LogicalResourceId: logicalId,
+        ResourceType: Type,
+        Errors: validateProperties(SCHEMAS[Type], Properties, { unresolved: isIntrinsic }),
+      };
+    })
+    .filter(result => result.Errors.length > 0);
+};
+
+/**
+ * Format the results as lines of text, like
+ * `stack.yaml: Rule (Custom::Events::Rule) State must be one of ENABLED, DISABLED`.
+ */
+function formatText(results) {
+  if (results.every(result => result.Resources.length === 0)) {
+    return `${results.map(result => result.Template).join(', ')}: no errors`;
+  }
+  return results
+    .map(result => result.Resources.map(resource => resource.Errors
+      .map(error => `${result.Template}: ${resource.LogicalResourceId} (${resource.ResourceType}) ${error}`)
+      .join('\n'))
+      .join('\n'))
+    .filter(lines => lines !== '')
+    .join('\n');
+}
+
+const parseArgs = exports.parseArgs = function parseArgs(argv) {
+  const options = {
+    format: 'text',
+    templates: [],
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    i += 1;
+    if (value === undefined) {
+      throw new Error(`${arg} requires a value`);
+    }
+    if (arg === '--template') {
+      options.templates.push(value);
+    } else if (arg === '--format') {
+      options.format = value;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  if (options.templates.length === 0) {
+    throw new Error('--template is required');
+  }
+  if (['text', 'json'].indexOf(options.format) === -1) {
+    throw new Error('--format must be text or json');
+  }
+  return options;
+};
+
+exports.main = async function main(argv, clients) {
+  const io = Object.assign({ stdout: process.stdout }, clients);
+  const options = parseArgs(argv);
+
+  const results = options.templates.map(file => ({
+    Template: file,
+    Resources: lintTemplate(loadDocument(file)),
+  }));
+
+  io.stdout.write(`${options.format === 'json' ? JSON.stringify(results, null, 2) : formatText(results)}\n`);
+  return results.every(result => result.Resources.length === 0) ? 0 : 2;
+};
+
+if (require.main === module) {
+  exports.main(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
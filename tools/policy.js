@@ -0,0 +1,97 @@
+/**
+ *  Least-privilege IAM policies of the Lambda functions, generated into the
+ *  `Policies:` of each template by the build. Only the CloudWatch Events API
+ *  actions a handler calls are allowed, on the resources it can call them on -
+ *
+ *  - rules on the `EventBusName` parameter, with names starting with `NamePrefix`,
+ *  - event buses with names starting with `NamePrefix`,
+ *  - the event bus of the `EventBusName` parameter, for its permissions.
+ *
+ *  Handlers that pass a `RoleArn` to CloudWatch Events may pass the roles under
+ *  the `PassRolePath` parameter, to `events.amazonaws.com` only.
+ */
+
+const ARN_PREFIX = 'arn:${AWS::Partition}:events:${AWS::Region}:${AWS::AccountId}'; // eslint-disable-line no-template-curly-in-string
+
+// the ARN of a rule on the default event bus has no event bus name
+const RESOURCES = {
+  rule: {
+    'Fn::If': ['IsDefaultEventBus',
+      { 'Fn::Sub': `${ARN_PREFIX}:rule/\${NamePrefix}*` },
+      { 'Fn::Sub': `${ARN_PREFIX}:rule/\${EventBusName}/\${NamePrefix}*` },
+    ],
+  },
+  eventBus: { 'Fn::Sub': `${ARN_PREFIX}:event-bus/\${NamePrefix}*` },
+  configuredEventBus: { 'Fn::Sub': `${ARN_PREFIX}:event-bus/\${EventBusName}` },
+};
+
+/**
+ * CloudWatch Events actions of the handlers, by the resource they are called on,
+ * and whether the handler passes roles. `test/tools/policy.test.js` checks every
+ * SDK operation called by a handler is here.
+ */
+const HANDLER_PERMISSIONS = exports.HANDLER_PERMISSIONS = {
+  'custom-cf-cw-events-bus': {
+    actions: {
+      eventBus: ['CreateEventBus', 'DeleteEventBus', 'DescribeEventBus'],
+    },
+    passRole: false,
+  },
+  'custom-cf-cw-events-permission': {
+    actions: {
+      configuredEventBus: ['PutPermission', 'RemovePermission'],
+    },
+    passRole: false,
+  },
+  'custom-cf-cw-events-rule': {
+    actions: {
+      rule: [
+        'DeleteRule', 'DescribeRule', 'ListTagsForResource', 'ListTargetsByRule', 'PutRule',
+        'RemoveTargets', 'TagResource', 'UntagResource',
+      ],
+    },
+    passRole: true,
+  },
+  'custom-cf-cw-events-target': {
+    actions: {
+      rule: ['PutTargets', 'RemoveTargets'],
+    },
+    passRole: true,
+  },
+};
+
+/**
+ * Generate the IAM policies of a handler.
+ *
+ * @param {string} name - name of the handler, like 'custom-cf-cw-events-rule'.
+ * @returns list of `{ PolicyName, PolicyDocument }`.
+ * @throws {Error} for an unknown handler.
+ */
+exports.generatePolicies = function generatePolicies(name) {
+  const permissions = HANDLER_PERMISSIONS[name];
+  if (permissions === undefined) {
+    throw new Error(`Handler ${name} has no permissions in tools/policy.js`);
+  }
+
+  const statements = Object.keys(permissions.actions).map(resource => ({
+    Effect: 'Allow',
+    Action: permissions.actions[resource].map(action => `events:${action}`),
+    Resource: RESOURCES[resource],
+  }));
+
+  const policies = [{ PolicyName: 'AllowCloudWatchEvents', PolicyDocument: { Statement: statements } }];
+  if (permissions.passRole) {
+    policies.push({
+      PolicyName: 'IamPassRole',
+      PolicyDocument: {
+        Statement: [{
+          Effect: 'Allow',
+          Action: ['iam:PassRole'],
+          Resource: { 'Fn::Sub': 'arn:${AWS::Partition}:iam::${AWS::AccountId}:role${PassRolePath}*' }, // eslint-disable-line no-template-curly-in-string
+          Condition: { StringEquals: { 'iam:PassedToService': 'events.amazonaws.com' } },
+        }],
+      },
+    });
+  }
+  return policies;
+};
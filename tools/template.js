@@ -0,0 +1,110 @@
+/**
+ *  Load CloudFormation templates, and other JSON or YAML documents, for the
+ *  tools. The short form of intrinsic functions, like `!Ref Rule` or
+ *  `!GetAtt Rule.Arn`, is loaded as its long form, `{ Ref: 'Rule' }` or
+ *  `{ 'Fn::GetAtt': ['Rule', 'Arn'] }`, and `Ref`, `Fn::GetAtt` and simple
+ *  `Fn::Sub` of known values can be resolved.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const FUNCTIONS = [
+  'And', 'Base64', 'Cidr', 'Equals', 'FindInMap', 'GetAtt', 'GetAZs', 'If', 'ImportValue',
+  'Join', 'Not', 'Or', 'Select', 'Split', 'Sub', 'Transform',
+];
+
+/**
+ * YAML types of the short form of an intrinsic function, for every kind of node.
+ *
+ * @param {string} tag       - YAML tag, like 'Ref' for `!Ref`.
+ * @param {function} construct - build the long form from the data of the node.
+ * @returns list of `yaml.Type`.
+ */
+function intrinsicTypes(tag, construct) {
+  return ['scalar', 'sequence', 'mapping']
+    .map(kind => new yaml.Type(`!${tag}`, { kind, construct }));
+}
+
+const SCHEMA = yaml.Schema.create([].concat(
+  intrinsicTypes('Ref', data => ({ Ref: data })),
+  intrinsicTypes('Condition', data => ({ Condition: data })),
+  intrinsicTypes('GetAtt', data => ({
+    'Fn::GetAtt': typeof data === 'string' ? data.split(/\.(.+)/).slice(0, 2) : data,
+  })),
+  ...FUNCTIONS
+    .filter(name => name !== 'GetAtt')
+    .map(name => intrinsicTypes(name, data => ({ [`Fn::${name}`]: data }))),
+));
+
+/**
+ * Parse a JSON or YAML document.
+ *
+ * @param {string} content - text of the document.
+ * @returns the parsed document.
+ * @throws {Error} when the document is neither valid JSON nor valid YAML.
+ */
+const parseDocument = exports.parseDocument = function parseDocument(content) {
+  if (/^\s*[{[]/.test(content)) {
+    return JSON.parse(content);
+  }
+  return yaml.safeLoad(content, { schema: SCHEMA });
+};
+
+/**
+ * Read and parse a JSON or YAML file.
+ *
+ * @param {string} file - path of the file.
+ * @returns the parsed document.
+ */
+exports.loadDocument = function loadDocument(file) {
+  return parseDocument(fs.readFileSync(file).toString());
+};
+
+/**
+ * Thrown for a value with an intrinsic function that can not be resolved.
+ */
+class UnresolvedError extends Error { }
+exports.UnresolvedError = UnresolvedError;
+
+/**
+ * Resolve `Ref`, `Fn::GetAtt` and `Fn::Sub` in a property value.
+ *
+ * @param {*}      value - declared value.
+ * @param {object} refs  - values of parameters and physical ids of resources, by name.
+ * @returns the resolved value.
+ * @throws {UnresolvedError} when the value has other intrinsic functions, or unknown refs.
+ */
+exports.resolveValue = function resolveValue(value, refs) {
+  const resolveRef = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(refs, name)) {
+      throw new UnresolvedError(`Ref ${name}`);
+    }
+    return refs[name];
+  };
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, refs));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === 'Ref') {
+    return resolveRef(value.Ref);
+  }
+  if (keys.length === 1 && keys[0] === 'Fn::GetAtt' && Array.isArray(value['Fn::GetAtt'])) {
+    return resolveRef(value['Fn::GetAtt'].join('.'));
+  }
+  if (keys.length === 1 && keys[0] === 'Fn::Sub' && typeof value['Fn::Sub'] === 'string') {
+    return value['Fn::Sub'].replace(/\$\{([^!}][^}]*)\}/g, (match, name) => resolveRef(name));
+  }
+  if (keys.length === 1 && /^Fn::/.test(keys[0])) {
+    throw new UnresolvedError(keys[0]);
+  }
+
+  const resolved = {};
+  keys.forEach((key) => { resolved[key] = resolveValue(value[key], refs); });
+  return resolved;
+};